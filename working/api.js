@@ -6,222 +6,313 @@ const IssuuDownloader = require('./app');
 const IssueTracker = require('./issueTracker');
 const DownloadScheduler = require('./scheduler');
 const CacheManager = require('./cacheManager');
+const IssueStore = require('./issueStore');
+const JobQueue = require('./jobQueue');
+const DownloadCoordinator = require('./downloadCoordinator');
+const RetentionPolicy = require('./retentionPolicy');
+const HistoryLedger = require('./historyLedger');
+const TextIndex = require('./textIndex');
+const PageExtractCache = require('./pageExtractCache');
+const { PublicationRegistry } = require('./publications');
+const { sendFile, serveDirectory } = require('./fileServer');
+const { createEventStream } = require('./eventStream');
+const { getConfig } = require('./config');
+const { createLogger, requestLogger } = require('./logger');
+const metrics = require('./metrics');
+const HealthMonitor = require('./healthMonitor');
+const { Backfill, parseIssueRange } = require('./backfill');
+const { parsePageRange, formatPageRange } = require('./pdfPages');
+const { renderViewer } = require('./viewerPage');
 
-// Create instances
-const downloader = new IssuuDownloader();
-const tracker = new IssueTracker();
-const scheduler = new DownloadScheduler();
-const cache = new CacheManager();
+const log = createLogger('server');
+
+// pdf.js files the viewer page loads (the legacy build also runs on older mobile browsers)
+const PDFJS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'legacy', 'build');
+const PDFJS_FILES = new Set(['pdf.min.mjs', 'pdf.worker.min.mjs']);
+
+// Shared instances (invalid settings stop the server here, before it listens)
+const config = getConfig();
+const registry = new PublicationRegistry({ config });
+const coordinator = new DownloadCoordinator();
+const retention = new RetentionPolicy({ config });
+const history = new HistoryLedger({ config });
+const textIndex = new TextIndex({ config });
+const pageExtracts = new PageExtractCache({ config });
+
+// Persistent queue: every download runs as a job (resumed after restarts)
+const jobs = new JobQueue({
+    config,
+    handler: (job, report) => getContext(job.publication).scheduler.runDownloadJob(job, report)
+});
+
+/**
+ * Creates the per-publication instances. Downloads go to <paths.downloads>/<folder>
+ * and the cache to <paths.cache>/<folder>; all downloaders share one coordinator so
+ * scheduled and on-demand downloads are deduplicated
+ */
+function createContext(publication) {
+    const downloader = new IssuuDownloader({ coordinator, config });
+    downloader.outputDir = path.join(config.paths.downloads, publication.folder);
+    history.attach(downloader, { publication: publication.id });
+    metrics.attach(downloader, { publication: publication.id });
+    textIndex.attach(downloader, { publication: publication.id });
+    const tracker = new IssueTracker(publication, { config });
+    const cache = new CacheManager({ cacheDir: path.join(config.paths.cache, publication.folder), retention, config });
+    const store = new IssueStore({ dir: downloader.outputDir, publication });
+    const scheduler = new DownloadScheduler({ publication, downloader, tracker, cache, store, jobs, config });
+
+    // ready settles once PDFs from before issue records are recorded (see prepareStores)
+    return { publication, downloader, tracker, cache, store, scheduler, ready: Promise.resolve() };
+}
+
+const contexts = new Map(registry.list().map(publication => [publication.id, createContext(publication)]));
+const defaultPublicationId = registry.getDefault().id;
+
+/**
+ * Gets the instances for a publication (the default one when id is unknown or missing)
+ */
+function getContext(id) {
+    return contexts.get(id) || contexts.get(defaultPublicationId);
+}
+
+// Health model: last download vs. cadence, failures, upstream reachability, disk, stale .tmp files
+const health = new HealthMonitor({
+    publications: () => Array.from(contexts.values()),
+    history,
+    config
+});
+
+// Latest known issue number of each publication, read when /metrics is scraped
+metrics.collectLatestIssues(() => Array.from(contexts.values()).map(ctx => {
+    const latest = ctx.store.latest();
+    return {
+        labels: { publication: ctx.publication.id },
+        value: ctx.tracker.lastKnownIssue || (latest && latest.number)
+    };
+}));
+
+/**
+ * Builds the public URL of a file in downloads/<folder> or cache/<folder>
+ */
+function fileUrl(ctx, mount, fileName) {
+    return `/${mount}/${ctx.publication.folder}/${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * An issue record for API responses: the file as its public URL, never the server path
+ */
+function describeIssue(ctx, record) {
+    if (!record) return null;
+    const { filePath, ...issue } = record;
+    return { ...issue, downloadUrl: fileUrl(ctx, 'downloads', record.fileName) };
+}
+
+/**
+ * Gets the downloads path of an issue: its recorded file, or where it would be downloaded to
+ */
+function issueFilePath(ctx, issue) {
+    const record = ctx.store.find(ctx.scheduler.getIssueKey(issue));
+    return record ? record.filePath : ctx.downloader.getOutputPath(issue.url);
+}
+
+/**
+ * Whether a file route should be displayed by the browser (?inline=1) instead of saved
+ */
+function wantsInline(req) {
+    return req.query.inline === '1' || req.query.inline === 'true';
+}
 
 // Create Express server
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // Middleware
+app.use(requestLogger());
+app.use(metrics.httpMetrics());
 app.use(cors());
 app.use(express.json());
-app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
-app.use('/cache', express.static(path.join(__dirname, 'cache')));
+app.use('/downloads', metrics.mountedAt('/downloads'), serveDirectory(path.resolve(config.paths.downloads)));
+app.use('/cache', metrics.mountedAt('/cache'), serveDirectory(path.resolve(config.paths.cache), {
+    validators: filePath => {
+        const folder = path.basename(path.dirname(filePath));
+        const ctx = Array.from(contexts.values()).find(c => c.publication.folder === folder);
+        return ctx ? ctx.cache.getValidators(filePath) : {};
+    }
+}));
+
+// Issue routes, mounted for the default publication under /api
+// and for every publication under /api/publications/:id
+const issueRoutes = express.Router();
 
 // Endpoint to get latest issue information
-app.get('/api/latest', async (req, res) => {
+issueRoutes.get('/latest', async (req, res) => {
+    const ctx = req.context;
     try {
-        const latestIssueNumber = await tracker.getLatestIssueNumber();
-        const latestIssueUrl = tracker.getIssueUrl(latestIssueNumber);
-        
+        const issue = await ctx.tracker.getLatestIssue();
+        const latestIssueNumber = ctx.scheduler.getIssueKey(issue);
+
         // Check if it's in cache
-        const isInCache = cache.isIssueInCache(latestIssueNumber);
+        const isInCache = ctx.cache.isIssueInCache(latestIssueNumber);
         let downloadUrl = null;
-        
+
         if (isInCache) {
-            const metadata = cache.getMetadata();
-            downloadUrl = `/cache/${encodeURIComponent(metadata.fileName)}`;
+            const metadata = ctx.cache.getMetadata();
+            downloadUrl = fileUrl(ctx, 'cache', metadata.fileName);
         } else {
             // Check if file already exists in downloads
-            const fileName = `issue ${latestIssueNumber}.pdf`;
-            const filePath = path.join(downloader.outputDir, fileName);
+            const filePath = issueFilePath(ctx, issue);
             const fileExists = fs.existsSync(filePath);
-            
+
             if (fileExists) {
-                downloadUrl = `/downloads/${encodeURIComponent(fileName)}`;
-                
+                downloadUrl = fileUrl(ctx, 'downloads', path.basename(filePath));
+
                 // If exists in downloads but not in cache, save it to cache
                 try {
-                    cache.cacheFile(filePath, latestIssueNumber);
-                    downloadUrl = `/cache/${encodeURIComponent(`latest_issue_${latestIssueNumber}.pdf`)}`;
+                    const cachedPath = ctx.cache.cacheFile(filePath, latestIssueNumber);
+                    downloadUrl = fileUrl(ctx, 'cache', path.basename(cachedPath));
                 } catch (cacheError) {
-                    console.error('Error saving to cache:', cacheError);
+                    req.log.error('Error saving to cache', cacheError);
                 }
             }
         }
-        
+
         res.json({
+            publication: ctx.publication.id,
             issueNumber: latestIssueNumber,
-            issueUrl: latestIssueUrl,
+            issueUrl: issue.url,
+            title: issue.title,
             isDownloaded: !!downloadUrl,
-            downloadUrl: downloadUrl
+            downloadUrl: downloadUrl,
+            issue: describeIssue(ctx, ctx.store.find(latestIssueNumber)),
+            discovery: {
+                source: issue.source,
+                strategy: issue.strategy,
+                confidence: issue.confidence,
+                explanation: issue.explanation
+            }
         });
     } catch (error) {
-        console.error('Error getting latest issue information:', error);
+        req.log.error('Error getting latest issue information', error);
         res.status(500).json({ error: 'Error getting latest issue information' });
     }
 });
 
+// Endpoint to run issue discovery without downloading (?lastKnown=N overrides the last known issue)
+issueRoutes.get('/discover', async (req, res) => {
+    const ctx = req.context;
+    try {
+        const options = req.query.lastKnown !== undefined ? { lastKnown: parseInt(req.query.lastKnown, 10) || null } : {};
+        res.json(await ctx.tracker.dryRun(options));
+    } catch (error) {
+        req.log.error('Error running discovery', error);
+        res.status(500).json({ error: 'Error running discovery' });
+    }
+});
+
 // Endpoint to download the latest issue
-app.get('/api/download/latest', async (req, res) => {
+issueRoutes.get('/download/latest', async (req, res) => {
+    const ctx = req.context;
     try {
-        const latestIssueUrl = await tracker.getLatestIssueUrl();
-        const issueNumber = parseInt(latestIssueUrl.split('_').pop(), 10);
-        
-        // Check if already in cache
-        if (cache.isIssueInCache(issueNumber)) {
-            const metadata = cache.getMetadata();
-            const cachedFilePath = cache.getCachedFilePath();
+        const issue = await ctx.tracker.getLatestIssue();
+        const issueNumber = ctx.scheduler.getIssueKey(issue);
 
-            // Serve file as a stream with Content-Length and checksum header
-            try {
-                const stats = fs.statSync(cachedFilePath);
-                res.setHeader('Content-Disposition', `attachment; filename=\"issue_${metadata.issueNumber}.pdf\"`);
-                res.setHeader('Content-Type', 'application/pdf');
-                res.setHeader('Content-Length', stats.size);
-                if (metadata && metadata.checksum) {
-                    res.setHeader('X-Content-Checksum', metadata.checksum);
-                }
+        // Check if already in cache
+        const cached = ctx.cache.isIssueInCache(issueNumber);
+        metrics.recordCacheLookup(ctx.publication.id, cached);
+        if (cached) {
+            const metadata = ctx.cache.getMetadata();
+            const cachedFilePath = ctx.cache.getCachedFilePath();
 
-                const stream = fs.createReadStream(cachedFilePath);
-                stream.on('error', (err) => {
-                    console.error('Stream error while serving cached file:', err);
-                    if (!res.headersSent) {
-                        res.status(500).json({ error: 'Error reading cached file' });
-                    } else {
-                        res.end();
-                    }
-                });
-                return stream.pipe(res);
-            } catch (err) {
-                console.error('Error serving cached file as stream:', err);
-                return res.status(500).json({ error: 'Error serving cached file' });
-            }
+            // Serve file as a stream with checksum header (Range requests supported)
+            return await sendFile(req, res, cachedFilePath, {
+                fileName: `issue_${metadata.issueNumber}.pdf`,
+                contentType: 'application/pdf',
+                inline: wantsInline(req),
+                headers: { 'X-Content-Checksum': metadata.checksum },
+                checksum: metadata.checksum,
+                lastModified: metadata.cachedAt
+            });
         }
-        
+
         // Check if file already exists in downloads
-        const fileName = `issue ${issueNumber}.pdf`;
-        const filePath = path.join(downloader.outputDir, fileName);
-        
+        const filePath = issueFilePath(ctx, issue);
+
         if (fs.existsSync(filePath)) {
             // If exists in downloads but not in cache, save it to cache
             try {
-                const cachedPath = cache.cacheFile(filePath, issueNumber);
+                const cachedPath = ctx.cache.cacheFile(filePath, issueNumber);
+                const metadata = ctx.cache.getMetadata();
 
-                try {
-                    const stats = fs.statSync(cachedPath);
-                    res.setHeader('Content-Disposition', `attachment; filename=\"issue_${issueNumber}.pdf\"`);
-                    res.setHeader('Content-Type', 'application/pdf');
-                    res.setHeader('Content-Length', stats.size);
-                    const metadata = cache.getMetadata();
-                    if (metadata && metadata.checksum) {
-                        res.setHeader('X-Content-Checksum', metadata.checksum);
-                    }
-
-                    const stream = fs.createReadStream(cachedPath);
-                    stream.on('error', (err) => {
-                        console.error('Stream error while serving file:', err);
-                        if (!res.headersSent) {
-                            res.status(500).json({ error: 'Error reading file' });
-                        } else {
-                            res.end();
-                        }
-                    });
-                    return stream.pipe(res);
-                } catch (streamErr) {
-                    console.error('Error streaming cached file:', streamErr);
-                    return res.status(500).json({ error: 'Error serving file' });
-                }
+                return await sendFile(req, res, cachedPath, {
+                    fileName: `issue_${issueNumber}.pdf`,
+                    contentType: 'application/pdf',
+                    inline: wantsInline(req),
+                    headers: { 'X-Content-Checksum': metadata && metadata.checksum },
+                    ...ctx.cache.getValidators(cachedPath)
+                });
             } catch (cacheError) {
-                console.error('Error saving to cache:', cacheError);
+                req.log.error('Error saving to cache', cacheError);
 
                 // If error saving to cache, serve original file as stream
-                try {
-                    const stats = fs.statSync(filePath);
-                    res.setHeader('Content-Disposition', `attachment; filename=\"issue_${issueNumber}.pdf\"`);
-                    res.setHeader('Content-Type', 'application/pdf');
-                    res.setHeader('Content-Length', stats.size);
-
-                    const stream = fs.createReadStream(filePath);
-                    stream.on('error', (err) => {
-                        console.error('Stream error while serving original file:', err);
-                        if (!res.headersSent) {
-                            res.status(500).json({ error: 'Error reading file' });
-                        } else {
-                            res.end();
-                        }
-                    });
-                    return stream.pipe(res);
-                } catch (origErr) {
-                    console.error('Error serving original file:', origErr);
-                    return res.status(500).json({ error: 'Error serving file' });
-                }
+                return await sendFile(req, res, filePath, {
+                    fileName: `issue_${issueNumber}.pdf`,
+                    contentType: 'application/pdf',
+                    inline: wantsInline(req)
+                });
             }
         }
-        
-        // Start background download
+
+        // Queue the download and let the client follow the job
+        const job = jobs.enqueue({ publication: ctx.publication.id, url: issue.url, issueNumber, title: issue.title, trigger: 'on-demand' });
         res.json({
             success: true,
             message: `Download of issue ${issueNumber} started. This process may take several minutes.`,
-            status: 'downloading'
+            status: 'downloading',
+            jobId: job.id,
+            jobUrl: `/api/jobs/${job.id}`
         });
-        
-        // Perform download after sending response
-        const success = await downloader.downloadDocument(latestIssueUrl);
-        console.log(`Download of issue ${issueNumber} ${success ? 'completed' : 'failed'}.`);
-        
-        // If download was successful, save to cache
-        if (success) {
-            try {
-                cache.cacheFile(filePath, issueNumber);
-                console.log(`Issue ${issueNumber} saved to cache.`);
-            } catch (cacheError) {
-                console.error('Error saving to cache:', cacheError);
-            }
-        }
     } catch (error) {
-        console.error('Error downloading latest issue:', error);
-        // No response sent here because a response was already sent
+        req.log.error('Error downloading latest issue', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error downloading latest issue' });
+        }
     }
 });
 
-// Endpoint to get download status
-app.get('/api/status/:issueNumber', (req, res) => {
-    const issueNumber = parseInt(req.params.issueNumber, 10);
-    
+// Endpoint to get download status (by issue number, or slug for unnumbered issues)
+issueRoutes.get('/status/:issueNumber', (req, res) => {
+    const ctx = req.context;
+    const param = req.params.issueNumber;
+    const issueNumber = /^\d+$/.test(param) ? parseInt(param, 10) : param;
+
     // Check if it's in cache
-    if (cache.isIssueInCache(issueNumber)) {
-        const metadata = cache.getMetadata();
-        const cachedFilePath = cache.getCachedFilePath();
+    if (ctx.cache.isIssueInCache(issueNumber)) {
+        const metadata = ctx.cache.getMetadata();
+        const cachedFilePath = ctx.cache.getCachedFilePath();
         const stats = fs.statSync(cachedFilePath);
-        
+
         return res.json({
             issueNumber,
             status: 'cached',
             fileSize: stats.size,
             fileSizeMB: (stats.size / 1024 / 1024).toFixed(2),
-            downloadUrl: `/cache/${encodeURIComponent(metadata.fileName)}`,
-            cachedAt: metadata.cachedAt
+            downloadUrl: fileUrl(ctx, 'cache', metadata.fileName),
+            cachedAt: metadata.cachedAt,
+            issue: describeIssue(ctx, ctx.store.find(issueNumber))
         });
     }
-    
-    // If not in cache, check in downloads
-    const fileName = `issue ${issueNumber}.pdf`;
-    const filePath = path.join(downloader.outputDir, fileName);
-    
-    if (fs.existsSync(filePath)) {
-        const stats = fs.statSync(filePath);
+
+    // If not in cache, check the downloaded issues
+    const record = ctx.store.find(issueNumber);
+
+    if (record) {
         res.json({
             issueNumber,
             status: 'completed',
-            fileSize: stats.size,
-            fileSizeMB: (stats.size / 1024 / 1024).toFixed(2),
-            downloadUrl: `/downloads/${encodeURIComponent(fileName)}`
+            fileSize: record.size,
+            fileSizeMB: (record.size / 1024 / 1024).toFixed(2),
+            downloadUrl: fileUrl(ctx, 'downloads', record.fileName),
+            issue: describeIssue(ctx, record)
         });
     } else {
         res.json({
@@ -231,78 +322,597 @@ app.get('/api/status/:issueNumber', (req, res) => {
     }
 });
 
-// Endpoint to list all downloaded issues
-app.get('/api/downloads', (req, res) => {
+// Endpoint to get some pages of an issue as a new PDF (e.g. ?range=3-7,12)
+issueRoutes.get('/issues/:issueNumber/pages', async (req, res) => {
+    const ctx = req.context;
+    const param = req.params.issueNumber;
+    const issueNumber = /^\d+$/.test(param) ? parseInt(param, 10) : param;
+
+    await ctx.ready;
+    const record = ctx.store.find(issueNumber);
+    if (!record || !fs.existsSync(record.filePath)) {
+        return res.status(404).json({ error: `Issue ${issueNumber} has not been downloaded` });
+    }
+    if (!record.pdf) {
+        return res.status(422).json({ error: `The PDF of issue ${issueNumber} could not be read` });
+    }
+    if (!req.query.range) {
+        return res.status(400).json({ error: 'Missing range parameter (e.g. ?range=3-7,12)' });
+    }
+
+    let pages;
+    try {
+        pages = parsePageRange(req.query.range, record.pdf.pageCount);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (pages.length > config.pages.maxPages) {
+        return res.status(400).json({ error: `Page range ${formatPageRange(pages)} has ${pages.length} pages (max ${config.pages.maxPages})` });
+    }
+
     try {
-        if (!fs.existsSync(downloader.outputDir)) {
-            return res.json({ downloads: [] });
+        const extract = await pageExtracts.get(record.filePath, pages, {
+            checksum: record.checksum,
+            title: `${record.title || `Issue ${issueNumber}`} (pages ${formatPageRange(pages)})`
+        });
+
+        await sendFile(req, res, extract.filePath, {
+            fileName: `${record.number !== null ? `issue_${record.number}` : record.slug}_pages_${extract.range}.pdf`,
+            contentType: 'application/pdf',
+            headers: {
+                'X-Content-Checksum': extract.checksum,
+                'X-Page-Range': extract.range,
+                'X-Page-Count': String(pages.length)
+            },
+            checksum: extract.checksum
+        });
+    } catch (error) {
+        req.log.error('Error extracting pages', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error extracting pages' });
         }
-        
-        const files = fs.readdirSync(downloader.outputDir)
-            .filter(file => file.endsWith('.pdf'))
-            .map(file => {
-                const filePath = path.join(downloader.outputDir, file);
-                const stats = fs.statSync(filePath);
-                const match = file.match(/issue\s+(\d+)\.pdf/i);
-                const issueNumber = match ? parseInt(match[1], 10) : null;
-                
-                return {
-                    fileName: file,
-                    issueNumber,
-                    fileSize: (stats.size / 1024 / 1024).toFixed(2) + ' MB',
-                    downloadUrl: `/downloads/${encodeURIComponent(file)}`,
-                    createdAt: stats.birthtime
-                };
-            })
-            .sort((a, b) => (b.issueNumber || 0) - (a.issueNumber || 0));
-        
-        res.json({ downloads: files });
+    }
+});
+
+// Endpoint to list all downloaded issues
+issueRoutes.get('/downloads', (req, res) => {
+    const ctx = req.context;
+    try {
+        const files = ctx.store.list().map(record => ({
+            ...describeIssue(ctx, record),
+            issueNumber: record.number,
+            pageCount: record.pdf ? record.pdf.pageCount : null,
+            fileSize: (record.size / 1024 / 1024).toFixed(2) + ' MB',
+            createdAt: record.downloadedAt
+        }));
+
+        res.json({
+            downloads: files,
+            archive: retention.describe(ctx.downloader.outputDir)
+        });
     } catch (error) {
-        console.error('Error listing downloads:', error);
+        req.log.error('Error listing downloads', error);
         res.status(500).json({ error: 'Error listing downloads' });
     }
 });
 
-// Start download scheduler
-scheduler.scheduleWeeklyDownload();
-
 // Endpoint to get cached file directly
-app.get('/api/cached-file', (req, res) => {
+issueRoutes.get('/cached-file', async (req, res) => {
+    const ctx = req.context;
     try {
-        const cachedFilePath = cache.getCachedFilePath();
-        
+        const cachedFilePath = ctx.cache.getCachedFilePath();
+
         if (!cachedFilePath) {
             return res.status(404).json({
                 error: 'No cached file available'
             });
         }
-        
-        const metadata = cache.getMetadata();
-        
-        // Serve file directly with absolute path
-        res.sendFile(path.resolve(cachedFilePath), {
+
+        const metadata = ctx.cache.getMetadata();
+
+        // Serve file with Range support
+        return await sendFile(req, res, path.resolve(cachedFilePath), {
+            fileName: `issue_${metadata.issueNumber}.pdf`,
+            contentType: 'application/pdf',
+            headers: { 'X-Content-Checksum': metadata.checksum },
+            checksum: metadata.checksum,
+            lastModified: metadata.cachedAt
+        });
+    } catch (error) {
+        req.log.error('Error serving cached file', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error serving cached file' });
+        }
+    }
+});
+
+/**
+ * Describes a publication for API responses
+ */
+function describePublication(publication) {
+    return {
+        id: publication.id,
+        name: publication.name,
+        issuuAccount: publication.issuuAccount,
+        discovery: publication.discovery,
+        schedule: publication.schedule,
+        timezone: publication.timezone,
+        cadenceDays: publication.cadenceDays,
+        folder: publication.folder,
+        latestUrl: `/api/publications/${publication.id}/latest`
+    };
+}
+
+// Endpoint to list the tracked publications
+app.get('/api/publications', (req, res) => {
+    res.json({
+        default: defaultPublicationId,
+        publications: registry.list().map(describePublication)
+    });
+});
+
+// Endpoint to get a single publication
+app.get('/api/publications/:id', (req, res) => {
+    const publication = registry.get(req.params.id);
+    if (!publication) {
+        return res.status(404).json({ error: 'Publication not found' });
+    }
+    res.json(describePublication(publication));
+});
+
+// Per-publication issue routes, e.g. /api/publications/weeklylink/latest
+app.use('/api/publications/:id', metrics.mountedAt('/api/publications/:id'), (req, res, next) => {
+    if (!contexts.has(req.params.id)) {
+        return res.status(404).json({ error: 'Publication not found' });
+    }
+    req.context = contexts.get(req.params.id);
+    next();
+}, issueRoutes);
+
+// Default publication issue routes (/api/latest, /api/download/latest, ...)
+app.use('/api', metrics.mountedAt('/api'), (req, res, next) => {
+    req.context = getContext(defaultPublicationId);
+    next();
+}, issueRoutes);
+
+/**
+ * Serves the newest PDF of a publication, downloading the latest issue first if there is none
+ */
+async function serveLatest(ctx, req, res) {
+    try {
+        req.log.info('Download request received', { publication: ctx.publication.id });
+        await ctx.ready;
+
+        if (!ctx.store.latest()) {
+            req.log.warn('No files available, downloading now');
+            try {
+                await ctx.scheduler.ensureLatestIssue('on-demand');
+            } catch (error) {
+                req.log.error('Download failed', error);
+                return res.status(500).json({ error: 'Failed to download file: ' + error.message });
+            }
+        }
+
+        const latest = ctx.store.latest();
+        if (!latest) {
+            return res.status(500).json({ error: 'Failed to download file' });
+        }
+        req.log.info('Serving file', { file: latest.filePath, title: latest.title });
+
+        // Stream the file (1MB chunks), honouring Range requests from PDF viewers
+        await sendFile(req, res, latest.filePath, {
+            fileName: latest.fileName,
+            contentType: 'application/pdf',
+            inline: wantsInline(req),
+            checksum: latest.checksum,
             headers: {
-                'Content-Disposition': `attachment; filename="issue_${metadata.issueNumber}.pdf"`,
-                'Content-Type': 'application/pdf'
+                'Cache-Control': 'public, max-age=86400' // Cache for 24 hours
             }
         });
     } catch (error) {
-        console.error('Error serving cached file:', error);
-        res.status(500).json({ error: 'Error serving cached file' });
+        req.log.error('Error in /download endpoint', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error: ' + error.message });
+        }
+    }
+}
+
+/**
+ * Shows an issue in the viewer page (/view/:issueNumber, or /view/latest,
+ * which downloads the latest issue first when none is recorded yet)
+ */
+async function viewIssue(ctx, req, res) {
+    try {
+        await ctx.ready;
+        const param = req.params.issueNumber;
+        let record;
+        if (param === 'latest') {
+            if (!ctx.store.latest()) {
+                await ctx.scheduler.ensureLatestIssue('on-demand');
+            }
+            record = ctx.store.latest();
+        } else {
+            record = ctx.store.find(/^\d+$/.test(param) ? parseInt(param, 10) : param);
+        }
+
+        if (!record || !fs.existsSync(record.filePath)) {
+            return res.status(404).json({ error: `Issue ${param} has not been downloaded` });
+        }
+
+        const pdfUrl = fileUrl(ctx, 'downloads', record.fileName);
+        res.type('html').send(renderViewer({
+            title: record.title || record.fileName,
+            pdfUrl,
+            downloadUrl: pdfUrl,
+            fileName: record.fileName,
+            pageCount: record.pdf ? record.pdf.pageCount : null,
+            page: parseInt(req.query.page, 10) || 1,
+            pdfjsUrl: '/viewer/pdfjs'
+        }));
+    } catch (error) {
+        req.log.error('Error in /view endpoint', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error: ' + error.message });
+        }
+    }
+}
+
+/**
+ * Downloads the latest issue of a publication now, answering once it is on disk
+ */
+async function refresh(ctx, req, res) {
+    try {
+        await ctx.scheduler.ensureLatestIssue('refresh');
+        res.json({ ok: true, message: 'Download completed' });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: error.message });
+    }
+}
+
+/**
+ * Runs issue discovery without downloading, listing every candidate found
+ */
+async function discover(ctx, req, res) {
+    try {
+        res.json(await ctx.tracker.dryRun());
+    } catch (error) {
+        res.status(500).json({ ok: false, error: error.message });
+    }
+}
+
+/**
+ * Resolves :id to a publication context, answering 404 for unknown ids
+ */
+function withContext(handler) {
+    return (req, res) => {
+        const ctx = contexts.get(req.params.id);
+        if (!ctx) {
+            return res.status(404).json({ error: 'Publication not found' });
+        }
+        return handler(ctx, req, res);
+    };
+}
+
+// Root routes: the newest PDF, an issue in the viewer page, an immediate download and
+// a discovery dry run, for the default publication and for every publication by id
+app.get('/download', (req, res) => serveLatest(getContext(defaultPublicationId), req, res));
+app.get('/view/:issueNumber', (req, res) => viewIssue(getContext(defaultPublicationId), req, res));
+app.get('/refresh', (req, res) => refresh(getContext(defaultPublicationId), req, res));
+app.get('/discover', (req, res) => discover(getContext(defaultPublicationId), req, res));
+app.get('/publications/:id/download', withContext(serveLatest));
+app.get('/publications/:id/view/:issueNumber', withContext(viewIssue));
+app.get('/publications/:id/refresh', withContext(refresh));
+app.get('/publications/:id/discover', withContext(discover));
+
+// pdf.js for the viewer page; the version changes only with the package, so it can be cached
+app.get('/viewer/pdfjs/:file', async (req, res) => {
+    if (!PDFJS_FILES.has(req.params.file)) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    return await sendFile(req, res, path.join(PDFJS_DIR, req.params.file), {
+        contentType: 'text/javascript; charset=utf-8',
+        headers: { 'Cache-Control': 'public, max-age=86400' }
+    });
+});
+
+// Endpoint to list download jobs (optionally ?state=queued|converting|downloading|validating|done|failed)
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobs.list({ state: req.query.state }) });
+});
+
+// Endpoint streaming download progress as Server-Sent Events (?url= limits to one document)
+app.get(['/api/events', '/events'], createEventStream([
+    ...Array.from(contexts.values()).map(ctx => ({
+        emitter: ctx.downloader,
+        events: ['progress', 'bytes', 'complete', 'failed']
+    })),
+    { emitter: jobs, events: ['update'], as: { update: 'job' } }
+]));
+
+// Endpoint to query the download attempt history
+// (?from=&to= ISO dates, ?outcome=success|failure, ?publication=, ?trigger=, ?limit=)
+app.get(['/api/history', '/history'], (req, res) => {
+    try {
+        const { from, to, outcome, publication, trigger, limit } = req.query;
+        res.json({ attempts: history.query({ from, to, outcome, publication, trigger, limit }) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Full-text search across downloaded issues (?q=, ?publication=, ?limit=)
+app.get('/api/search', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const { publication } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+
+    if (query.replace(/"/g, '').trim().length < 2) {
+        return res.status(400).json({ error: 'Query parameter q must have at least 2 characters' });
+    }
+    if (publication && !contexts.has(publication)) {
+        return res.status(404).json({ error: `Unknown publication: ${publication}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: `Invalid limit "${req.query.limit}"` });
+    }
+
+    try {
+        const records = new Map(); // Publication id -> issues by file name
+        const results = [];
+        for (const hit of textIndex.search(query, { publication })) {
+            const ctx = contexts.get(hit.publication);
+            if (!ctx) continue;
+            if (!records.has(hit.publication)) {
+                records.set(hit.publication, new Map(ctx.store.list().map(issue => [issue.fileName, issue])));
+            }
+            // Issues removed by retention since they were indexed are left out
+            const issue = records.get(hit.publication).get(hit.fileName);
+            if (!issue) continue;
+
+            results.push({
+                publication: hit.publication,
+                issueNumber: issue.number,
+                slug: issue.slug,
+                title: issue.title,
+                fileName: issue.fileName,
+                downloadUrl: fileUrl(ctx, 'downloads', issue.fileName),
+                score: hit.score,
+                matches: hit.matches
+            });
+        }
+
+        res.json({ query, total: results.length, results: results.slice(0, limit) });
+    } catch (error) {
+        req.log.error('Error searching issues', error);
+        res.status(500).json({ error: 'Error searching issues' });
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`API Server started at http://localhost:${PORT}`);
-    console.log('Available endpoints:');
-    console.log('- GET  /api/latest          - Get latest issue information');
-    console.log('- GET  /api/download/latest - Download latest issue');
-    console.log('- GET  /api/cached-file     - Get cached file directly');
-    console.log('- GET  /api/status/:issueNumber - Check download status');
-    console.log('- GET  /api/downloads       - List all downloaded issues');
-    console.log('- GET  /downloads/:filename  - Download specific file');
-    console.log('- GET  /cache/:filename      - Download specific file from cache');
+// Prometheus metrics (downloads, conversion waits, cache lookups, HTTP latency and bytes)
+app.get('/metrics', metrics.metricsHandler);
+
+// Liveness: the process answers (never checks upstream services)
+app.get('/health/live', (req, res) => {
+    res.json(health.liveness());
 });
 
-module.exports = app;
+// Readiness: local state only (data and downloads writable); upstream outages and
+// download age are in /health, so they never fail a deploy
+app.get('/health/ready', (req, res) => {
+    const readiness = health.readiness();
+    res.status(readiness.status === 'ok' ? 200 : 503).json({ ...readiness, checkedAt: new Date().toISOString() });
+});
+
+// Detailed health report: status ok, degraded or unhealthy, the result of every check
+// and the issues available for each publication
+app.get('/health', async (req, res) => {
+    try {
+        const report = await health.report();
+        res.status(report.status === 'unhealthy' ? 503 : 200).json({
+            status: report.status,
+            checkedAt: report.checkedAt,
+            downloadsPath: path.resolve(config.paths.downloads),
+            defaultPublication: defaultPublicationId,
+            checks: report.checks,
+            publications: Array.from(contexts.values()).map(ctx => {
+                const issues = ctx.store.list();
+                return {
+                    id: ctx.publication.id,
+                    name: ctx.publication.name,
+                    filesAvailable: issues.length,
+                    files: issues.map(issue => ({
+                        name: issue.fileName,
+                        title: issue.title,
+                        number: issue.number,
+                        size: `${(issue.size / 1024 / 1024).toFixed(2)} MB`,
+                        pages: issue.pdf ? issue.pdf.pageCount : null,
+                        checksum: issue.checksum,
+                        modified: issue.downloadedAt
+                    }))
+                };
+            })
+        });
+    } catch (error) {
+        req.log.error('Error building health report', error);
+        res.status(500).json({ error: 'Error building health report' });
+    }
+});
+
+// Endpoint to get a single download job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Backfill reports by id (kept in memory while the server runs)
+const backfills = new Map();
+
+/**
+ * Protects admin endpoints with ADMIN_TOKEN (Authorization: Bearer <token>);
+ * without a token they are disabled
+ */
+function requireAdmin(req, res, next) {
+    const token = config.adminToken;
+    if (!token) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled (set ADMIN_TOKEN to enable them)' });
+    }
+    if (req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Admin endpoint to backfill a range of historical issues, e.g. { "range": "280-305", "publication": "bpview" }
+// (downloads run as jobs of the shared queue; refused unless archive mode keeps them)
+app.post('/api/admin/backfill', requireAdmin, (req, res) => {
+    const { range, concurrency, delayMs, publication } = req.body || {};
+
+    if (publication && !contexts.has(publication)) {
+        return res.status(404).json({ error: 'Publication not found' });
+    }
+    const ctx = getContext(publication);
+    if (!ctx.tracker.baseUrl) {
+        return res.status(400).json({ error: `${ctx.publication.name} issues cannot be addressed by number` });
+    }
+
+    let issueNumbers;
+    try {
+        issueNumbers = parseIssueRange(range);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const backfill = new Backfill({ scheduler: ctx.scheduler, concurrency, delayMs });
+    try {
+        backfill.checkArchiveMode();
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+
+    const id = `backfill-${Date.now()}`;
+    const report = { id, publication: ctx.publication.id, range, status: 'queued' };
+    backfills.set(id, report);
+
+    // Issues already on disk are skipped, so wait for the records of older PDFs
+    ctx.ready.then(() => backfill.run(issueNumbers, report)).catch(error => {
+        log.error('Backfill failed', { backfill: id, error });
+        Object.assign(report, { status: 'failed', error: error.message });
+    });
+
+    res.status(202).json({ id, statusUrl: `/api/admin/backfill/${id}`, requested: issueNumbers.length });
+});
+
+// Admin endpoint to get a backfill summary report
+app.get('/api/admin/backfill/:id', requireAdmin, (req, res) => {
+    const report = backfills.get(req.params.id);
+    if (!report) {
+        return res.status(404).json({ error: 'Backfill not found' });
+    }
+    res.json(report);
+});
+
+/**
+ * Records PDFs from before issue records, then reads the PDF metadata of records
+ * without it and indexes the text of new or changed PDFs. Runs in the background
+ * once the server listens: routes that need the records wait for ctx.ready, and
+ * the PDF parsing runs on the worker thread
+ */
+function prepareStores() {
+    for (const ctx of contexts.values()) {
+        const publication = ctx.publication.id;
+        ctx.ready = ctx.store.importFiles(ctx.tracker)
+            .then(imported => imported.length > 0 && log.info('Recorded existing issues', { publication, count: imported.length }))
+            .catch(error => log.error('Error recording existing issues', { publication, error }));
+
+        ctx.ready
+            .then(() => ctx.store.addMissingMetadata())
+            .then(updated => updated > 0 && log.info('Read PDF metadata of existing issues', { publication, count: updated }))
+            .catch(error => log.error('Error reading PDF metadata of existing issues', { publication, error }))
+            .then(() => textIndex.reindex(publication, ctx.downloader.outputDir))
+            .then(report => {
+                if (report.indexed.length > 0 || report.removed.length > 0) {
+                    log.info('Updated the search index', { publication, indexed: report.indexed.length, removed: report.removed.length });
+                }
+                for (const failure of report.failed) {
+                    log.warn('Could not index issue text', { publication, fileName: failure.fileName, error: failure.error });
+                }
+            })
+            .catch(error => log.error('Error updating the search index', { publication, error }));
+    }
+}
+
+/**
+ * Starts the server: moves PDFs from before per-publication folders, schedules
+ * every publication's downloads and listens, then prepares the issue records and
+ * the search index in the background (see prepareStores)
+ * @param {number} port - Port (default: the port setting)
+ * @returns {http.Server}
+ */
+function start(port = PORT) {
+    process.on('uncaughtException', error => {
+        log.error('Uncaught exception', error);
+    });
+    process.on('unhandledRejection', reason => {
+        log.error('Unhandled rejection', reason instanceof Error ? reason : { reason: String(reason) });
+    });
+
+    // PDFs from before per-publication folders belong to the default publication
+    const downloadsDir = config.paths.downloads;
+    if (fs.existsSync(downloadsDir)) {
+        const defaultDir = getContext(defaultPublicationId).downloader.outputDir;
+        for (const name of fs.readdirSync(downloadsDir).filter(f => f.endsWith('.pdf'))) {
+            fs.mkdirSync(defaultDir, { recursive: true });
+            fs.renameSync(path.join(downloadsDir, name), path.join(defaultDir, name));
+        }
+    }
+
+    for (const ctx of contexts.values()) {
+        ctx.scheduler.scheduleDownloads();
+    }
+
+    return app.listen(port, () => {
+        prepareStores();
+        log.info(`Server started at http://localhost:${port}`, {
+            publications: registry.list().map(p => p.id).join(','),
+            defaultPublication: defaultPublicationId,
+            downloadsPath: path.resolve(downloadsDir)
+        });
+        // Endpoint overview for humans; JSON logs stay machine-readable
+        if (config.logging.format !== 'json') {
+            console.log('Available endpoints:');
+            console.log('- GET  /download            - Newest PDF of the default publication (downloads it if needed, ?inline=1 to display it)');
+            console.log('- GET  /view/:issueNumber   - Show an issue in the PDF viewer (also /view/latest)');
+            console.log('- GET  /refresh             - Download the latest issue now');
+            console.log('- GET  /discover            - Dry-run issue discovery');
+            console.log('- GET  /publications/:id/download - Same root routes for one publication (also view, refresh, discover)');
+            console.log('- GET  /api/latest          - Get latest issue information');
+            console.log('- GET  /api/download/latest - Download latest issue');
+            console.log('- GET  /api/cached-file     - Get cached file directly');
+            console.log('- GET  /api/status/:issueNumber - Check download status');
+            console.log('- GET  /api/discover        - Dry-run issue discovery');
+            console.log('- GET  /api/issues/:issueNumber/pages?range= - Get some pages of an issue as a PDF');
+            console.log('- GET  /api/downloads       - List all downloaded issues');
+            console.log('- GET  /api/publications    - List tracked publications');
+            console.log('- GET  /api/publications/:id/latest - Same issue routes for one publication');
+            console.log('- GET  /api/jobs            - List download jobs');
+            console.log('- GET  /api/jobs/:id        - Get download job status');
+            console.log('- GET  /api/events          - Stream download progress (SSE, also /events)');
+            console.log('- GET  /api/history         - Query download attempt history (also /history)');
+            console.log('- GET  /api/search?q=       - Search the text of downloaded issues');
+            console.log('- GET  /metrics             - Prometheus metrics');
+            console.log('- GET  /health              - Detailed health report (also /health/live, /health/ready)');
+            console.log('- POST /api/admin/backfill  - Download a range of historical issues');
+            console.log('- GET  /api/admin/backfill/:id - Get a backfill report');
+            console.log('- GET  /downloads/:publication/:filename - Download specific file');
+            console.log('- GET  /cache/:publication/:filename     - Download specific file from cache');
+        }
+    }).on('error', error => {
+        log.error('Server error', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app, start };
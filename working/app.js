@@ -5,17 +5,48 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const { pipeline } = require('stream');
+const EventEmitter = require('events');
+const { createProviders } = require('./providers');
+const DownloadCoordinator = require('./downloadCoordinator');
+const { runPdfTask } = require('./pdfWorker');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('downloader');
 
 /**
  * Issuu Document Downloader
-
+ *
+ * Emits (every payload carries documentUrl):
+ *   - progress  { state, provider, progress } conversion stage and percentage
+ *   - bytes     { received, total } bytes written while fetching the PDF
+ *   - complete  { provider, outputPath, size }
+ *   - failed    { error }
  */
-class IssuuDownloader {
-    constructor() {
-        this.apiUrl = 'https://backend.img2pdf.net/download-pdf';
-        this.statusUrl = 'https://backend.img2pdf.net/job';
-        this.outputDir = 'downloads';
+class IssuuDownloader extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string|Array} options.providers - Conversion providers in fallback order
+     *   (defaults to conversion.providers, CONVERSION_PROVIDERS env, e.g. "img2pdf")
+     * @param {Object} options.providerOptions - Options keyed by provider name
+     * @param {DownloadCoordinator} options.coordinator - Shared single-flight coordinator
+     * @param {Object} options.config - Configuration (default: getConfig())
+     */
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0); // one listener per connected event stream client
+        this.config = options.config || getConfig();
+        this.outputDir = this.config.paths.downloads;
         this.lastPdfUrl = null; // Store the last downloaded PDF URL
+        this.lastProvider = null; // Name of the provider that produced the last file
+        this.requestTimeout = this.config.conversion.requestTimeoutMs;
+        this.providers = createProviders(
+            this,
+            options.providers || this.config.conversion.providers,
+            options.providerOptions
+        );
+        this.coordinator = options.coordinator || new DownloadCoordinator();
     }
 
     /**
@@ -50,12 +81,13 @@ class IssuuDownloader {
                 res.on('end', () => {
                     const buffer = Buffer.concat(chunks);
                     // Convert to string for JSON responses; caller may parse JSON
-                    const dataStr = buffer.toString('utf8');
+                    // (binary callers such as page image fetches get the raw Buffer)
+                    const data = options.binary ? buffer : buffer.toString('utf8');
 
                     resolve({
                         statusCode: res.statusCode,
                         headers: res.headers,
-                        data: dataStr
+                        data
                     });
                 });
 
@@ -68,6 +100,10 @@ class IssuuDownloader {
                 reject(err);
             });
 
+            req.setTimeout(options.timeout || this.requestTimeout, () => {
+                req.destroy(new Error(`Request timed out: ${url}`));
+            });
+
             if (options.data) {
                 req.write(options.data);
             }
@@ -77,71 +113,189 @@ class IssuuDownloader {
     }
 
     /**
-     * Downloads a file from a URL
+     * Reads the resume state saved next to a partial download
+     * @param {string} tmpPath - Temporary file path
+     * @returns {Object|null} - { url, etag, lastModified, totalSize } or null
+     */
+    readPartialState(tmpPath) {
+        try {
+            if (!fs.existsSync(tmpPath)) return null;
+            return JSON.parse(fs.readFileSync(`${tmpPath}.json`, 'utf8'));
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Saves the resume state for a partial download
+     */
+    writePartialState(tmpPath, state) {
+        fs.writeFileSync(`${tmpPath}.json`, JSON.stringify(state));
+    }
+
+    /**
+     * Removes a partial download and its resume state
+     */
+    discardPartial(tmpPath) {
+        fs.rmSync(tmpPath, { force: true });
+        fs.rmSync(`${tmpPath}.json`, { force: true });
+    }
+
+    /**
+     * Performs one download attempt into the temporary file, resuming from
+     * its current size with a Range request when the saved state allows it
+     * @returns {Promise<void>} - Resolves once the temp file holds the full body
      */
-    downloadFile(url, outputPath) {
+    fetchToTemp(url, tmpPath, documentUrl = null) {
         return new Promise((resolve, reject) => {
             const urlObj = new URL(url);
-            const isHttps = urlObj.protocol === 'https:';
-            const client = isHttps ? https : http;
-            
-            // Write to a temporary file first, then rename to avoid serving partial files
-            const tmpPath = `${outputPath}.tmp`;
-            const file = fs.createWriteStream(tmpPath);
+            const client = urlObj.protocol === 'https:' ? https : http;
+
+            let state = this.readPartialState(tmpPath);
+            if (state && state.url !== url) {
+                // A partial of another URL (conversion services make a new output URL per job)
+                // may be a different file of the same size: never append to it
+                log.info('Discarding partial download of another URL', { url, previousUrl: state.url });
+                state = null;
+            }
+            const validator = state && (state.etag || state.lastModified);
+            let offset = 0;
+            if (state && (validator || state.totalSize)) {
+                offset = fs.statSync(tmpPath).size;
+            } else {
+                this.discardPartial(tmpPath);
+            }
+
+            const headers = { 'User-Agent': 'Mozilla/5.0' };
+            if (offset > 0) {
+                headers['Range'] = `bytes=${offset}-`;
+                if (validator) headers['If-Range'] = validator;
+                log.info('Resuming download', { url, offsetMB: (offset / 1024 / 1024).toFixed(2) });
+            }
 
-            const request = client.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    // consume response and delete tmp file
+            const request = client.get(url, { headers }, (response) => {
+                const etag = response.headers['etag'] || null;
+                const lastModified = response.headers['last-modified'] || null;
+                let append = false;
+                let totalSize = null;
+
+                if (response.statusCode === 206) {
+                    // Content-Range: bytes <start>-<end>/<total>
+                    const range = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+                    totalSize = range && range[3] !== '*' ? parseInt(range[3], 10) : null;
+                    // A validator the partial was saved with must come back unchanged
+                    const saved = state || {};
+                    const sameEntity = (!saved.etag || saved.etag === etag)
+                        && (!saved.lastModified || !lastModified || saved.lastModified === lastModified)
+                        && (!saved.totalSize || !totalSize || saved.totalSize === totalSize);
+
+                    if (!range || parseInt(range[1], 10) !== offset || !sameEntity) {
+                        response.resume();
+                        this.discardPartial(tmpPath);
+                        const error = new Error('Partial response does not match the saved download, restarting');
+                        error.retryable = true;
+                        return reject(error);
+                    }
+                    append = true;
+                } else if (response.statusCode === 200) {
+                    // Server ignored or refused the range (or the file changed): full restart
+                    if (offset > 0) log.warn('Server refused range request, restarting download', { url });
+                    const length = parseInt(response.headers['content-length'], 10);
+                    totalSize = isNaN(length) ? null : length;
+                } else if (response.statusCode === 416 && state && state.totalSize === offset) {
+                    // Nothing left to fetch: the temp file is already complete
+                    response.resume();
+                    return resolve();
+                } else {
                     response.resume();
-                    file.destroy();
-                    fs.unlink(tmpPath, () => {});
-                    return reject(new Error(`Error downloading: ${response.statusCode}`));
+                    if (response.statusCode === 416) this.discardPartial(tmpPath);
+                    const error = new Error(`Error downloading: ${response.statusCode}`);
+                    error.retryable = response.statusCode === 416 || response.statusCode >= 500;
+                    return reject(error);
                 }
 
-                response.pipe(file);
-
-                // Handle response errors
-                response.on('error', (err) => {
-                    file.destroy();
-                    fs.unlink(tmpPath, () => {});
-                    reject(err);
+                this.writePartialState(tmpPath, { url, etag, lastModified, totalSize });
+
+                // Report bytes received at most twice a second
+                let received = append ? offset : 0;
+                let lastEmit = 0;
+                response.on('data', (chunk) => {
+                    received += chunk.length;
+                    const now = Date.now();
+                    if (now - lastEmit >= 500 || received === totalSize) {
+                        lastEmit = now;
+                        this.emit('bytes', { documentUrl, url, received, total: totalSize });
+                    }
                 });
 
-                // Handle file stream errors
-                file.on('error', (err) => {
-                    response.unpipe(file);
-                    fs.unlink(tmpPath, () => {});
-                    reject(err);
-                });
+                const file = fs.createWriteStream(tmpPath, { flags: append ? 'a' : 'w' });
+                pipeline(response, file, (err) => {
+                    if (err) {
+                        err.retryable = true;
+                        return reject(err);
+                    }
 
-                file.on('finish', () => {
-                    // Ensure data is flushed to disk then rename
-                    file.close((closeErr) => {
-                        if (closeErr) {
-                            fs.unlink(tmpPath, () => {});
-                            return reject(closeErr);
-                        }
-
-                        // Atomically move temp file to final destination
-                        fs.rename(tmpPath, outputPath, (renameErr) => {
-                            if (renameErr) {
-                                fs.unlink(tmpPath, () => {});
-                                return reject(renameErr);
-                            }
-                            resolve();
-                        });
-                    });
+                    const size = fs.statSync(tmpPath).size;
+                    if (totalSize !== null && size !== totalSize) {
+                        const error = new Error(`Incomplete download: ${size} of ${totalSize} bytes`);
+                        error.retryable = true;
+                        return reject(error);
+                    }
+                    resolve();
                 });
             });
 
+            request.setTimeout(this.requestTimeout * 2, () => {
+                request.destroy(new Error(`Download stalled: ${url}`));
+            });
+
             request.on('error', (err) => {
-                file.destroy();
-                fs.unlink(tmpPath, () => {}); // Delete partial file
+                err.retryable = true;
                 reject(err);
             });
         });
     }
 
+    /**
+     * Downloads a file from a URL
+     *
+     * Writes to <outputPath>.tmp and renames it into place when complete. If the
+     * transfer drops, the partial file is kept and the next attempt (or the next
+     * call) resumes it with a Range request validated by ETag/Content-Length.
+     * @param {Object} options - { maxRetries, documentUrl, validate } (documentUrl tags 'bytes'
+     *   events; validate(tmpPath) runs before the rename and its error discards the file)
+     */
+    async downloadFile(url, outputPath, options = {}) {
+        const tmpPath = `${outputPath}.tmp`;
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.fetchToTemp(url, tmpPath, options.documentUrl || null);
+                break;
+            } catch (error) {
+                if (!error.retryable || attempt >= maxRetries) {
+                    throw error;
+                }
+                log.warn('Download interrupted, retrying', { url, error: error.message, attempt: attempt + 1, maxRetries });
+                await this.sleep(Math.min(1000 * 2 ** attempt, 10000));
+            }
+        }
+
+        if (options.validate) {
+            try {
+                await options.validate(tmpPath);
+            } catch (error) {
+                this.discardPartial(tmpPath);
+                throw error;
+            }
+        }
+
+        // Atomically move temp file to final destination
+        await fs.promises.rename(tmpPath, outputPath);
+        fs.rmSync(`${tmpPath}.json`, { force: true });
+    }
+
     /**
      * Waits for a specified time
      */
@@ -156,6 +310,18 @@ class IssuuDownloader {
         return name.replace(/[^a-zA-Z0-9\-_\. ]/g, '').trim();
     }
 
+    /**
+     * Gets the path a document is saved to (named after the last URL segment)
+     * @param {string} documentUrl - Issuu document URL
+     * @param {string} customFileName - Optional name overriding the URL slug
+     * @returns {string} - Output file path
+     */
+    getOutputPath(documentUrl, customFileName = null) {
+        const urlParts = documentUrl.split('/');
+        const documentName = customFileName || urlParts[urlParts.length - 1].replace(/[_-]/g, ' ');
+        return path.join(this.outputDir, this.formatFileName(documentName) + '.pdf');
+    }
+
     /**
      * Creates the output directory if it doesn't exist
      */
@@ -166,163 +332,445 @@ class IssuuDownloader {
     }
 
     /**
-     * Initiates the conversion of the Issuu document to PDF
+     * Checks that a downloaded file is a complete, well-formed PDF (an HTML error
+     * page or a truncated transfer is not): header, %%EOF, cross-reference data,
+     * trailer and page tree. The file is parsed on the PDF worker thread
+     * @param {string} filePath - Downloaded file
+     * @returns {Promise<Object>} - Validation result ({ version, pageCount, warnings, ... })
+     * @throws {Error} - When the file is not a valid PDF (error.validation holds the result)
      */
-    async startConversion(documentUrl) {
-        console.log(`🔄 Starting conversion for: ${documentUrl}`);
-        
-        const payload = JSON.stringify({ url: documentUrl });
-        
-        try {
-            const response = await this.makeRequest(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3',
-                    'Accept': 'application/json',
-                    'Accept-Encoding': 'utf8',
-                    'Content-Length': Buffer.byteLength(payload).toString(),
-                    'Content-Type': 'application/json',
-                    'Custom-Request-Id': '44AA3F37-FBED-4B77-BE51-5CFC2FED5869',
-                    'Origin': 'https://issuudownload.com',
-                    'Priority': 'u=1, i',
-                    'Referer': 'https://issuudownload.com/',
-                    'Scope': 'issuu',
-                    'Sec-Ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-                    'Sec-Ch-ua-Mobile': '?0',
-                    'Sec-Ch-ua-Platform': '"Windows"',
-                    'Sec-Fetch-Dest': 'empty',
-                    'Sec-Fetch-Mode': 'cors',
-                    'Sec-Fetch-Site': 'cross-site'
-                },
-                data: payload
-            });
-
-            if (response.statusCode !== 200) {
-                throw new Error(`Request error: ${response.statusCode}`);
-            }
-
-            const result = JSON.parse(response.data);
-            console.log(`📋 Server Response:`, result);
-            
-            return result;
-        } catch (error) {
-            console.error(`❌ Error starting conversion:`, error.message);
+    async validateDownload(filePath) {
+        const result = await runPdfTask('validate', filePath);
+        if (!result.valid) {
+            const error = new Error(`Downloaded file is not a valid PDF: ${result.errors.join('; ')}`);
+            error.validation = result;
             throw error;
         }
+        if (result.warnings.length > 0) {
+            log.warn('Downloaded PDF has structural warnings', { filePath, warnings: result.warnings });
+        }
+        return result;
     }
 
     /**
-     * Checks the conversion status
+     * Runs a single provider: start job, poll until finished, fetch result
+     * @param {Function} onStatus - Optional ({ state, progress, provider }) callback
      */
-    async checkConversionStatus(jobId) {
-        try {
-            const response = await this.makeRequest(`${this.statusUrl}/${jobId}`, {
-                method: 'GET',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3',
-                    'Accept': 'application/json',
-                    'Accept-Encoding': 'utf8',
-                    'Content-Type': 'application/json',
-                    'Custom-Request-Id': '44AA3F37-FBED-4B77-BE51-5CFC2FED5869',
-                    'Origin': 'https://issuudownload.com',
-                    'Priority': 'u=1, i',
-                    'Referer': 'https://issuudownload.com/',
-                    'Scope': 'issuu',
-                    'Sec-Ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-                    'Sec-Ch-ua-Mobile': '?0',
-                    'Sec-Ch-ua-Platform': '"Windows"',
-                    'Sec-Fetch-Dest': 'empty',
-                    'Sec-Fetch-Mode': 'cors',
-                    'Sec-Fetch-Site': 'cross-site'
+    async runProvider(provider, documentUrl, outputPath, onStatus = () => {}) {
+        const report = (state, progress) => {
+            const update = progress !== undefined
+                ? { state, progress, provider: provider.name }
+                : { state, provider: provider.name };
+            onStatus(update);
+            this.emit('progress', { documentUrl, ...update });
+        };
+
+        report('converting', 0);
+        const convertStartedAt = Date.now();
+        const converted = outcome => this.emit('conversion', {
+            documentUrl,
+            provider: provider.name,
+            outcome,
+            waitMs: Date.now() - convertStartedAt
+        });
+        let job = { ...(await provider.startJob(documentUrl)), documentUrl };
+
+        if (job.status !== 'succeeded') {
+            log.info('Waiting for processing', { documentUrl, provider: provider.name, jobId: job.id });
+
+            const pollInterval = provider.pollInterval || this.config.conversion.pollIntervalMs;
+            const maxAttempts = provider.maxAttempts || this.config.conversion.maxAttempts;
+            let attempts = 0;
+
+            while (job.status !== 'succeeded') {
+                if (attempts >= maxAttempts) {
+                    converted('timeout');
+                    throw new Error('Timeout waiting for conversion');
                 }
-            });
-            
-            if (response.statusCode !== 200) {
-                throw new Error(`Error checking status: ${response.statusCode}`);
+
+                await this.sleep(pollInterval);
+                job = await provider.pollJob(job);
+                log.debug('Conversion status', { documentUrl, status: job.status, progress: job.progress || 0 });
+                report('converting', job.progress || 0);
+
+                if (job.status === 'failed') {
+                    converted('failed');
+                    throw new Error('Conversion failed on server');
+                }
+
+                attempts++;
             }
+        }
+        // A finished job of a URL-based provider is only usable with its file URL
+        if (provider.resultFromUrl && !job.outputFile) {
+            converted('failed');
+            throw new Error('Conversion succeeded without an output file');
+        }
+        converted('succeeded');
 
-            return JSON.parse(response.data);
-        } catch (error) {
-            console.error(`❌ Error checking status:`, error.message);
-            throw error;
+        if (job.outputFile) {
+            this.lastPdfUrl = job.outputFile; // Store URL
+        }
+        report('downloading', 100);
+        let validated = false;
+        await provider.fetchResult(job, outputPath, {
+            validate: async (tmpPath) => {
+                report('validating');
+                await this.validateDownload(tmpPath);
+                validated = true;
+            }
+        });
+
+        // Providers that write the file themselves are checked after the fact
+        if (!validated) {
+            report('validating');
+            try {
+                await this.validateDownload(outputPath);
+            } catch (error) {
+                fs.rmSync(outputPath, { force: true });
+                throw error;
+            }
         }
     }
 
     /**
      * Downloads an Issuu document
+     * Concurrent calls that save the same URL to the same file share a single
+     * download and its result (a call with another customFileName gets its own).
+     * A call that joins a running download gets its onStatus updates from then
+     * on; the download keeps the trigger of the call that started it.
+     * @param {Object} options - { onStatus } receives state/progress updates;
+     *   { trigger } names what started it (cron, refresh, on-demand, ...) for 'complete'/'failed'
      */
-    async downloadDocument(documentUrl, customFileName = null) {
+    downloadDocument(documentUrl, customFileName = null, options = {}) {
+        const key = `${documentUrl} -> ${this.getOutputPath(documentUrl, customFileName)}`;
+        return this.coordinator.run(
+            key,
+            notify => this.performDownload(documentUrl, customFileName, { ...options, onStatus: notify }),
+            options.onStatus
+        );
+    }
+
+    /**
+     * Performs the download, falling back through the configured providers
+     */
+    async performDownload(documentUrl, customFileName = null, options = {}) {
+        const startedAt = Date.now();
+        const trigger = options.trigger || 'manual';
+        const failures = [];
+        let attempted = null;
+        this.emit('started', { documentUrl, trigger });
+
         try {
             this.ensureOutputDir();
             
-            // Extract document name from URL
-            const urlParts = documentUrl.split('/');
-            const documentName = customFileName || urlParts[urlParts.length - 1].replace(/[_-]/g, ' ');
-            const fileName = this.formatFileName(documentName) + '.pdf';
-            const outputPath = path.join(this.outputDir, fileName);
-            
-            console.log(`📄 Document: ${documentName}`);
-            console.log(`💾 Output File: ${outputPath}`);
-            
-            // Start conversion
-            const conversionResult = await this.startConversion(documentUrl);
+            const outputPath = this.getOutputPath(documentUrl, customFileName);
+            const documentName = path.basename(outputPath, '.pdf');
             
-            // If the file is already ready
-            if (conversionResult.outputFile) {
-                console.log(`⬇️  Downloading PDF from: ${conversionResult.outputFile}`);
-                this.lastPdfUrl = conversionResult.outputFile; // Store URL
-                await this.downloadFile(conversionResult.outputFile, outputPath);
-                
-                const stats = fs.statSync(outputPath);
-                console.log(`✅ Download complete!`);
-                console.log(`📊 Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-                return true;
-            }
-            
-            // If we need to wait for processing
-            if (conversionResult.id) {
-                const jobId = conversionResult.id;
-                console.log(`⏳ Waiting for processing (ID: ${jobId})...`);
-                
-                let attempts = 0;
-                const maxAttempts = 30; // 5 minutes max
-                
-                while (attempts < maxAttempts) {
-                    await this.sleep(10000); // Wait 10 seconds
-                    
-                    const status = await this.checkConversionStatus(jobId);
-                    console.log(`📊 Status: ${status.status} - Progress: ${status.progress || 0}%`);
-                    
-                    if (status.status === 'succeeded' && status.outputFile) {
-                        console.log(`⬇️  Downloading PDF from: ${status.outputFile}`);
-                        this.lastPdfUrl = status.outputFile; // Store URL
-                        await this.downloadFile(status.outputFile, outputPath);
-                        
-                        const stats = fs.statSync(outputPath);
-                        console.log(`✅ Download complete!`);
-                        console.log(`📊 Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-                        return true;
-                    }
-                    
-                    if (status.status === 'failed') {
-                        throw new Error('Conversion failed on server');
+            log.info('Downloading document', { documentUrl, document: documentName, outputPath, trigger });
+
+            for (let i = 0; i < this.providers.length; i++) {
+                const provider = this.providers[i];
+                attempted = provider.name;
+                try {
+                    log.info('Using provider', { documentUrl, provider: provider.name });
+                    await this.runProvider(provider, documentUrl, outputPath, options.onStatus);
+                    this.lastProvider = provider.name;
+
+                    const stats = fs.statSync(outputPath);
+                    log.info('Download complete', {
+                        documentUrl,
+                        provider: provider.name,
+                        sizeMB: (stats.size / 1024 / 1024).toFixed(2),
+                        durationMs: Date.now() - startedAt
+                    });
+                    this.emit('complete', {
+                        documentUrl,
+                        provider: provider.name,
+                        outputPath,
+                        size: stats.size,
+                        trigger,
+                        durationMs: Date.now() - startedAt
+                    });
+                    return true;
+                } catch (error) {
+                    log.warn('Provider failed', { documentUrl, provider: provider.name, error: error.message });
+                    failures.push(`${provider.name}: ${error.message}`);
+                    if (i < this.providers.length - 1) {
+                        log.info('Falling back to next provider', { documentUrl, provider: this.providers[i + 1].name });
                     }
-                    
-                    attempts++;
                 }
-                
-                throw new Error('Timeout waiting for conversion');
             }
-            
-            throw new Error('Unexpected server response');
+
+            throw new Error(`All conversion providers failed (${failures.join('; ')})`);
             
         } catch (error) {
-            console.error(`💔 Error during download:`, error.message);
+            log.error('Download failed', { documentUrl, error: error.message, trigger });
+            this.emit('failed', {
+                documentUrl,
+                error: error.message,
+                provider: attempted,
+                trigger,
+                durationMs: Date.now() - startedAt
+            });
             return false;
         }
     }
 }
 
+/**
+ * Reads "--name value" options (and "--name" switches) from CLI arguments
+ * @returns {{positional: string[], flags: Object}}
+ */
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const hasValue = i + 1 < args.length && !args[i + 1].startsWith('--');
+            flags[args[i].slice(2)] = hasValue ? args[i + 1] : true;
+            if (hasValue) i++;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Gets the publication named by --publication (default: the same default publication as the server)
+ */
+function getPublication(flags) {
+    const { PublicationRegistry } = require('./publications');
+    const registry = new PublicationRegistry();
+    const publication = flags.publication ? registry.get(flags.publication) : registry.getDefault();
+    if (!publication) {
+        throw new Error(`Unknown publication: ${flags.publication}`);
+    }
+    return publication;
+}
+
+/**
+ * Backfill subcommand: node app.js backfill <range> [--publication id] [--concurrency N] [--delay ms] [--server url]
+ * When the server is running (--server, default http://localhost:<port>) the backfill is sent to it
+ * (POST /api/admin/backfill, with ADMIN_TOKEN), so its job queue and issue store stay the only writers.
+ * Otherwise it runs here.
+ */
+async function backfillCommand(args) {
+    const { parseIssueRange } = require('./backfill');
+    const { positional, flags } = parseArgs(args);
+    const publication = getPublication(flags);
+    const config = getConfig();
+
+    const issueNumbers = parseIssueRange(positional[0]);
+    const options = {
+        concurrency: flags.concurrency ? parseInt(flags.concurrency, 10) : undefined,
+        delayMs: flags.delay ? parseInt(flags.delay, 10) : undefined
+    };
+    const server = typeof flags.server === 'string' ? flags.server.replace(/\/+$/, '') : `http://localhost:${config.port}`;
+
+    console.log(`📚 Backfilling ${issueNumbers.length} ${publication.name} issue(s): ${positional[0]}`);
+    const report = await isServerRunning(server)
+        ? await backfillOnServer(server, config, { range: positional[0], publication: publication.id, ...options })
+        : await backfillHere(publication, config, issueNumbers, options);
+
+    console.log('');
+    console.log('📋 Backfill summary');
+    console.log(`   Downloaded: ${report.downloaded.join(', ') || '-'}`);
+    console.log(`   Skipped (already on disk): ${report.skipped.join(', ') || '-'}`);
+    console.log(`   Missing on Issuu: ${report.missing.join(', ') || '-'}`);
+    console.log(`   Failed: ${report.failed.map(f => `${f.issueNumber} (${f.error})`).join(', ') || '-'}`);
+    console.log(`   Duration: ${(report.durationMs / 1000).toFixed(1)}s`);
+
+    if (report.failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Whether the server answers its liveness check
+ */
+async function isServerRunning(server) {
+    const axios = require('axios');
+    try {
+        await axios.get(`${server}/health/live`, { timeout: 2000 });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Sends a backfill to the running server and waits for its report
+ * @returns {Promise<Object>} - Backfill report
+ */
+async function backfillOnServer(server, config, body) {
+    const axios = require('axios');
+    const headers = config.adminToken ? { Authorization: `Bearer ${config.adminToken}` } : {};
+    const request = { headers, validateStatus: () => true };
+
+    const response = await axios.post(`${server}/api/admin/backfill`, body, request);
+    if (response.status !== 202) {
+        throw new Error(`The server at ${server} refused the backfill: ${(response.data && response.data.error) || response.status}`);
+    }
+    console.log(`📨 Sent to the server at ${server} (${response.data.id}), waiting for it to finish...`);
+
+    for (;;) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const { status, data } = await axios.get(`${server}${response.data.statusUrl}`, request);
+        if (status !== 200) {
+            throw new Error(`Could not read the backfill report: ${(data && data.error) || status}`);
+        }
+        if (data.status === 'failed') {
+            throw new Error(`Backfill failed: ${data.error}`);
+        }
+        if (data.status === 'completed') {
+            return data;
+        }
+    }
+}
+
+/**
+ * Runs a backfill in this process (no server is running, so nothing else writes the issue store)
+ * @returns {Promise<Object>} - Backfill report
+ */
+async function backfillHere(publication, config, issueNumbers, options) {
+    const { Backfill } = require('./backfill');
+    const DownloadScheduler = require('./scheduler');
+    const CacheManager = require('./cacheManager');
+    const TextIndex = require('./textIndex');
+
+    const downloader = new IssuuDownloader({ config });
+    downloader.outputDir = path.join(config.paths.downloads, publication.folder);
+    new TextIndex({ config }).attach(downloader, { publication: publication.id });
+    const scheduler = new DownloadScheduler({
+        publication,
+        downloader,
+        cache: new CacheManager({ cacheDir: path.join(config.paths.cache, publication.folder), config }),
+        config
+    });
+
+    const backfill = new Backfill({ scheduler, ...options });
+    backfill.checkArchiveMode();
+    await scheduler.store.importFiles(scheduler.tracker);
+    return backfill.run(issueNumbers);
+}
+
+/**
+ * Discover subcommand (dry run, nothing is downloaded):
+ * node app.js discover [--publication id] [--last-known N] [--json]
+ */
+async function discoverCommand(args) {
+    const IssueTracker = require('./issueTracker');
+    const { flags } = parseArgs(args);
+    const publication = getPublication(flags);
+
+    const tracker = new IssueTracker(publication);
+    const report = await tracker.dryRun(flags['last-known'] !== undefined ? { lastKnown: parseInt(flags['last-known'], 10) || null } : {});
+
+    if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`🔎 Discovery dry run for ${publication.name}`);
+    console.log('');
+    for (const source of report.sources) {
+        console.log(`🌐 ${source.url} (${source.type}): ${source.error ? `❌ ${source.error}` : `${source.candidates} candidate(s)`}`);
+    }
+    console.log('');
+    for (const candidate of report.candidates) {
+        console.log(`   ✔️  ${candidate.strategy} ${candidate.number !== null ? `#${candidate.number}` : candidate.slug} ${candidate.url} (${candidate.confidence}, ${candidate.detail})`);
+    }
+    for (const candidate of report.rejected) {
+        console.log(`   ✖️  ${candidate.strategy} ${candidate.number || candidate.url}: ${candidate.rejected}`);
+    }
+    console.log('');
+    console.log(report.wouldDownload ? `🎯 Would download: ${report.wouldDownload.url}` : '⚠️  No issue would be downloaded');
+    console.log(`   ${report.explanation}`);
+
+    if (!report.wouldDownload) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Reindex subcommand: extracts the text of PDFs already downloaded for search
+ * node app.js reindex [--publication id] [--force]
+ */
+async function reindexCommand(args) {
+    const TextIndex = require('./textIndex');
+    const { PublicationRegistry } = require('./publications');
+    const { flags } = parseArgs(args);
+    const config = getConfig();
+    const publications = flags.publication ? [getPublication(flags)] : new PublicationRegistry().list();
+
+    const index = new TextIndex({ config });
+    let failed = 0;
+    for (const publication of publications) {
+        const dir = path.join(config.paths.downloads, publication.folder);
+        console.log(`📝 Indexing ${publication.name} (${dir})`);
+        const report = await index.reindex(publication.id, dir, { force: !!flags.force });
+
+        console.log(`   Indexed: ${report.indexed.length}, unchanged: ${report.skipped.length}, removed: ${report.removed.length}`);
+        for (const failure of report.failed) {
+            console.log(`   ❌ ${failure.fileName}: ${failure.error}`);
+        }
+        failed += report.failed.length;
+    }
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Pages subcommand: saves some pages of a downloaded issue (or any PDF file) as a new PDF
+ * node app.js pages <issueNumber|file.pdf> <range> [--publication id] [--output file]
+ */
+async function pagesCommand(args) {
+    const { parsePageRange, formatPageRange, extractPages } = require('./pdfPages');
+    const { extractMetadata } = require('./pdfMetadata');
+    const { positional, flags } = parseArgs(args);
+    const [source, range] = positional;
+    if (!source || !range) {
+        throw new Error('Usage: node app.js pages <issueNumber|file.pdf> <range> [--publication id] [--output file]');
+    }
+
+    let filePath;
+    let name;
+    let title;
+    if (source.toLowerCase().endsWith('.pdf')) {
+        filePath = source;
+        name = path.basename(source, path.extname(source));
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+    } else {
+        const IssueStore = require('./issueStore');
+        const publication = getPublication(flags);
+        const store = new IssueStore({ dir: path.join(getConfig().paths.downloads, publication.folder), publication });
+        const issueNumber = /^\d+$/.test(source) ? parseInt(source, 10) : source;
+        const record = store.find(issueNumber);
+        if (!record || !fs.existsSync(record.filePath)) {
+            throw new Error(`${publication.name} issue ${source} has not been downloaded`);
+        }
+        filePath = record.filePath;
+        name = record.number !== null ? `issue_${record.number}` : record.slug;
+        title = record.title;
+    }
+
+    const { pageCount } = extractMetadata(filePath);
+    const pages = parsePageRange(range, pageCount);
+    const canonical = formatPageRange(pages);
+    const outputPath = flags.output || `${name}_pages_${canonical}.pdf`;
+
+    console.log(`📄 Extracting pages ${canonical} of ${filePath} (${pageCount} pages)`);
+    const data = extractPages(filePath, pages, { title: title ? `${title} (pages ${canonical})` : undefined });
+    fs.writeFileSync(outputPath, data);
+    console.log(`✅ Saved ${pages.length} page(s) to ${outputPath} (${(data.length / 1024 / 1024).toFixed(2)} MB)`);
+}
+
 /**
  * Main function
  */
@@ -335,13 +783,37 @@ async function main() {
         console.log('');
         console.log('Usage:');
         console.log('  node app.js <ISSUU_URL> [custom_name]');
+        console.log('  node app.js backfill <range> [--publication id] [--concurrency N] [--delay ms] [--server url]');
+        console.log('  node app.js discover [--publication id] [--last-known N] [--json]');
+        console.log('  node app.js reindex [--publication id] [--force]');
+        console.log('  node app.js pages <issueNumber|file.pdf> <range> [--publication id] [--output file]');
         console.log('');
         console.log('Examples:');
         console.log('  node app.js https://issuu.com/thebpview/docs/issue_296');
         console.log('  node app.js https://issuu.com/thebpview/docs/issue_296 "Issue 296 Custom Name"');
+        console.log('  node app.js backfill 280-305 --concurrency 2 --delay 5000');
+        console.log('  node app.js discover --publication weeklylink');
+        console.log('  node app.js reindex --publication bpview');
+        console.log('  node app.js pages 296 3-7,12 --output highlights.pdf');
         console.log('');
         process.exit(1);
     }
+
+    if (args[0] === 'backfill') {
+        return backfillCommand(args.slice(1));
+    }
+
+    if (args[0] === 'discover') {
+        return discoverCommand(args.slice(1));
+    }
+
+    if (args[0] === 'reindex') {
+        return reindexCommand(args.slice(1));
+    }
+
+    if (args[0] === 'pages') {
+        return pagesCommand(args.slice(1));
+    }
     
     const documentUrl = args[0];
     const customFileName = args[1] || null;
@@ -357,7 +829,7 @@ async function main() {
     console.log('');
     
     const downloader = new IssuuDownloader();
-    const success = await downloader.downloadDocument(documentUrl, customFileName);
+    const success = await downloader.downloadDocument(documentUrl, customFileName, { trigger: 'cli' });
     
     if (success) {
         console.log('');
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('backfill');
+
+/**
+ * Parses an issue range such as "280-305" or "280-285,290,300-305"
+ * @param {string} range - Range expression
+ * @returns {number[]} - Sorted unique issue numbers
+ */
+function parseIssueRange(range) {
+    const numbers = new Set();
+
+    for (const part of String(range || '').split(',')) {
+        const m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+        if (!m) {
+            throw new Error(`Invalid issue range: "${range}" (expected e.g. 280-305)`);
+        }
+
+        const from = parseInt(m[1], 10);
+        const to = m[2] !== undefined ? parseInt(m[2], 10) : from;
+        if (to < from) {
+            throw new Error(`Invalid issue range: ${from}-${to} ends before it starts`);
+        }
+        if (to - from > 1000) {
+            throw new Error(`Issue range ${from}-${to} is too large (max 1000 issues)`);
+        }
+
+        for (let n = from; n <= to; n++) numbers.add(n);
+    }
+
+    return Array.from(numbers).sort((a, b) => a - b);
+}
+
+/**
+ * Downloads a range of historical issues
+ * Skips issues already on disk and sends the rest to the publication's scheduler
+ * as download jobs (through the job queue when it has one, so they are recorded
+ * in the shared issue store like any other download). At most `concurrency`
+ * jobs are waited on at a time, and at most one starts every `delayMs`.
+ */
+class Backfill {
+    /**
+     * @param {Object} options
+     * @param {DownloadScheduler} options.scheduler - Scheduler of the publication (its downloader,
+     *   tracker, store and retention policy are used)
+     * @param {number} options.concurrency - Jobs in flight at once (default: 2)
+     * @param {number} options.delayMs - Minimum delay between download starts (default: 5000)
+     */
+    constructor(options = {}) {
+        this.scheduler = options.scheduler;
+        this.downloader = this.scheduler.downloader;
+        this.tracker = this.scheduler.tracker;
+        this.store = this.scheduler.store;
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.delayMs = options.delayMs !== undefined ? options.delayMs : 5000;
+        this.nextStart = 0;
+    }
+
+    /**
+     * Makes sure backfilled issues would be kept: without archive mode, retention
+     * leaves only the latest issue after every download, removing them again
+     * @throws {Error} - When archive mode is off
+     */
+    checkArchiveMode() {
+        if (!this.scheduler.cache.retention.archive) {
+            throw new Error('Archive mode is off: the next download would remove backfilled issues (set ARCHIVE_MODE=true)');
+        }
+    }
+
+    /**
+     * Checks if an issue is already downloaded
+     * @param {number} issueNumber - Issue number
+     * @returns {boolean} - true if the issue is recorded or its PDF exists
+     */
+    isOnDisk(issueNumber) {
+        if (this.store.findByNumber(issueNumber)) {
+            return true;
+        }
+        return fs.existsSync(this.downloader.getOutputPath(this.tracker.getIssueUrl(issueNumber)));
+    }
+
+    /**
+     * Checks if an issue exists on Issuu
+     * @param {string} url - Issue URL
+     * @returns {Promise<boolean>} - false when Issuu answers 404
+     */
+    async issueExists(url) {
+        const response = await this.downloader.makeRequest(url, { headers: { 'Accept': 'text/html' } });
+        return response.statusCode !== 404 && response.statusCode !== 410;
+    }
+
+    /**
+     * Waits until the rate limit allows the next download to start
+     */
+    async throttle() {
+        const now = Date.now();
+        const wait = Math.max(0, this.nextStart - now);
+        this.nextStart = Math.max(now, this.nextStart) + this.delayMs;
+        if (wait > 0) {
+            await this.downloader.sleep(wait);
+        }
+    }
+
+    /**
+     * Runs the backfill
+     * @param {number[]} issueNumbers - Issues to fetch
+     * @param {Object} report - Optional report object to fill in (lets callers watch progress)
+     * @returns {Promise<Object>} - Summary report
+     */
+    async run(issueNumbers, report = {}) {
+        Object.assign(report, {
+            status: 'running',
+            requested: issueNumbers.length,
+            completed: 0,
+            downloaded: [],
+            skipped: [],
+            missing: [],
+            failed: [],
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: null
+        });
+
+        const pending = [];
+        for (const n of issueNumbers) {
+            if (this.isOnDisk(n)) {
+                report.skipped.push(n);
+                report.completed++;
+            } else {
+                pending.push(n);
+            }
+        }
+
+        const worker = async () => {
+            while (pending.length > 0) {
+                const issueNumber = pending.shift();
+                const url = this.tracker.getIssueUrl(issueNumber);
+
+                try {
+                    await this.throttle();
+
+                    if (!(await this.issueExists(url))) {
+                        log.info('Issue not found on Issuu', { issueNumber, url });
+                        report.missing.push(issueNumber);
+                    } else {
+                        const job = await this.scheduler.runJob({
+                            publication: this.scheduler.publication.id,
+                            url,
+                            issueNumber,
+                            trigger: 'backfill'
+                        });
+                        if (job.state === 'done') {
+                            report.downloaded.push(issueNumber);
+                        } else {
+                            report.failed.push({ issueNumber, error: job.error || 'Download failed' });
+                        }
+                    }
+                } catch (error) {
+                    report.failed.push({ issueNumber, error: error.message });
+                }
+
+                report.completed++;
+                log.info('Backfill progress', { completed: report.completed, requested: report.requested });
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, pending.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        for (const key of ['downloaded', 'missing']) {
+            report[key].sort((a, b) => a - b);
+        }
+        report.failed.sort((a, b) => a.issueNumber - b.issueNumber);
+        report.status = 'completed';
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+
+        return report;
+    }
+}
+
+module.exports = {
+    Backfill,
+    parseIssueRange
+};
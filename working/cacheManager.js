@@ -1,14 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const RetentionPolicy = require('./retentionPolicy');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('cache');
 
 /**
  * Cache manager for downloaded files
- * Maintains only the latest available file and removes previous ones
+ * Maintains only the latest available file and removes previous ones,
+ * unless archive mode keeps prior issues (subject to the retention policy)
  */
 class CacheManager {
-    constructor() {
-        this.cacheDir = 'cache';
+    /**
+     * @param {Object} options - { cacheDir, retention, config } (cacheDir defaults to paths.cache,
+     *   the retention policy is created from the configuration if omitted)
+     */
+    constructor(options = {}) {
+        const config = options.config || getConfig();
+        this.cacheDir = options.cacheDir || config.paths.cache;
+        this.retention = options.retention || new RetentionPolicy({ config });
         this.ensureCacheDir();
     }
 
@@ -32,8 +44,10 @@ class CacheManager {
             throw new Error(`Source file does not exist: ${sourceFilePath}`);
         }
 
-        // Clear previous cache
-        this.clearCache();
+        // Clear previous cache (archive mode keeps prior issues)
+        if (!this.retention.archive) {
+            this.clearCache();
+        }
 
         // Create cache filename
         const cacheFileName = `latest_issue_${issueNumber}.pdf`;
@@ -42,7 +56,7 @@ class CacheManager {
         // Copy file to cache (synchronously)
         fs.copyFileSync(sourceFilePath, cacheFilePath);
 
-        console.log(`File saved to cache: ${cacheFilePath}`);
+        log.info('File saved to cache', { path: cacheFilePath });
 
         // Compute checksum and size
         try {
@@ -53,10 +67,14 @@ class CacheManager {
             // Save metadata with checksum and size
             this.saveMetadata(issueNumber, checksum, stats.size);
         } catch (err) {
-            console.error('Error computing checksum for cache file:', err);
+            log.error('Error computing checksum for cache file', err);
             // Save metadata without checksum
             this.saveMetadata(issueNumber);
         }
+
+        if (this.retention.archive) {
+            this.retention.apply(this.cacheDir);
+        }
         
         return cacheFilePath;
     }
@@ -96,7 +114,7 @@ class CacheManager {
             const data = fs.readFileSync(metadataPath, 'utf8');
             return JSON.parse(data);
         } catch (error) {
-            console.error('Error reading cache metadata:', error);
+            log.error('Error reading cache metadata', error);
             return null;
         }
     }
@@ -131,6 +149,24 @@ class CacheManager {
         return filePath;
     }
 
+    /**
+     * Gets HTTP validators for a cached file from its metadata
+     * @param {string} filePath - Path of the file being served
+     * @returns {Object} - { checksum, lastModified } or {} if the file is not the cached issue
+     */
+    getValidators(filePath) {
+        const metadata = this.getMetadata();
+
+        if (!metadata || path.basename(filePath) !== metadata.fileName) {
+            return {};
+        }
+
+        return {
+            checksum: metadata.checksum,
+            lastModified: metadata.cachedAt
+        };
+    }
+
     /**
      * Clears all files from cache except metadata.json
      */
@@ -145,7 +181,7 @@ class CacheManager {
             if (file !== 'metadata.json') {
                 const filePath = path.join(this.cacheDir, file);
                 fs.unlinkSync(filePath);
-                console.log(`File removed from cache: ${filePath}`);
+                log.info('File removed from cache', { path: filePath });
             }
         }
     }
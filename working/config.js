@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+/**
+ * Application configuration
+ *
+ * Every setting has a default, can be set in an optional config file
+ * (CONFIG_FILE, JSON or YAML, same nested keys as below) and overridden by
+ * its environment variable. Values are validated when loaded; invalid or
+ * unknown settings throw a ConfigError listing every problem, so a bad
+ * deployment fails at startup instead of at the first download.
+ *
+ * Classes take the result through their constructor ({ config }) and fall
+ * back to getConfig(), which loads it once from process.env.
+ */
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'port', default: 3000 },
+    { key: 'adminToken', env: 'ADMIN_TOKEN', type: 'string', default: null },
+
+    { key: 'paths.downloads', env: 'DOWNLOADS_DIR', type: 'string', default: 'downloads' },
+    { key: 'paths.cache', env: 'CACHE_DIR', type: 'string', default: 'cache' },
+    { key: 'paths.data', env: 'DATA_DIR', type: 'string', default: 'data' },
+
+    { key: 'publicationsFile', env: 'PUBLICATIONS_FILE', type: 'string', default: null },
+    { key: 'publications', type: 'array', default: null },
+    { key: 'defaultPublication', env: ['DEFAULT_PUBLICATION', 'PUBLICATION'], type: 'string', default: null },
+
+    { key: 'conversion.providers', env: 'CONVERSION_PROVIDERS', type: 'list', default: ['img2pdf', 'native'] },
+    { key: 'conversion.pollIntervalMs', env: 'CONVERSION_POLL_INTERVAL_MS', type: 'integer', default: 10000 },
+    { key: 'conversion.maxAttempts', env: 'CONVERSION_MAX_ATTEMPTS', type: 'integer', default: 30 },
+    { key: 'conversion.requestTimeoutMs', env: 'REQUEST_TIMEOUT_MS', type: 'integer', default: 30000 },
+    { key: 'conversion.img2pdfApiUrl', env: 'IMG2PDF_API_URL', type: 'url', default: 'https://backend.img2pdf.net/download-pdf' },
+    { key: 'conversion.img2pdfStatusUrl', env: 'IMG2PDF_STATUS_URL', type: 'url', default: 'https://backend.img2pdf.net/job' },
+    { key: 'conversion.manifestUrl', env: 'ISSUU_MANIFEST_URL', type: 'url', default: 'https://reader3.isu.pub/{account}/{slug}/reader3_4.json' },
+
+    { key: 'discovery.timeoutMs', env: 'DISCOVERY_TIMEOUT_MS', type: 'integer', default: 20000 },
+    { key: 'discovery.minScore', env: 'DISCOVERY_MIN_SCORE', type: 'ratio', default: 0.3 },
+
+    { key: 'archive.enabled', env: 'ARCHIVE_MODE', type: 'boolean', default: false },
+    { key: 'archive.keepLast', env: 'ARCHIVE_KEEP_LAST', type: 'integer', default: null },
+    { key: 'archive.maxAgeDays', env: 'ARCHIVE_MAX_AGE_DAYS', type: 'number', default: null },
+    { key: 'archive.maxSizeMb', env: 'ARCHIVE_MAX_SIZE_MB', type: 'number', default: null },
+
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    { key: 'logging.format', env: 'LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text' },
+    { key: 'logging.dir', env: 'LOG_DIR', type: 'string', default: 'logs' },
+    { key: 'logging.maxSizeMb', env: 'LOG_MAX_SIZE_MB', type: 'number', default: 10 },
+    { key: 'logging.retentionDays', env: 'LOG_RETENTION_DAYS', type: 'integer', default: 14 },
+
+    { key: 'health.minFreeMb', env: 'HEALTH_MIN_FREE_MB', type: 'integer', default: 500 },
+    { key: 'health.staleTmpHours', env: 'HEALTH_STALE_TMP_HOURS', type: 'number', default: 24 },
+
+    { key: 'pages.cacheMaxFiles', env: 'PAGE_CACHE_MAX_FILES', type: 'integer', default: 100 },
+    { key: 'pages.maxPages', env: 'PAGE_EXTRACT_MAX_PAGES', type: 'integer', default: 50 }
+];
+
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One message per invalid setting
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Converts a raw value (string from env, any JSON value from the file) to a setting's type
+ * @returns {*} - Parsed value
+ * @throws {Error} - Message describing the expected value
+ */
+function parseValue(setting, value) {
+    const fromEnv = typeof value === 'string';
+
+    switch (setting.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') throw new Error('must be a non-empty string');
+            return value.trim();
+        case 'port': {
+            const n = Number(value);
+            if (!Number.isInteger(n) || n < 1 || n > 65535) throw new Error('must be a port number (1-65535)');
+            return n;
+        }
+        case 'integer': {
+            const n = Number(value);
+            if (!Number.isInteger(n) || n <= 0) throw new Error('must be a positive integer');
+            return n;
+        }
+        case 'number': {
+            const n = Number(value);
+            if ((fromEnv && value.trim() === '') || !Number.isFinite(n) || n <= 0) throw new Error('must be a positive number');
+            return n;
+        }
+        case 'ratio': {
+            const n = Number(value);
+            if ((fromEnv && value.trim() === '') || !Number.isFinite(n) || n < 0 || n > 1) throw new Error('must be a number between 0 and 1');
+            return n;
+        }
+        case 'boolean':
+            if (value === true || value === 'true' || value === '1') return true;
+            if (value === false || value === 'false' || value === '0') return false;
+            throw new Error('must be true or false');
+        case 'enum':
+            if (!setting.values.includes(fromEnv ? value.toLowerCase() : value)) {
+                throw new Error(`must be one of ${setting.values.join(', ')}`);
+            }
+            return fromEnv ? value.toLowerCase() : value;
+        case 'url':
+            try {
+                const url = new URL(value);
+                if (!/^https?:$/.test(url.protocol)) throw new Error();
+            } catch (_) {
+                throw new Error('must be an http(s) URL');
+            }
+            return value;
+        case 'list': {
+            const list = Array.isArray(value) ? value : String(value).split(',');
+            const names = list.map(item => String(item).trim()).filter(Boolean);
+            if (names.length === 0) throw new Error('must list at least one name');
+            return names;
+        }
+        case 'array':
+            if (!Array.isArray(value)) throw new Error('must be an array');
+            return value;
+        default:
+            throw new Error(`has unknown type ${setting.type}`);
+    }
+}
+
+/**
+ * Reads a config file (.json, or .yaml/.yml)
+ * @param {string} file - File path
+ * @returns {Object} - Nested settings
+ */
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE: cannot read ${file} (${error.message})`]);
+    }
+
+    if (/\.ya?ml$/i.test(file)) {
+        try {
+            return yaml.parse(text) || {};
+        } catch (error) {
+            throw new ConfigError([`CONFIG_FILE: ${file} is not valid YAML (${error.message})`]);
+        }
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE: ${file} is not valid JSON (${error.message})`]);
+    }
+}
+
+/**
+ * Flattens nested file settings to dotted keys ({ paths: { cache } } -> 'paths.cache')
+ */
+function flatten(object, prefix = '', result = {}) {
+    for (const [key, value] of Object.entries(object || {})) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, dotted, result);
+        } else {
+            result[dotted] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Sets a dotted key in a nested object
+ */
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    let target = object;
+    for (const part of parts.slice(0, -1)) {
+        target = target[part] = target[part] || {};
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Loads and validates the configuration: defaults < config file < env
+ * @param {Object} options
+ * @param {Object} options.env - Environment (default: process.env)
+ * @param {string} options.file - Config file (default: CONFIG_FILE env)
+ * @param {Object} options.overrides - Nested settings applied last
+ * @returns {Object} - Frozen configuration
+ * @throws {ConfigError} - When any setting is invalid
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const file = options.file || env.CONFIG_FILE;
+    const fromFile = file ? flatten(readConfigFile(path.resolve(file))) : {};
+    const overrides = flatten(options.overrides);
+    const problems = [];
+    const config = {};
+
+    const known = new Set(SETTINGS.map(setting => setting.key));
+    for (const key of Object.keys(fromFile)) {
+        if (!known.has(key)) {
+            problems.push(`${key} (${file}): unknown setting`);
+        }
+    }
+
+    for (const setting of SETTINGS) {
+        const envNames = [].concat(setting.env || []);
+        const envName = envNames.find(name => env[name] !== undefined && env[name] !== '');
+
+        let value = setting.default;
+        let source = null;
+        if (overrides[setting.key] !== undefined) {
+            value = overrides[setting.key];
+            source = 'override';
+        } else if (envName) {
+            value = env[envName];
+            source = envName;
+        } else if (fromFile[setting.key] !== undefined && fromFile[setting.key] !== null) {
+            value = fromFile[setting.key];
+            source = file;
+        }
+
+        if (source !== null) {
+            try {
+                value = parseValue(setting, value);
+            } catch (error) {
+                problems.push(`${setting.key} (${source}): ${error.message}, got ${JSON.stringify(value)}`);
+                continue;
+            }
+        }
+        setPath(config, setting.key, value);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+let current = null;
+
+/**
+ * Gets the process-wide configuration, loading it from process.env on first use
+ * @returns {Object}
+ */
+function getConfig() {
+    if (!current) {
+        current = loadConfig();
+    }
+    return current;
+}
+
+module.exports = {
+    loadConfig,
+    getConfig,
+    ConfigError,
+    SETTINGS
+};
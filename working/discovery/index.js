@@ -0,0 +1,39 @@
+const builtinStrategies = require('./strategies');
+const DiscoveryResolver = require('./resolver');
+
+/**
+ * Issue discovery strategy registry
+ *
+ * A strategy extracts latest-issue candidates from a discovery source page and exposes:
+ *   - name
+ *   - sourceTypes: discovery source types it reads ('issuu-link', 'issue-number', 'issuu-profile')
+ *   - extract(html, publication) -> [{ url?, number?, title?, confidence (0-1), detail }]
+ * Candidates from all sources are cross-checked by DiscoveryResolver.
+ */
+const registry = new Map(builtinStrategies.map(strategy => [strategy.name, strategy]));
+
+/**
+ * Registers a strategy, replacing any strategy with the same name
+ * @param {Object} strategy - Strategy with name, sourceTypes and extract()
+ */
+function registerStrategy(strategy) {
+    if (!strategy || !strategy.name || typeof strategy.extract !== 'function') {
+        throw new Error('A discovery strategy needs a name and an extract(html, publication) function');
+    }
+    registry.set(strategy.name, strategy);
+}
+
+/**
+ * Gets the strategies that read a discovery source type
+ * @param {string} sourceType - Discovery source type
+ * @returns {Object[]} - Strategies
+ */
+function getStrategies(sourceType) {
+    return Array.from(registry.values()).filter(strategy => (strategy.sourceTypes || []).includes(sourceType));
+}
+
+module.exports = {
+    registerStrategy,
+    getStrategies,
+    DiscoveryResolver
+};
@@ -0,0 +1,132 @@
+/**
+ * Cross-checks discovery candidates and picks the latest issue
+ *
+ * Candidates are normalized to issues (number, slug, url), rejected when they
+ * point at another Issuu account or at an issue older than the last known one,
+ * then grouped by issue. Agreeing candidates reinforce each other:
+ * score = 1 - Π(1 - confidence). The best score wins, ties go to the higher number.
+ */
+class DiscoveryResolver {
+    /**
+     * @param {Object} tracker - IssueTracker (publication, issueFromUrl, getIssueSlug, getIssueUrl)
+     * @param {Object} options - { lastKnown: last known issue number, minScore: 0.3 }
+     */
+    constructor(tracker, options = {}) {
+        this.tracker = tracker;
+        this.lastKnown = options.lastKnown || null;
+        this.minScore = options.minScore !== undefined ? options.minScore : 0.3;
+    }
+
+    /**
+     * Fills in the number, slug and URL of a candidate
+     * @param {Object} candidate - Candidate from a strategy
+     * @returns {Object} - Candidate with issue fields, or with a rejection reason
+     */
+    normalize(candidate) {
+        const { publication } = this.tracker;
+
+        if (candidate.url) {
+            const account = candidate.url.split('/')[3];
+            if (publication.issuuAccount && account.toLowerCase() !== publication.issuuAccount.toLowerCase()) {
+                return { ...candidate, rejected: `belongs to Issuu account "${account}"` };
+            }
+            const issue = this.tracker.issueFromUrl(candidate.url);
+            return { ...candidate, ...issue, number: candidate.number || issue.number };
+        }
+
+        if (!this.tracker.baseUrl) {
+            return { ...candidate, rejected: 'issue number without a URL' };
+        }
+        return {
+            ...candidate,
+            slug: this.tracker.getIssueSlug(candidate.number),
+            url: this.tracker.getIssueUrl(candidate.number)
+        };
+    }
+
+    /**
+     * Resolves candidates to the latest issue
+     * @param {Object[]} candidates - Candidates with strategy and source
+     * @returns {{issue: Object|null, score: number, candidates: Object[], rejected: Object[], explanation: string}}
+     */
+    resolve(candidates) {
+        const accepted = [];
+        const rejected = [];
+
+        for (const raw of candidates) {
+            const candidate = this.normalize(raw);
+            if (!candidate.rejected && this.lastKnown && candidate.number !== null && candidate.number < this.lastKnown) {
+                candidate.rejected = `older than last known issue ${this.lastKnown}`;
+            }
+            (candidate.rejected ? rejected : accepted).push(candidate);
+        }
+
+        // Group agreeing candidates by issue
+        const groups = new Map();
+        for (const candidate of accepted) {
+            const key = candidate.number !== null ? `#${candidate.number}` : candidate.slug;
+            if (!groups.has(key)) {
+                groups.set(key, { candidates: [], miss: 1 });
+            }
+            const group = groups.get(key);
+            group.candidates.push(candidate);
+            group.miss *= 1 - candidate.confidence;
+        }
+
+        const ranked = Array.from(groups.values())
+            .map(group => ({ ...group, score: 1 - group.miss }))
+            .sort((a, b) => (b.score - a.score) || ((b.candidates[0].number || 0) - (a.candidates[0].number || 0)));
+
+        const rejections = rejected.length > 0
+            ? `rejected: ${rejected.map(c => `${c.strategy} ${c.number || c.url} (${c.rejected})`).join('; ')}`
+            : null;
+
+        const best = ranked[0];
+        if (!best || best.score < this.minScore) {
+            const reason = best
+                ? `No issue reached the minimum score ${this.minScore} (best ${this.describe(best)})`
+                : 'No candidates found';
+            return {
+                issue: null,
+                score: best ? best.score : 0,
+                candidates: accepted,
+                rejected,
+                explanation: [reason, rejections].filter(Boolean).join('. ')
+            };
+        }
+
+        // The strongest candidate of the winning group explains where the issue came from
+        const winner = best.candidates.slice().sort((a, b) => b.confidence - a.confidence)[0];
+        const issue = {
+            number: winner.number,
+            slug: winner.slug,
+            url: winner.url,
+            title: best.candidates.map(c => c.title).find(Boolean) || null,
+            source: winner.source,
+            strategy: winner.strategy,
+            confidence: Number(best.score.toFixed(3))
+        };
+
+        const lines = [`${this.describe(best)} won via ${winner.strategy} on ${winner.source}`];
+        if (ranked.length > 1) {
+            lines.push(`runners-up: ${ranked.slice(1, 4).map(group => this.describe(group)).join('; ')}`);
+        }
+        if (rejections) {
+            lines.push(rejections);
+        }
+
+        return { issue, score: issue.confidence, candidates: accepted, rejected, explanation: lines.join('. ') };
+    }
+
+    /**
+     * Describes a candidate group, e.g. issue 305 (score 0.97, 2 strategies)
+     */
+    describe(group) {
+        const first = group.candidates[0];
+        const label = first.number !== null ? `issue ${first.number}` : first.slug;
+        const strategies = new Set(group.candidates.map(c => c.strategy)).size;
+        return `${label} (score ${group.score.toFixed(2)}, ${strategies} ${strategies === 1 ? 'strategy' : 'strategies'})`;
+    }
+}
+
+module.exports = DiscoveryResolver;
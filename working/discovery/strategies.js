@@ -0,0 +1,150 @@
+const cheerio = require('cheerio');
+
+/**
+ * Built-in discovery strategies
+ *
+ * Each strategy reads the HTML of one discovery source and returns candidates
+ * { url?, number?, title?, confidence, detail }. The confidence reflects how specific
+ * the evidence is: a link to an Issuu document beats a bare "Issue N" in text.
+ */
+
+const DOCS_URL = /https?:\/\/issuu\.com\/[\w-]+\/docs\/[\w-]+/gi;
+
+/**
+ * Escapes text for use inside a RegExp (account names may contain "." and the like)
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Direct links to Issuu documents
+ */
+const issuuAnchor = {
+    name: 'issuu-anchor',
+    sourceTypes: ['issuu-link'],
+    extract(html) {
+        const $ = cheerio.load(html);
+        const seen = new Set();
+        const candidates = [];
+
+        $('a[href*="issuu.com"]').each((i, element) => {
+            const href = $(element).attr('href');
+            const match = href && href.match(/https?:\/\/issuu\.com\/[\w-]+\/docs\/[\w-]+/i);
+            if (match && !seen.has(match[0])) {
+                seen.add(match[0]);
+                // The first link on the page is the most likely "latest issue" link
+                const text = $(element).text().trim().replace(/\s+/g, ' ');
+                candidates.push({
+                    url: match[0],
+                    title: text || null,
+                    confidence: candidates.length === 0 ? 0.9 : 0.6,
+                    detail: `link "${text.slice(0, 60)}"`
+                });
+            }
+        });
+
+        return candidates;
+    }
+};
+
+/**
+ * Issuu embeds (iframe ?u=<user>&d=<doc>, or a docs URL inside the src)
+ */
+const issuuEmbed = {
+    name: 'issuu-embed',
+    sourceTypes: ['issuu-link'],
+    extract(html) {
+        const $ = cheerio.load(html);
+        const candidates = [];
+
+        $('iframe[src*="issuu.com"]').each((i, element) => {
+            const src = $(element).attr('src');
+            try {
+                const u = new URL(src, 'https://issuu.com');
+                const user = u.searchParams.get('u');
+                const doc = u.searchParams.get('d');
+                if (user && doc) {
+                    candidates.push({ url: `https://issuu.com/${user}/docs/${doc}`, confidence: 0.85, detail: 'embed parameters' });
+                    return;
+                }
+            } catch (_) {}
+            const match = src && src.match(/https?:\/\/issuu\.com\/[\w-]+\/docs\/[\w-]+/i);
+            if (match) {
+                candidates.push({ url: match[0], confidence: 0.8, detail: 'embed src' });
+            }
+        });
+
+        return candidates;
+    }
+};
+
+/**
+ * Any Issuu document URL in the raw HTML (scripts, data attributes, ...)
+ */
+const issuuRegex = {
+    name: 'issuu-regex',
+    sourceTypes: ['issuu-link'],
+    extract(html) {
+        const urls = Array.from(new Set(html.match(DOCS_URL) || []));
+        return urls.map(url => ({ url, confidence: 0.4, detail: 'URL in page source' }));
+    }
+};
+
+/**
+ * Links to the publication's own numbered documents (issuu.com/<account>/docs/issue_N)
+ */
+const issueDocsLink = {
+    name: 'issue-docs-link',
+    sourceTypes: ['issue-number', 'issuu-profile'],
+    extract(html, publication) {
+        if (!publication.issuuAccount) return [];
+
+        const pattern = new RegExp(`issuu\\.com\\/${escapeRegExp(publication.issuuAccount)}\\/docs\\/issue[_-]?(\\d+)`, 'gi');
+        const numbers = new Set();
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            numbers.add(parseInt(match[1], 10));
+        }
+
+        // The highest linked issue is the latest one
+        const highest = Math.max(...numbers);
+        return numbers.size > 0 ? [{ number: highest, confidence: 0.9, detail: `highest of ${numbers.size} linked issue(s)` }] : [];
+    }
+};
+
+/**
+ * "Issue N" in link text, as listed on an Issuu profile
+ */
+const issueLinkText = {
+    name: 'issue-link-text',
+    sourceTypes: ['issuu-profile'],
+    extract(html) {
+        const $ = cheerio.load(html);
+        let highestIssue = 0;
+
+        $('a').each((i, element) => {
+            const match = $(element).text().trim().match(/Issue\s+(\d+)/i);
+            if (match && match[1]) {
+                highestIssue = Math.max(highestIssue, parseInt(match[1], 10));
+            }
+        });
+
+        return highestIssue ? [{ number: highestIssue, confidence: 0.7, detail: 'highest "Issue N" link' }] : [];
+    }
+};
+
+/**
+ * "Issue N" anywhere in the page text; weak evidence, pages also mention back issues
+ */
+const issueText = {
+    name: 'issue-text',
+    sourceTypes: ['issue-number'],
+    extract(html) {
+        const $ = cheerio.load(html);
+        const match = $('body').text().match(/Issue\s+(\d+)/i) || html.match(/issue[_-]?(\d+)/i);
+        return match ? [{ number: parseInt(match[1], 10), confidence: 0.4, detail: `text "${match[0]}"` }] : [];
+    }
+};
+
+module.exports = [issuuAnchor, issuuEmbed, issuuRegex, issueDocsLink, issueLinkText, issueText];
@@ -0,0 +1,65 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('downloader');
+
+/**
+ * Single-flight coordinator for downloads
+ * Concurrent requests for the same key share one in-flight job and its result.
+ * The key must cover everything that changes what the job does; callers that
+ * join a job get its updates from then on through their listener.
+ */
+class DownloadCoordinator {
+    constructor() {
+        this.inFlight = new Map(); // Key -> { promise, listeners }
+    }
+
+    /**
+     * Runs a task unless one with the same key is already running, in which
+     * case the caller awaits the running task instead
+     * @param {string} key - Deduplication key (e.g. document URL and output file)
+     * @param {Function} task - Async function to run; gets notify(update), which
+     *   passes an update to the listener of every caller
+     * @param {Function} listener - Optional (update) callback of this caller
+     * @returns {Promise<*>} - Result shared by every caller
+     */
+    run(key, task, listener = null) {
+        const running = this.inFlight.get(key);
+        if (running) {
+            log.info('Download already in progress, waiting for it', { key });
+            if (listener) running.listeners.add(listener);
+            return running.promise;
+        }
+
+        const listeners = new Set(listener ? [listener] : []);
+        const notify = (update) => {
+            for (const callback of listeners) callback(update);
+        };
+        const promise = Promise.resolve()
+            .then(() => task(notify))
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, { promise, listeners });
+        return promise;
+    }
+
+    /**
+     * Checks if a task is running for a key
+     * @param {string} key - Deduplication key
+     * @returns {boolean} - true if in flight
+     */
+    isRunning(key) {
+        return this.inFlight.has(key);
+    }
+
+    /**
+     * Lists the keys currently in flight
+     * @returns {string[]} - Keys
+     */
+    getRunning() {
+        return Array.from(this.inFlight.keys());
+    }
+}
+
+module.exports = DownloadCoordinator;
@@ -0,0 +1,58 @@
+/**
+ * Server-Sent Events endpoint
+ * Forwards events from emitters (downloader, job queue) to connected clients
+ */
+
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Creates an Express handler streaming events as text/event-stream
+ * @param {Array<{emitter: EventEmitter, events: string[], as: Object}>} sources
+ *   Emitters and event names to forward; `as` optionally renames events
+ *   (e.g. { update: 'job' })
+ * @param {Object} options - { heartbeatMs } between heartbeat comments (default: 15000)
+ * @returns {Function} - Route handler; ?url=<documentUrl> limits events to one document
+ */
+function createEventStream(sources, options = {}) {
+    const heartbeatMs = options.heartbeatMs || HEARTBEAT_INTERVAL;
+    let nextId = 1;
+
+    return (req, res) => {
+        const filterUrl = req.query.url || null;
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const send = (event, data) => {
+            const documentUrl = data && (data.documentUrl || data.url);
+            if (filterUrl && documentUrl !== filterUrl) return;
+            res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`);
+        };
+
+        const subscriptions = [];
+        for (const { emitter, events, as = {} } of sources) {
+            for (const event of events) {
+                const listener = data => send(as[event] || event, data);
+                emitter.on(event, listener);
+                subscriptions.push(() => emitter.off(event, listener));
+            }
+        }
+
+        // Comment lines keep idle connections open through proxies
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            subscriptions.forEach(unsubscribe => unsubscribe());
+        });
+    };
+}
+
+module.exports = {
+    createEventStream
+};
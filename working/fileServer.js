@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('http');
+
+/**
+ * File serving helpers shared by every route that streams files
+ * Supports HEAD, single ranges (206 + Content-Range), multiple ranges
+ * (multipart/byteranges), 416 for unsatisfiable ranges and conditional
+ * GET (ETag / Last-Modified, 304 Not Modified, If-Range)
+ */
+
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.json': 'application/json',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// More ranges than this is treated as abusive and answered with the full file
+const MAX_RANGES = 8;
+
+// sha256 checksums of served files keyed by path, invalidated by size/mtime
+const checksumMemo = new Map();
+
+/**
+ * Computes (and memoizes) the sha256 checksum of a file
+ * @param {string} filePath - File path
+ * @param {fs.Stats} stats - Optional stats of the file
+ * @returns {Promise<string>} - Hex checksum
+ */
+async function checksumFile(filePath, stats = fs.statSync(filePath)) {
+    const key = path.resolve(filePath);
+    const memo = checksumMemo.get(key);
+    if (memo && memo.size === stats.size && memo.mtimeMs === stats.mtimeMs) {
+        return memo.checksum;
+    }
+
+    const checksum = await new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+
+    checksumMemo.set(key, { size: stats.size, mtimeMs: stats.mtimeMs, checksum });
+    return checksum;
+}
+
+/**
+ * Checks an If-None-Match header against an ETag (weak comparison)
+ */
+function etagMatches(header, etag) {
+    if (header.trim() === '*') return true;
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * Decides whether the client's cached copy is still fresh
+ * If-None-Match takes precedence over If-Modified-Since
+ * @returns {boolean} - true when a 304 should be sent
+ */
+function isNotModified(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return etagMatches(ifNoneMatch, etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    if (!isNaN(ifModifiedSince)) {
+        // HTTP dates have second precision
+        return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+    }
+
+    return false;
+}
+
+/**
+ * Checks If-Range: a Range is only honoured when the validator still matches
+ * (strong comparison for ETags, exact match for dates)
+ */
+function ifRangeMatches(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange.trim() === etag;
+    }
+    return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parses a Range header against a file size
+ * Ranges are sorted and overlapping or adjacent ones merged. A header asking
+ * for more bytes in total than the file holds (e.g. "0-,0-") or for more than
+ * MAX_RANGES ranges gets the whole file instead.
+ * @param {string|undefined} header - Range header, e.g. "bytes=0-99,200-"
+ * @param {number} size - File size in bytes
+ * @returns {Array|null|-1} - Satisfiable ranges [{start, end}], null to serve the
+ *   whole file (no or unsupported header), or -1 when no range is satisfiable
+ */
+function parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(.+)$/i.exec(header.trim());
+    if (!match) return null;
+
+    const specs = match[1].split(',');
+    if (specs.length > MAX_RANGES) return null;
+
+    const ranges = [];
+    let requested = 0;
+    for (const spec of specs) {
+        const m = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+        if (!m || (m[1] === '' && m[2] === '')) return null; // Malformed: ignore the header
+
+        let start;
+        let end;
+        if (m[1] === '') {
+            // Suffix range: last N bytes
+            const suffix = parseInt(m[2], 10);
+            if (suffix === 0) continue;
+            start = Math.max(size - suffix, 0);
+            end = size - 1;
+        } else {
+            start = parseInt(m[1], 10);
+            end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+            if (m[2] !== '' && parseInt(m[2], 10) < start) return null;
+        }
+
+        if (start < size && start <= end) {
+            ranges.push({ start, end });
+            requested += end - start + 1;
+        }
+    }
+
+    if (ranges.length === 0) return -1;
+    if (requested > size) return null;
+
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Pipes a byte range of a file into the response without ending it
+ * When the client disconnects first, the file stream is destroyed (releasing
+ * its descriptor) and the promise rejects with error.clientClosed set.
+ * @returns {Promise<void>}
+ */
+function pipeRange(filePath, res, start, end) {
+    return new Promise((resolve, reject) => {
+        if (res.destroyed) {
+            return reject(clientClosedError());
+        }
+
+        const stream = fs.createReadStream(filePath, {
+            start,
+            end,
+            highWaterMark: 1024 * 1024 // 1MB chunks for large PDFs
+        });
+        const onClose = () => {
+            stream.destroy();
+            reject(clientClosedError());
+        };
+        res.on('close', onClose);
+        stream.on('error', (err) => {
+            res.off('close', onClose);
+            reject(err);
+        });
+        stream.on('end', () => {
+            res.off('close', onClose);
+            resolve();
+        });
+        stream.pipe(res, { end: false });
+    });
+}
+
+/**
+ * Content-Disposition value with a plain ASCII filename for old clients and the
+ * exact name as filename* (RFC 6266), e.g. attachment; filename="issue 297.pdf"
+ */
+function contentDisposition(type, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function clientClosedError() {
+    const error = new Error('Client closed the connection');
+    error.clientClosed = true;
+    return error;
+}
+
+/**
+ * Streams a file honouring Range requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath - File to serve
+ * @param {Object} options
+ * @param {string} options.fileName - Download name for Content-Disposition (omit for none)
+ * @param {boolean} options.inline - Ask the browser to display the file instead of saving it
+ * @param {string} options.contentType - Content-Type (defaults from extension)
+ * @param {Object} options.headers - Extra headers (Cache-Control, X-Content-Checksum, ...)
+ * @param {string} options.checksum - sha256 used as strong ETag (computed from the file when omitted)
+ * @param {Date|string} options.lastModified - Last-Modified value (defaults to the file mtime)
+ * @returns {Promise<void>} - Resolves when the response has been written
+ */
+async function sendFile(req, res, filePath, options = {}) {
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (_) {
+        stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+        res.status(404).json({ error: 'File not found' });
+        return;
+    }
+
+    const size = stats.size;
+    const contentType = options.contentType
+        || CONTENT_TYPES[path.extname(filePath).toLowerCase()]
+        || 'application/octet-stream';
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (options.fileName) {
+        res.setHeader('Content-Disposition', contentDisposition(options.inline ? 'inline' : 'attachment', options.fileName));
+    }
+    for (const [name, value] of Object.entries(options.headers || {})) {
+        if (value !== undefined && value !== null) res.setHeader(name, value);
+    }
+
+    const checksum = options.checksum || await checksumFile(filePath, stats);
+    const etag = `"${checksum}"`;
+    let lastModified = options.lastModified ? new Date(options.lastModified) : stats.mtime;
+    if (isNaN(lastModified.getTime())) lastModified = stats.mtime;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && isNotModified(req, etag, lastModified)) {
+        res.removeHeader('Content-Disposition');
+        res.status(304).end();
+        return;
+    }
+
+    const ranges = ifRangeMatches(req, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+
+    if (ranges === -1) {
+        res.status(416);
+        res.setHeader('Content-Range', `bytes */${size}`);
+        res.end();
+        return;
+    }
+
+    let parts = null;
+    if (ranges === null) {
+        res.status(200);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', size);
+    } else if (ranges.length === 1) {
+        const { start, end } = ranges[0];
+        res.status(206);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        res.setHeader('Content-Length', end - start + 1);
+    } else {
+        const boundary = crypto.randomBytes(12).toString('hex');
+        parts = ranges.map(({ start, end }) => ({
+            start,
+            end,
+            head: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+        }));
+        const tail = `\r\n--${boundary}--\r\n`;
+        const length = parts.reduce((sum, p) => sum + Buffer.byteLength(p.head) + (p.end - p.start + 1), 0)
+            + Buffer.byteLength(tail);
+
+        parts.tail = tail;
+        res.status(206);
+        res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+        res.setHeader('Content-Length', length);
+    }
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    try {
+        if (parts) {
+            for (const part of parts) {
+                res.write(part.head);
+                await pipeRange(filePath, res, part.start, part.end);
+            }
+            res.end(parts.tail);
+        } else if (ranges) {
+            await pipeRange(filePath, res, ranges[0].start, ranges[0].end);
+            res.end();
+        } else {
+            await pipeRange(filePath, res, 0, Math.max(size - 1, 0));
+            res.end();
+        }
+    } catch (err) {
+        if (err.clientClosed) {
+            log.debug('Client closed the connection', { path: filePath });
+            return;
+        }
+        log.error('Stream error', err);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error streaming file' });
+        } else {
+            res.destroy(err);
+        }
+    }
+}
+
+/**
+ * Express middleware serving the PDFs of a directory (replacement for express.static)
+ * Anything else in the folder (issues.json, metadata.json, partial *.tmp
+ * downloads, dotfiles) is never served.
+ * @param {string} dir - Root directory
+ * @param {Object} options
+ * @param {Function} options.validators - (filePath) => { checksum, lastModified } for files
+ *   with known checksums (e.g. cache metadata); others get a computed checksum
+ * @returns {Function} - Middleware
+ */
+function serveDirectory(dir, options = {}) {
+    const root = path.resolve(dir);
+
+    return (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        let relative;
+        try {
+            relative = decodeURIComponent(req.path);
+        } catch (_) {
+            return next();
+        }
+
+        const filePath = path.resolve(root, `.${path.sep}${relative}`);
+        if (!isServable(path.relative(root, filePath))) return next();
+        if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return next();
+        }
+
+        const validators = (options.validators && options.validators(filePath)) || {};
+        sendFile(req, res, filePath, validators).catch(next);
+    };
+}
+
+/**
+ * Whether a path inside a served directory is a PDF that may be served (no dotfiles on the way)
+ */
+function isServable(relativePath) {
+    const parts = relativePath.split(path.sep);
+    return parts.every(part => part !== '' && !part.startsWith('.')) &&
+        path.extname(relativePath).toLowerCase() === '.pdf';
+}
+
+module.exports = {
+    checksumFile,
+    contentDisposition,
+    parseRange,
+    sendFile,
+    serveDirectory
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getConfig } = require('./config');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const STATUS_ORDER = ['ok', 'unknown', 'degraded', 'unhealthy'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Health model of the service
+ *
+ * report() runs every check and rates each one ok, degraded or unhealthy:
+ *   - downloads: age of the last successful download vs. the publication's
+ *     expected cadence (cadenceDays, else its download schedule) and
+ *     consecutive failures
+ *   - conversionBackends: each provider's healthUrl answers
+ *   - discoverySources: each publication's discovery pages answer
+ *   - disk: free space where downloads are stored
+ *   - tmpFiles: partial downloads (.tmp) nobody has touched for a while
+ * The overall status is the worst one. Reports are cached for cacheMs so
+ * frequent probes do not hammer upstream services.
+ */
+class HealthMonitor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.publications - () => [{ publication, downloader, store }]
+     * @param {HistoryLedger} options.history - Download attempt history
+     * @param {string} options.downloadsDir - Directory checked for free space (default: paths.downloads)
+     * @param {string} options.dataDir - Directory readiness checks is writable, with downloadsDir (default: paths.data)
+     * @param {Object} options.config - Configuration (default: getConfig()); health.minFreeMb is the free
+     *   space below which disk is unhealthy (degraded below twice that), health.staleTmpHours the age
+     *   after which a .tmp file is stale
+     * @param {number} options.timeoutMs - Timeout of each reachability probe (default: 5000)
+     * @param {number} options.cacheMs - How long a report is reused (default: 30000)
+     */
+    constructor(options = {}) {
+        const config = options.config || getConfig();
+        this.publications = options.publications || (() => []);
+        this.history = options.history || null;
+        this.downloadsDir = options.downloadsDir || config.paths.downloads;
+        this.dataDir = options.dataDir || config.paths.data;
+        this.minFreeMb = options.minFreeMb || config.health.minFreeMb;
+        this.staleTmpHours = options.staleTmpHours || config.health.staleTmpHours;
+        this.timeoutMs = options.timeoutMs || 5000;
+        this.cacheMs = options.cacheMs !== undefined ? options.cacheMs : 30000;
+        this.failuresDegraded = options.failuresDegraded || 3;
+        this.failuresUnhealthy = options.failuresUnhealthy || 10;
+        this.startedAt = Date.now();
+        this.cached = null;
+    }
+
+    /**
+     * Liveness: the process is up and answering
+     * @returns {Object}
+     */
+    liveness() {
+        return { status: 'ok', uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000) };
+    }
+
+    /**
+     * Readiness: only local state, so an outage of Issuu or a conversion backend
+     * never fails a deploy. The process answers and the data and downloads
+     * directories can be written (they are created when missing).
+     * @returns {Object} - { status: ok | unhealthy, checks: { data, downloads } }
+     */
+    readiness() {
+        const checks = {};
+        for (const [name, dir] of [['data', this.dataDir], ['downloads', this.downloadsDir]]) {
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.accessSync(dir, fs.constants.W_OK);
+                checks[name] = { status: 'ok' };
+            } catch (error) {
+                checks[name] = { status: 'unhealthy', detail: `not writable (${error.code || error.message})` };
+            }
+        }
+        const healthy = Object.values(checks).every(check => check.status === 'ok');
+        return { status: healthy ? 'ok' : 'unhealthy', checks };
+    }
+
+    /**
+     * Runs every check (or reuses a recent report)
+     * @returns {Promise<Object>} - { status, checkedAt, checks }
+     */
+    async report() {
+        if (this.cached && Date.now() - this.cached.at < this.cacheMs) {
+            return this.cached.report;
+        }
+
+        const contexts = this.publications();
+        const [conversionBackends, discoverySources] = await Promise.all([
+            this.checkConversionBackends(contexts),
+            this.checkDiscoverySources(contexts)
+        ]);
+        const checks = {
+            downloads: contexts.map(ctx => this.checkDownloads(ctx)),
+            conversionBackends,
+            discoverySources,
+            disk: this.checkDisk(),
+            tmpFiles: this.checkTmpFiles(contexts)
+        };
+
+        const statuses = [
+            ...checks.downloads,
+            ...conversionBackends,
+            ...discoverySources,
+            checks.disk,
+            checks.tmpFiles
+        ].map(check => check.status);
+        statuses.push(HealthMonitor.aggregateReachability(conversionBackends));
+        for (const ctx of contexts) {
+            statuses.push(HealthMonitor.aggregateReachability(
+                discoverySources.filter(source => source.publication === ctx.publication.id)
+            ));
+        }
+
+        const report = {
+            status: HealthMonitor.worst(statuses.filter(status => status !== 'unknown')),
+            checkedAt: new Date().toISOString(),
+            checks
+        };
+        this.cached = { at: Date.now(), report };
+        return report;
+    }
+
+    /**
+     * Rates the last successful download of a publication against its cadence
+     */
+    checkDownloads(ctx) {
+        const id = ctx.publication.id;
+        const attempts = this.history ? this.history.query({ publication: id, limit: 1000 }) : [];
+
+        let consecutiveFailures = 0;
+        for (const attempt of attempts) {
+            if (attempt.outcome === 'success') break;
+            consecutiveFailures++;
+        }
+
+        // Last success: newest of the history and the issue records (which predate the history)
+        const success = attempts.find(attempt => attempt.outcome === 'success');
+        const latest = ctx.store && ctx.store.latest();
+        const times = [success && success.finishedAt, latest && latest.downloadedAt]
+            .filter(Boolean)
+            .map(time => new Date(time).getTime());
+        const lastSuccess = times.length > 0 ? Math.max(...times) : null;
+
+        const cadenceMs = HealthMonitor.expectedCadence(ctx.publication);
+        const ageMs = lastSuccess !== null ? Date.now() - lastSuccess : null;
+
+        let status = 'ok';
+        const problems = [];
+        if (ageMs === null) {
+            status = 'unknown';
+            problems.push('no successful download yet');
+        } else if (ageMs > cadenceMs * 3) {
+            status = 'unhealthy';
+            problems.push('last successful download is more than 3 cadences old');
+        } else if (ageMs > cadenceMs * 1.5) {
+            status = 'degraded';
+            problems.push('last successful download is overdue');
+        }
+        if (consecutiveFailures >= this.failuresUnhealthy) {
+            status = HealthMonitor.worst([status, 'unhealthy']);
+            problems.push(`${consecutiveFailures} consecutive failures`);
+        } else if (consecutiveFailures >= this.failuresDegraded) {
+            status = HealthMonitor.worst([status, 'degraded']);
+            problems.push(`${consecutiveFailures} consecutive failures`);
+        }
+
+        return {
+            publication: id,
+            status,
+            lastSuccessAt: lastSuccess !== null ? new Date(lastSuccess).toISOString() : null,
+            ageHours: ageMs !== null ? Math.round(ageMs / HOUR * 10) / 10 : null,
+            expectedCadenceHours: cadenceMs / HOUR,
+            consecutiveFailures,
+            detail: problems.join('; ') || null
+        };
+    }
+
+    /**
+     * Probes the backend of every configured conversion provider (once per URL)
+     */
+    async checkConversionBackends(contexts) {
+        const backends = new Map();
+        for (const ctx of contexts) {
+            for (const provider of ctx.downloader.providers || []) {
+                if (provider.healthUrl && !backends.has(provider.healthUrl)) {
+                    backends.set(provider.healthUrl, provider.name);
+                }
+            }
+        }
+
+        return Promise.all(Array.from(backends, async ([url, provider]) => ({
+            provider,
+            ...(await this.probe(url))
+        })));
+    }
+
+    /**
+     * Probes the discovery pages of every publication
+     */
+    async checkDiscoverySources(contexts) {
+        const sources = [];
+        for (const ctx of contexts) {
+            for (const source of ctx.publication.discovery || []) {
+                sources.push({ publication: ctx.publication.id, type: source.type, url: source.url });
+            }
+        }
+
+        return Promise.all(sources.map(async source => ({ ...source, ...(await this.probe(source.url)) })));
+    }
+
+    /**
+     * Requests a URL; any answer below 500 counts as reachable
+     * @returns {Promise<Object>} - { url, status, reachable, httpStatus, latencyMs, error }
+     */
+    async probe(url) {
+        const startedAt = Date.now();
+        try {
+            const response = await axios.head(url, {
+                timeout: this.timeoutMs,
+                maxRedirects: 5,
+                validateStatus: () => true
+            });
+            const reachable = response.status < 500;
+            return {
+                url,
+                status: reachable ? 'ok' : 'degraded',
+                reachable,
+                httpStatus: response.status,
+                latencyMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            return {
+                url,
+                status: 'degraded',
+                reachable: false,
+                latencyMs: Date.now() - startedAt,
+                error: error.code || error.message
+            };
+        }
+    }
+
+    /**
+     * Checks the free space of the downloads directory
+     */
+    checkDisk() {
+        if (typeof fs.statfsSync !== 'function') {
+            return { path: this.downloadsDir, status: 'unknown', detail: 'statfs is not available' };
+        }
+
+        try {
+            const stats = fs.statfsSync(this.downloadsDir);
+            const freeMb = Math.round(stats.bavail * stats.bsize / 1024 / 1024);
+            const totalMb = Math.round(stats.blocks * stats.bsize / 1024 / 1024);
+            let status = 'ok';
+            if (freeMb < this.minFreeMb) {
+                status = 'unhealthy';
+            } else if (freeMb < this.minFreeMb * 2) {
+                status = 'degraded';
+            }
+            return { path: this.downloadsDir, status, freeMb, totalMb, minFreeMb: this.minFreeMb };
+        } catch (error) {
+            return { path: this.downloadsDir, status: 'unknown', detail: error.message };
+        }
+    }
+
+    /**
+     * Finds partial downloads (.tmp and their .tmp.json resume state) older than staleTmpHours
+     */
+    checkTmpFiles(contexts) {
+        const cutoff = Date.now() - this.staleTmpHours * HOUR;
+        const stale = [];
+
+        for (const ctx of contexts) {
+            const dir = ctx.store ? ctx.store.dir : ctx.downloader.outputDir;
+            if (!dir || !fs.existsSync(dir)) continue;
+
+            for (const name of fs.readdirSync(dir)) {
+                if (!name.endsWith('.tmp') && !name.endsWith('.tmp.json')) continue;
+                const stats = fs.statSync(path.join(dir, name));
+                if (stats.mtimeMs < cutoff) {
+                    stale.push({
+                        publication: ctx.publication.id,
+                        file: name,
+                        size: stats.size,
+                        ageHours: Math.round((Date.now() - stats.mtimeMs) / HOUR)
+                    });
+                }
+            }
+        }
+
+        return { status: stale.length > 0 ? 'degraded' : 'ok', staleAfterHours: this.staleTmpHours, stale };
+    }
+
+    /**
+     * Expected time between successful downloads: the publication's cadenceDays
+     * when set (a publication checked daily may only come out weekly), else from
+     * its download schedule: monthly when a day of month is set, the longest gap
+     * between the listed weekdays when a weekday is set, daily otherwise
+     * @returns {number} - Milliseconds
+     */
+    static expectedCadence(publication) {
+        if (publication.cadenceDays) {
+            return publication.cadenceDays * DAY;
+        }
+
+        const schedule = publication.schedule || [];
+        const downloads = schedule.filter(entry => entry.action === 'download');
+        const entries = downloads.length > 0 ? downloads : schedule;
+        if (entries.length === 0) {
+            return 7 * DAY;
+        }
+
+        return Math.min(...entries.map(entry => {
+            const fields = entry.cron.trim().split(/\s+/);
+            const [dayOfMonth, , dayOfWeek] = fields.slice(-3);
+            if (dayOfMonth !== '*') return 31 * DAY;
+
+            const days = HealthMonitor.weekdays(dayOfWeek);
+            if (days.length === 0) return DAY;
+            const gaps = days.map((day, i) => (i + 1 < days.length ? days[i + 1] : days[0] + 7) - day);
+            return Math.max(...gaps) * DAY;
+        }));
+    }
+
+    /**
+     * Weekdays (0 = Sunday) of a cron day-of-week field: lists, ranges, steps
+     * and names, e.g. "1-5", "*\/2", "mon,thu", "sat-sun"
+     * @returns {number[]} - Sorted distinct days (empty when the field can't be read)
+     */
+    static weekdays(field) {
+        const dayNumber = text => {
+            const name = WEEKDAY_NAMES.indexOf(text.slice(0, 3));
+            return name !== -1 ? name : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+        };
+
+        const days = new Set();
+        for (const part of field.toLowerCase().split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+            let [from, to] = range === '*' ? [0, 6] : range.split('-').map(dayNumber);
+            if (to === undefined) to = stepText !== undefined ? 6 : from;
+            // "5-0" or "sat-sun" wrap past the end of the week
+            if (to < from) to += 7;
+            if (!(step > 0) || isNaN(from) || isNaN(to)) return [];
+            for (let day = from; day <= to; day += step) {
+                days.add(day % 7);
+            }
+        }
+        return Array.from(days).sort((a, b) => a - b);
+    }
+
+    /**
+     * Reachability of a group (all backends, or one publication's sources):
+     * unhealthy when none answers
+     */
+    static aggregateReachability(probes) {
+        return probes.length > 0 && probes.every(probe => !probe.reachable) ? 'unhealthy' : 'ok';
+    }
+
+    /**
+     * Gets the worst of several statuses
+     */
+    static worst(statuses) {
+        return statuses.reduce((worst, status) =>
+            STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'ok');
+    }
+}
+
+module.exports = HealthMonitor;
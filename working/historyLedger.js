@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const OUTCOMES = ['success', 'failure'];
+
+// Bytes read at a time when scanning the ledger from its end
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Append-only history of download attempts
+ * Each attempt is one JSON line in <dataDir>/history.jsonl:
+ *   { id, publication, trigger, url, provider, startedAt, finishedAt,
+ *     durationMs, bytes, outcome: 'success' | 'failure', error }
+ * Lines are never rewritten; attempts are read back with query(), which reads
+ * the file from its end and stops once it has enough, so the newest attempts
+ * cost the same however long the ledger has grown.
+ */
+class HistoryLedger {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory for history.jsonl (default: paths.data)
+     * @param {Object} options.config - Configuration (default: getConfig())
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || (options.config || getConfig()).paths.data;
+        this.filePath = path.join(this.dataDir, 'history.jsonl');
+        this.received = new Map(); // Bytes received so far by document URL
+        this.ensureDataDir();
+    }
+
+    /**
+     * Creates the data directory if it doesn't exist
+     */
+    ensureDataDir() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Appends an attempt to the ledger
+     * @param {Object} attempt - Attempt fields
+     * @returns {Object} - Stored attempt
+     */
+    append(attempt) {
+        const entry = {
+            id: crypto.randomUUID(),
+            publication: null,
+            trigger: 'manual',
+            url: null,
+            provider: null,
+            startedAt: null,
+            finishedAt: new Date().toISOString(),
+            durationMs: null,
+            bytes: null,
+            outcome: 'success',
+            error: null,
+            ...attempt
+        };
+
+        this.ensureDataDir();
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    /**
+     * Records every attempt of a downloader from its 'complete' and 'failed' events
+     * @param {EventEmitter} downloader - IssuuDownloader
+     * @param {Object} options - { publication } id stored with each attempt
+     */
+    attach(downloader, options = {}) {
+        const publication = options.publication || null;
+
+        const record = (event, outcome) => {
+            const finishedAt = new Date();
+            this.append({
+                publication,
+                trigger: event.trigger,
+                url: event.documentUrl,
+                provider: event.provider,
+                startedAt: event.durationMs !== undefined ? new Date(finishedAt - event.durationMs).toISOString() : null,
+                finishedAt: finishedAt.toISOString(),
+                durationMs: event.durationMs !== undefined ? event.durationMs : null,
+                bytes: outcome === 'success' ? event.size : (this.received.get(event.documentUrl) || null),
+                outcome,
+                error: event.error || null
+            });
+            this.received.delete(event.documentUrl);
+        };
+
+        downloader.on('bytes', ({ documentUrl, received }) => {
+            if (documentUrl) this.received.set(documentUrl, received);
+        });
+        downloader.on('complete', event => record(event, 'success'));
+        downloader.on('failed', event => record(event, 'failure'));
+    }
+
+    /**
+     * Reads attempts, newest first
+     * @param {Object} filters
+     * @param {string} filters.from - Earliest finish date/time (ISO 8601)
+     * @param {string} filters.to - Latest finish date/time; a plain date includes the whole day
+     * @param {string} filters.outcome - success | failure
+     * @param {string} filters.publication - Publication id
+     * @param {string} filters.trigger - cron, refresh, on-demand, ...
+     * @param {number} filters.limit - Maximum attempts returned (default: 100)
+     * @returns {Object[]} - Attempts
+     */
+    query(filters = {}) {
+        const from = HistoryLedger.parseDate(filters.from, 'from');
+        let to = HistoryLedger.parseDate(filters.to, 'to');
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+            to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+        }
+        if (filters.outcome && !OUTCOMES.includes(filters.outcome)) {
+            throw new Error(`Invalid outcome "${filters.outcome}" (expected ${OUTCOMES.join(' or ')})`);
+        }
+        const limit = filters.limit !== undefined ? parseInt(filters.limit, 10) : 100;
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Invalid limit "${filters.limit}"`);
+        }
+
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const attempts = [];
+        for (const line of HistoryLedger.linesFromEnd(this.filePath)) {
+            if (!line.trim()) continue;
+
+            let attempt;
+            try {
+                attempt = JSON.parse(line);
+            } catch (_) {
+                continue; // A line cut short by a crash
+            }
+
+            // Attempts are appended as they finish, so the rest finished earlier still
+            const finishedAt = new Date(attempt.finishedAt);
+            if (from && finishedAt < from) break;
+            if (to && finishedAt > to) continue;
+            if (filters.outcome && attempt.outcome !== filters.outcome) continue;
+            if (filters.publication && attempt.publication !== filters.publication) continue;
+            if (filters.trigger && attempt.trigger !== filters.trigger) continue;
+            attempts.push(attempt);
+            if (attempts.length === limit) break;
+        }
+
+        return attempts;
+    }
+
+    /**
+     * Yields the lines of a file from last to first, reading it backwards in chunks
+     * @param {string} filePath - File path
+     */
+    static *linesFromEnd(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            let position = fs.fstatSync(fd).size;
+            let rest = Buffer.alloc(0); // Start of a line the previous chunk cut
+            while (position > 0) {
+                const length = Math.min(CHUNK_SIZE, position);
+                position -= length;
+                const chunk = Buffer.alloc(length);
+                fs.readSync(fd, chunk, 0, length, position);
+
+                // Splitting at newline bytes never cuts a UTF-8 character
+                const data = Buffer.concat([chunk, rest]);
+                let end = data.length;
+                for (let i = data.length - 1; i >= 0; i--) {
+                    if (data[i] === 0x0A) {
+                        yield data.toString('utf8', i + 1, end);
+                        end = i;
+                    }
+                }
+                rest = data.subarray(0, end);
+            }
+            if (rest.length > 0) {
+                yield rest.toString('utf8');
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Parses a date filter
+     * @returns {Date|null}
+     */
+    static parseDate(value, name) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${name} date "${value}" (expected ISO 8601, e.g. 2025-01-15)`);
+        }
+        return date;
+    }
+}
+
+module.exports = HistoryLedger;
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { checksumFile } = require('./fileServer');
+const { runPdfTask } = require('./pdfWorker');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('store');
+
+/**
+ * Issue records of a publication, stored in <dir>/issues.json next to the PDFs
+ *
+ * An issue record is the canonical description of a downloaded issue:
+ *   { publication, number, slug, title, publishedAt, sourceUrl,
+ *     fileName, filePath, checksum, size, downloadedAt, pdf }
+ * number is null for publications whose slugs are not numbered; slug is the key.
+ * pdf is the file's PDF metadata (page count, title, producer, creation date,
+ * page sizes), read once when the issue is recorded; null when it can't be read.
+ * Endpoints read issues from here instead of parsing file names.
+ */
+class IssueStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Folder holding the publication's PDFs (default: paths.downloads)
+     * @param {Object} options.publication - Publication from the registry
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || getConfig().paths.downloads;
+        this.publication = options.publication || null;
+        this.filePath = path.join(this.dir, 'issues.json');
+        this.issues = [];
+        this.load();
+    }
+
+    /**
+     * Loads issue records from disk
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            this.issues = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            log.error('Error reading issue records', error);
+            this.issues = [];
+        }
+    }
+
+    /**
+     * Writes issue records to disk (via a temp file so a crash never leaves half a file)
+     */
+    save() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.issues, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Lists issues whose files still exist, newest first
+     * (records of files removed by retention are dropped)
+     * @returns {Object[]} - Issue records
+     */
+    list() {
+        const existing = this.issues.filter(issue => fs.existsSync(issue.filePath));
+        if (existing.length !== this.issues.length) {
+            this.issues = existing;
+            this.save();
+        }
+
+        return existing.slice().sort((a, b) =>
+            ((b.number || 0) - (a.number || 0)) || (new Date(b.downloadedAt) - new Date(a.downloadedAt))
+        );
+    }
+
+    /**
+     * Gets the newest issue
+     * @returns {Object|null} - Issue record
+     */
+    latest() {
+        return this.list()[0] || null;
+    }
+
+    /**
+     * Gets an issue by slug
+     * @param {string} slug - Issue slug
+     * @returns {Object|null} - Issue record
+     */
+    get(slug) {
+        return this.list().find(issue => issue.slug === slug) || null;
+    }
+
+    /**
+     * Gets an issue by number
+     * @param {number} issueNumber - Issue number
+     * @returns {Object|null} - Issue record
+     */
+    findByNumber(issueNumber) {
+        return this.list().find(issue => issue.number === issueNumber) || null;
+    }
+
+    /**
+     * Gets an issue by key: its number, or its slug for unnumbered issues
+     * @param {number|string} key - Issue key
+     * @returns {Object|null} - Issue record
+     */
+    find(key) {
+        return typeof key === 'number' ? this.findByNumber(key) : this.get(key);
+    }
+
+    /**
+     * Records a downloaded issue, replacing any record with the same slug
+     * @param {Object} issue - { number, slug, title, publishedAt, sourceUrl }
+     * @param {string} filePath - Downloaded PDF
+     * @returns {Promise<Object>} - Issue record
+     */
+    async record(issue, filePath) {
+        const stats = fs.statSync(filePath);
+        const publication = this.publication || {};
+        const record = {
+            publication: publication.id || null,
+            number: issue.number !== undefined ? issue.number : null,
+            slug: issue.slug,
+            title: issue.title || IssueStore.defaultTitle(publication, issue),
+            publishedAt: issue.publishedAt || null,
+            sourceUrl: issue.sourceUrl || issue.url || null,
+            fileName: path.basename(filePath),
+            filePath: path.join(this.dir, path.basename(filePath)),
+            checksum: await checksumFile(filePath, stats),
+            size: stats.size,
+            downloadedAt: new Date(stats.mtimeMs).toISOString(),
+            pdf: await IssueStore.readMetadata(filePath)
+        };
+
+        this.issues = this.issues.filter(existing => existing.slug !== record.slug && existing.fileName !== record.fileName);
+        this.issues.push(record);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Records PDFs downloaded before issue records existed. Their slug is
+     * recovered from the file name ("issue 300.pdf" -> issue_300)
+     * @param {Object} tracker - IssueTracker of the publication
+     * @returns {Promise<Object[]>} - New records
+     */
+    async importFiles(tracker) {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        const known = new Set(this.issues.map(issue => issue.fileName));
+        const imported = [];
+
+        for (const fileName of fs.readdirSync(this.dir)) {
+            if (!fileName.endsWith('.pdf') || known.has(fileName)) continue;
+
+            const slug = path.basename(fileName, '.pdf').replace(/\s+/g, '_');
+            const url = tracker.baseUrl ? `${tracker.baseUrl}/${slug}` : null;
+            const issue = url ? tracker.issueFromUrl(url) : { number: null, slug, url: null };
+            imported.push(await this.record(issue, path.join(this.dir, fileName)));
+        }
+
+        return imported;
+    }
+
+    /**
+     * Reads the PDF metadata of records from before PDF metadata was stored
+     * @returns {Promise<number>} - Number of records updated
+     */
+    async addMissingMetadata() {
+        const missing = this.issues.filter(issue => issue.pdf === undefined && fs.existsSync(issue.filePath));
+        for (const issue of missing) {
+            issue.pdf = await IssueStore.readMetadata(issue.filePath);
+        }
+        if (missing.length > 0) {
+            this.save();
+        }
+        return missing.length;
+    }
+
+    /**
+     * Extracts the PDF metadata of a file on the PDF worker thread
+     * @returns {Promise<Object|null>} - Metadata, or null when the file can't be parsed
+     */
+    static async readMetadata(filePath) {
+        try {
+            return await runPdfTask('metadata', filePath);
+        } catch (error) {
+            log.warn('Could not read PDF metadata', { filePath, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Title used when the source gave none, e.g. "The BP View – Issue 305"
+     */
+    static defaultTitle(publication, issue) {
+        const label = issue.number !== null && issue.number !== undefined ? `Issue ${issue.number}` : issue.slug;
+        return publication.name ? `${publication.name} – ${label}` : label;
+    }
+}
+
+module.exports = IssueStore;
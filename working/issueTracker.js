@@ -1,76 +1,154 @@
 const axios = require('axios');
-const cheerio = require('cheerio');
+const { DEFAULT_PUBLICATIONS } = require('./publications');
+const { getStrategies, DiscoveryResolver } = require('./discovery');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('tracker');
 
 class IssueTracker {
-    constructor() {
-        this.baseUrl = 'https://issuu.com/thebpview/docs';
+    /**
+     * @param {Object} publication - Publication from the registry (default: The BP View)
+     * @param {Object} options - { config } (default: getConfig()) for page timeouts and the minimum score
+     */
+    constructor(publication = DEFAULT_PUBLICATIONS[0], options = {}) {
+        this.publication = publication;
+        this.config = options.config || getConfig();
+        this.baseUrl = publication.issuuAccount ? `https://issuu.com/${publication.issuuAccount}/docs` : null;
+        this.lastKnownIssue = null;
     }
 
     /**
-     * Gets the latest available issue number
-     * @returns {Promise<number>} The latest issue number
+     * Fetches a discovery page
+     * @param {string} url - Page URL
+     * @returns {Promise<string>} - Page HTML
      */
-    async getLatestIssueNumber() {
-        try {
-            // First try thebpview.com current issue page which usually points to latest
+    async fetchPage(url) {
+        const resp = await axios.get(url, { timeout: this.config.discovery.timeoutMs, maxRedirects: 5, headers: { 'User-Agent': 'Mozilla/5.0' } });
+        return String(resp.data || '');
+    }
+
+    /**
+     * Builds an issue from a document URL; the number is read through the
+     * publication's issueSlug template, so unnumbered publications get null
+     * @param {string} url - Issuu document URL
+     * @returns {{number: number|null, slug: string, url: string}}
+     */
+    issueFromUrl(url) {
+        const slug = url.split('?')[0].replace(/\/+$/, '').split('/').pop();
+        if (!this.publication.issueSlug) {
+            return { number: null, slug, url };
+        }
+
+        const template = this.publication.issueSlug.split('{number}').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const m = slug.match(new RegExp(`^${template.join('(\\d+)')}$`, 'i'));
+        return { number: m ? parseInt(m[1], 10) : null, slug, url };
+    }
+
+    /**
+     * Records the last known issue number; older candidates are rejected from then on
+     * @param {number} issueNumber - Issue number
+     */
+    rememberIssue(issueNumber) {
+        if (typeof issueNumber === 'number' && issueNumber > (this.lastKnownIssue || 0)) {
+            this.lastKnownIssue = issueNumber;
+        }
+    }
+
+    /**
+     * Runs every discovery strategy on every source and cross-checks the candidates
+     * @param {Object} options - { lastKnown } overrides the remembered last known issue
+     * @returns {Promise<Object>} - { issue, score, candidates, rejected, sources, explanation }
+     */
+    async discover(options = {}) {
+        const candidates = [];
+        const sources = [];
+
+        for (const source of this.publication.discovery) {
+            const strategies = getStrategies(source.type);
             try {
-                const resp = await axios.get('https://www.thebpview.com/current-issue.php');
-                const html = resp.data || '';
-
-                // Try to find explicit issuu URL with issue number
-                let m = html.match(/issuu\.com\/thebpview\/docs\/issue[_-]?(\d+)/i);
-                if (m && m[1]) {
-                    const n = parseInt(m[1], 10);
-                    if (!isNaN(n)) {
-                        console.log(`Latest issue number found from thebpview.com: ${n}`);
-                        return n;
-                    }
-                }
+                const html = await this.fetchPage(source.url);
+                let found = 0;
 
-                // Try to find patterns like "Issue 305" or "issue_305"
-                m = html.match(/Issue\s+(\d+)/i) || html.match(/issue[_-]?(\d+)/i);
-                if (m && m[1]) {
-                    const n = parseInt(m[1], 10);
-                    if (!isNaN(n)) {
-                        console.log(`Latest issue number inferred from current-issue.php: ${n}`);
-                        return n;
+                for (const strategy of strategies) {
+                    try {
+                        for (const candidate of strategy.extract(html, this.publication)) {
+                            candidates.push({ ...candidate, strategy: strategy.name, source: source.url });
+                            found++;
+                        }
+                    } catch (error) {
+                        log.warn('Discovery strategy failed', { strategy: strategy.name, source: source.url, error: error.message });
                     }
                 }
-            } catch (innerErr) {
-                console.warn('Could not use thebpview current-issue page:', innerErr.message);
-                // fallthrough to previous scraping method
+                sources.push({ url: source.url, type: source.type, candidates: found });
+            } catch (error) {
+                log.warn('Could not use discovery source', { source: source.url, error: error.message });
+                sources.push({ url: source.url, type: source.type, candidates: 0, error: error.message });
             }
+        }
 
-            // Fallback: Get the main publisher page on issuu and scrape for highest Issue N
-            const response = await axios.get('https://issuu.com/thebpview');
-            const html = response.data;
-            const $ = cheerio.load(html);
-
-            // Search for issue links and extract the highest number
-            let highestIssue = 0;
-
-            // Search for elements containing "Issue" followed by a number
-            $('a').each((i, element) => {
-                const text = $(element).text().trim();
-                const match = text.match(/Issue\s+(\d+)/i);
-                if (match && match[1]) {
-                    const issueNumber = parseInt(match[1], 10);
-                    if (issueNumber > highestIssue) {
-                        highestIssue = issueNumber;
-                    }
-                }
-            });
+        const lastKnown = options.lastKnown !== undefined ? options.lastKnown : this.lastKnownIssue;
+        const result = new DiscoveryResolver(this, { lastKnown, minScore: this.config.discovery.minScore }).resolve(candidates);
+        return { ...result, sources, lastKnown };
+    }
 
-            if (highestIssue === 0) {
-                throw new Error('No issue numbers found');
-            }
+    /**
+     * Runs discovery without downloading or remembering anything
+     * @param {Object} options - Discovery options (see discover)
+     * @returns {Promise<Object>} - Report with every source, candidate and rejection
+     */
+    async dryRun(options = {}) {
+        const result = await this.discover(options);
+        return {
+            publication: this.publication.id,
+            dryRun: true,
+            wouldDownload: result.issue,
+            explanation: result.explanation,
+            lastKnown: result.lastKnown,
+            sources: result.sources,
+            candidates: result.candidates,
+            rejected: result.rejected
+        };
+    }
 
-            console.log(`Latest issue number found: ${highestIssue}`);
-            return highestIssue;
-        } catch (error) {
-            console.error('Error getting latest issue number:', error.message);
+    /**
+     * Discovers the latest issue
+     * @param {Object} options - Discovery options (see discover)
+     * @returns {Promise<{number: number|null, slug: string, url: string, source: string, strategy: string, confidence: number, explanation: string}>}
+     */
+    async getLatestIssue(options = {}) {
+        const result = await this.discover(options);
+
+        if (!result.issue) {
+            const error = new Error(`No issue found for ${this.publication.name}: ${result.explanation}`);
+            log.error('Error getting latest issue', { publication: this.publication.id, error: error.message });
             throw error;
         }
+
+        log.info('Latest issue discovered', { publication: this.publication.id, url: result.issue.url, explanation: result.explanation });
+        this.rememberIssue(result.issue.number);
+        return { ...result.issue, explanation: result.explanation };
+    }
+
+    /**
+     * Gets the latest available issue number
+     * @returns {Promise<number>} The latest issue number
+     */
+    async getLatestIssueNumber() {
+        const issue = await this.getLatestIssue();
+        if (issue.number === null) {
+            throw new Error(`Latest ${this.publication.name} issue (${issue.slug}) has no issue number`);
+        }
+        return issue.number;
+    }
+
+    /**
+     * Builds the slug for a specific issue number
+     * @param {number} issueNumber - The issue number
+     * @returns {string} The slug, e.g. issue_305
+     */
+    getIssueSlug(issueNumber) {
+        return (this.publication.issueSlug || 'issue_{number}').replace('{number}', issueNumber);
     }
 
     /**
@@ -79,7 +157,10 @@ class IssueTracker {
      * @returns {string} The complete issue URL
      */
     getIssueUrl(issueNumber) {
-        return `${this.baseUrl}/issue_${issueNumber}`;
+        if (!this.baseUrl) {
+            throw new Error(`${this.publication.name} issues cannot be addressed by number`);
+        }
+        return `${this.baseUrl}/${this.getIssueSlug(issueNumber)}`;
     }
 
     /**
@@ -87,8 +168,8 @@ class IssueTracker {
      * @returns {Promise<string>} The latest issue URL
      */
     async getLatestIssueUrl() {
-        const latestNumber = await this.getLatestIssueNumber();
-        return this.getIssueUrl(latestNumber);
+        const issue = await this.getLatestIssue();
+        return issue.url;
     }
 }
 
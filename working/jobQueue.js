@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('jobs');
+
+const ACTIVE_STATES = ['queued', 'converting', 'downloading', 'validating'];
+const TERMINAL_STATES = ['done', 'failed'];
+
+// Delay before progress-only changes are written to disk
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Persistent download job queue
+ * Jobs are stored in <dataDir>/jobs.json and run one at a time by a handler.
+ * Jobs interrupted by a restart are queued again when the queue is loaded.
+ * New jobs and state changes are written at once; progress updates, which
+ * arrive many times a second during a download, are batched into one write
+ * per saveDelayMs (a restart resets the progress of interrupted jobs anyway).
+ *
+ * States: queued -> converting -> downloading -> validating -> done | failed
+ * Emits 'update' with the job after every change.
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.handler - async (job, report) => result; report(state, changes)
+     * @param {string} options.dataDir - Directory for jobs.json (default: paths.data)
+     * @param {Object} options.config - Configuration (default: getConfig())
+     * @param {number} options.maxFinished - Finished jobs kept in history (default: 100)
+     * @param {number} options.saveDelayMs - Delay before progress updates are written (default: 1000)
+     */
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.handler = options.handler || null;
+        this.dataDir = options.dataDir || (options.config || getConfig()).paths.data;
+        this.filePath = path.join(this.dataDir, 'jobs.json');
+        this.maxFinished = options.maxFinished || 100;
+        this.saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : SAVE_DELAY_MS;
+        this.saveTimer = null;
+        this.jobs = [];
+        this.waiters = new Map();
+        this.processing = false;
+        this.ensureDataDir();
+        this.load();
+
+        if (this.handler) {
+            setImmediate(() => this.process());
+        }
+    }
+
+    /**
+     * Creates the data directory if it doesn't exist
+     */
+    ensureDataDir() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Loads jobs from disk and requeues the ones a restart interrupted
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            this.jobs = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            log.error('Error reading job queue', error);
+            this.jobs = [];
+            return;
+        }
+
+        let resumed = 0;
+        for (const job of this.jobs) {
+            if (ACTIVE_STATES.includes(job.state) && job.state !== 'queued') {
+                job.state = 'queued';
+                job.progress = 0;
+                job.resumedAt = new Date().toISOString();
+                resumed++;
+            }
+        }
+        if (resumed > 0) {
+            log.info('Requeued jobs interrupted by a restart', { count: resumed });
+            this.save();
+        }
+    }
+
+    /**
+     * Writes jobs to disk (via a temp file so a crash never leaves half a file)
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const finished = this.jobs.filter(job => TERMINAL_STATES.includes(job.state));
+        if (finished.length > this.maxFinished) {
+            const drop = new Set(finished.slice(0, finished.length - this.maxFinished));
+            this.jobs = this.jobs.filter(job => !drop.has(job));
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Writes jobs to disk after saveDelayMs, once for all the changes made meanwhile
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            try {
+                this.save();
+            } catch (error) {
+                log.error('Error saving job queue', error);
+            }
+        }, this.saveDelayMs);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Adds a download job, or returns the active job for the same URL
+     * @param {Object} data - { url, issueNumber, trigger, ... }
+     * @returns {Object} - The job
+     */
+    enqueue(data) {
+        const existing = this.jobs.find(job => job.url === data.url && ACTIVE_STATES.includes(job.state));
+        if (existing) {
+            return existing;
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            ...data,
+            state: 'queued',
+            progress: 0,
+            error: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.push(job);
+        this.save();
+        this.emit('update', job);
+        setImmediate(() => this.process());
+        return job;
+    }
+
+    /**
+     * Updates a job and persists the change (at once for a new state, batched otherwise)
+     * @param {string} id - Job id
+     * @param {Object} changes - Fields to merge
+     * @returns {Object|null} - Updated job
+     */
+    update(id, changes) {
+        const job = this.get(id);
+        if (!job) return null;
+
+        const stateChanged = changes.state !== undefined && changes.state !== job.state;
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        if (stateChanged) {
+            this.save();
+        } else {
+            this.scheduleSave();
+        }
+        this.emit('update', job);
+
+        if (TERMINAL_STATES.includes(job.state)) {
+            for (const resolve of this.waiters.get(id) || []) resolve(job);
+            this.waiters.delete(id);
+        }
+        return job;
+    }
+
+    /**
+     * Gets a job by id
+     * @param {string} id - Job id
+     * @returns {Object|null} - Job or null
+     */
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    /**
+     * Lists jobs, newest first
+     * @param {Object} filter - Optional { state }
+     * @returns {Object[]} - Jobs
+     */
+    list(filter = {}) {
+        return this.jobs
+            .filter(job => !filter.state || job.state === filter.state)
+            .slice()
+            .reverse();
+    }
+
+    /**
+     * Resolves once a job reaches done or failed
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} - Finished job
+     */
+    waitFor(id) {
+        const job = this.get(id);
+        if (!job || TERMINAL_STATES.includes(job.state)) {
+            return Promise.resolve(job);
+        }
+
+        return new Promise(resolve => {
+            const list = this.waiters.get(id) || [];
+            list.push(resolve);
+            this.waiters.set(id, list);
+        });
+    }
+
+    /**
+     * Runs queued jobs one at a time
+     */
+    async process() {
+        if (this.processing || !this.handler) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            let job;
+            while ((job = this.jobs.find(j => j.state === 'queued'))) {
+                const id = job.id;
+                this.update(id, { state: 'converting', startedAt: new Date().toISOString() });
+
+                const report = (state, changes = {}) => {
+                    this.update(id, state ? { ...changes, state } : changes);
+                };
+
+                try {
+                    const result = await this.handler(job, report);
+                    this.update(id, { state: 'done', progress: 100, result: result || null, finishedAt: new Date().toISOString() });
+                } catch (error) {
+                    log.error('Job failed', { jobId: id, error: error.message });
+                    this.update(id, { state: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+}
+
+JobQueue.ACTIVE_STATES = ACTIVE_STATES;
+JobQueue.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = JobQueue;
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Request ids taken from clients; anything else is replaced with a generated one
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * Shared leveled logger
+ *
+ * Every module logs through createLogger('<module>'); lines carry the level,
+ * the module and any context fields. Settings come from the logging section
+ * of the configuration (config.js):
+ *   - LOG_LEVEL: debug | info | warn | error (default: info)
+ *   - LOG_FORMAT: text | json (default: text)
+ *   - LOG_DIR: directory for log files, "off" disables them (default: logs)
+ *   - LOG_MAX_SIZE_MB: size at which the day's file rotates (default: 10)
+ *   - LOG_RETENTION_DAYS: days log files are kept (default: 14)
+ *
+ * Files are named app-YYYY-MM-DD.log, then app-YYYY-MM-DD.1.log, ... once
+ * the size limit is reached, and are written through an append stream.
+ */
+class LogFile {
+    /**
+     * @param {Object} options - { dir, maxSize (bytes), retentionDays }
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.maxSize = options.maxSize;
+        this.retentionDays = options.retentionDays;
+        this.stream = null;
+        this.date = null;
+        this.index = 0;
+        this.size = 0;
+    }
+
+    /**
+     * Appends a line, rotating first when the date changed or the file is full
+     * @param {string} line - Log line (without newline)
+     */
+    write(line) {
+        const date = new Date().toISOString().split('T')[0];
+        if (!this.stream || date !== this.date || this.size >= this.maxSize) {
+            this.rotate(date);
+        }
+        const data = line + '\n';
+        this.size += Buffer.byteLength(data);
+        this.stream.write(data);
+    }
+
+    /**
+     * Opens the next file for a date and removes expired files
+     * @param {string} date - YYYY-MM-DD
+     */
+    rotate(date) {
+        if (this.stream) {
+            this.stream.end();
+        }
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+
+        // Continue the day's last file while it has room; the file just filled
+        // may not be flushed yet, so a same-day rotation starts after it
+        let index = this.stream && date === this.date ? this.index + 1 : 0;
+        let filePath = this.pathFor(date, index);
+        while (fs.existsSync(filePath) && fs.statSync(filePath).size >= this.maxSize) {
+            filePath = this.pathFor(date, ++index);
+        }
+
+        this.date = date;
+        this.index = index;
+        this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+        this.stream.on('error', error => {
+            process.stderr.write(`Log file error: ${error.message}\n`);
+        });
+        this.removeExpired();
+    }
+
+    /**
+     * Gets the path of a day's log file, e.g. logs/app-2025-01-15.1.log
+     */
+    pathFor(date, index) {
+        return path.join(this.dir, index === 0 ? `app-${date}.log` : `app-${date}.${index}.log`);
+    }
+
+    /**
+     * Removes this logger's files (app-*.log) older than the retention period;
+     * other files in the directory are left alone
+     */
+    removeExpired() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+        for (const name of fs.readdirSync(this.dir)) {
+            const m = name.match(/^app-(\d{4}-\d{2}-\d{2})(?:\.\d+)?\.log$/);
+            if (m && Date.parse(m[1]) < cutoff) {
+                try {
+                    fs.unlinkSync(path.join(this.dir, name));
+                } catch (_) {}
+            }
+        }
+    }
+}
+
+/**
+ * Builds the logger settings from the logging section of the configuration
+ * @param {Object} logging - { level, format, dir, maxSizeMb, retentionDays }
+ */
+function loadSettings(logging = getConfig().logging) {
+    return {
+        level: logging.level,
+        format: logging.format,
+        file: logging.dir !== 'off'
+            ? new LogFile({
+                dir: logging.dir,
+                maxSize: logging.maxSizeMb * 1024 * 1024,
+                retentionDays: logging.retentionDays
+            })
+            : null
+    };
+}
+
+// Loaded on the first write, so requiring the logger never reads the configuration
+let settings = null;
+
+function currentSettings() {
+    if (!settings) {
+        settings = loadSettings();
+    }
+    return settings;
+}
+
+/**
+ * Turns Error values into { error, stack } so they survive JSON output
+ */
+function normalizeFields(fields) {
+    if (fields instanceof Error) {
+        return { error: fields.message, stack: fields.stack };
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        result[key] = value instanceof Error ? value.message : value;
+    }
+    return result;
+}
+
+/**
+ * Formats an entry as a text line: time LEVEL [module] message key=value ...
+ */
+function formatText(entry) {
+    const { time, level, module, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .filter(([key, value]) => value !== undefined && key !== 'stack')
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    const line = `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra ? ' ' + extra : ''}`;
+    return fields.stack && level === 'error' ? `${line}\n${fields.stack}` : line;
+}
+
+class Logger {
+    /**
+     * @param {string} module - Module name (downloader, tracker, cache, scheduler, http, ...)
+     * @param {Object} context - Fields added to every line
+     */
+    constructor(module, context = {}) {
+        this.module = module;
+        this.context = context;
+    }
+
+    /**
+     * Creates a logger that adds fields to every line (e.g. { requestId })
+     * @param {Object} context - Extra fields
+     * @returns {Logger}
+     */
+    child(context) {
+        return new Logger(this.module, { ...this.context, ...context });
+    }
+
+    /**
+     * Writes an entry when its level is enabled
+     * @param {string} level - debug | info | warn | error
+     * @param {string} msg - Message
+     * @param {Object|Error} fields - Context fields, or an error
+     */
+    log(level, msg, fields) {
+        const settings = currentSettings();
+        if (LEVELS[level] < LEVELS[settings.level]) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            module: this.module,
+            msg,
+            ...this.context,
+            ...normalizeFields(fields)
+        };
+        const line = settings.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+        if (settings.file) {
+            settings.file.write(line);
+        }
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+/**
+ * Creates a logger for a module
+ * @param {string} module - Module name
+ * @returns {Logger}
+ */
+function createLogger(module) {
+    return new Logger(module);
+}
+
+/**
+ * Express middleware: gives each request an id (the client's X-Request-Id when it is
+ * 1-64 letters, digits, "_", "." or "-", generated otherwise), a req.log logger
+ * carrying it, and logs the response status and duration
+ * @param {Logger} logger - HTTP logger
+ */
+function requestLogger(logger = createLogger('http')) {
+    return (req, res, next) => {
+        const clientId = req.get('x-request-id');
+        const requestId = clientId && REQUEST_ID.test(clientId) ? clientId : crypto.randomUUID();
+        const startedAt = Date.now();
+
+        req.id = requestId;
+        req.log = logger.child({ requestId });
+        res.setHeader('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const status = res.statusCode;
+            const level = status >= 500 ? 'error' : (status >= 400 ? 'warn' : 'info');
+            req.log[level](`${req.method} ${req.originalUrl} ${status}`, {
+                status,
+                durationMs: Date.now() - startedAt
+            });
+        });
+        next();
+    };
+}
+
+module.exports = {
+    createLogger,
+    requestLogger,
+    loadSettings,
+    Logger,
+    LogFile
+};
@@ -0,0 +1,313 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4) by GET /metrics.
+ * Download metrics come from downloader events (attach()), HTTP metrics
+ * from the httpMetrics() middleware.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value (backslash, double quote, newline)
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats labels as {a="1",b="2"} (empty string when there are none)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - HELP text
+     * @param {string[]} labelNames - Label names, in output order
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // Label key -> { labels, value }
+    }
+
+    /**
+     * Gets the entry for a label set, creating it with an initial value
+     */
+    entry(labels = {}, initial = 0) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : '';
+        }
+        const key = JSON.stringify(picked);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: picked, value: initial });
+        }
+        return this.values.get(key);
+    }
+
+    /**
+     * Renders the HELP/TYPE header and one line per label set
+     * @returns {string[]} - Lines
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    get type() { return 'counter'; }
+
+    inc(labels, amount = 1) {
+        this.entry(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    get type() { return 'gauge'; }
+
+    set(labels, value) {
+        this.entry(labels).value = value;
+    }
+
+    /**
+     * Reads the values at scrape time instead of tracking them
+     * @param {Function} collect - () => [{ labels, value }]
+     */
+    collect(collect) {
+        this.collector = collect;
+        return this;
+    }
+
+    render() {
+        if (this.collector) {
+            for (const { labels, value } of this.collector()) {
+                if (value !== null && value !== undefined) this.set(labels, value);
+            }
+        }
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    get type() { return 'histogram'; }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, null);
+        if (entry.value === null) {
+            entry.value = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        }
+        this.buckets.forEach((bucket, i) => {
+            if (value <= bucket) entry.value.counts[i]++;
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, value } of this.values.values()) {
+            this.buckets.forEach((bucket, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Registers a metric (or returns the one already registered with its name)
+     */
+    register(metric) {
+        if (!this.metrics.has(metric.name)) {
+            this.metrics.set(metric.name, metric);
+        }
+        return this.metrics.get(metric.name);
+    }
+
+    counter(name, help, labelNames) { return this.register(new Counter(name, help, labelNames)); }
+    gauge(name, help, labelNames) { return this.register(new Gauge(name, help, labelNames)); }
+    histogram(name, help, labelNames, buckets) { return this.register(new Histogram(name, help, labelNames, buckets)); }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Renders every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Shared registry and the metrics every server exposes
+const registry = new Registry();
+
+const downloadAttempts = registry.counter('issue_downloader_download_attempts_total',
+    'Download attempts by publication and trigger', ['publication', 'trigger']);
+const downloadSuccesses = registry.counter('issue_downloader_download_successes_total',
+    'Successful downloads by publication and trigger', ['publication', 'trigger']);
+const downloadFailures = registry.counter('issue_downloader_download_failures_total',
+    'Failed downloads by publication and trigger', ['publication', 'trigger']);
+const downloadedBytes = registry.counter('issue_downloader_downloaded_bytes_total',
+    'Bytes of PDFs downloaded', ['publication']);
+const lastSuccess = registry.gauge('issue_downloader_last_success_timestamp_seconds',
+    'Unix time of the last successful download', ['publication']);
+const conversionWait = registry.histogram('issue_downloader_conversion_wait_seconds',
+    'Time spent waiting for a conversion job, by provider and outcome', ['provider', 'outcome'],
+    [1, 5, 10, 30, 60, 120, 300, 600]);
+registry.gauge('issue_downloader_latest_issue_number',
+    'Latest known issue number', ['publication']);
+const cacheRequests = registry.counter('issue_downloader_cache_requests_total',
+    'Cache lookups of /api/download/latest (hit or miss)', ['publication', 'result']);
+const servedBytes = registry.counter('issue_downloader_http_response_bytes_total',
+    'Bytes sent in HTTP responses, by route', ['route']);
+const httpDuration = registry.histogram('issue_downloader_http_request_duration_seconds',
+    'HTTP request latency', ['method', 'route', 'status']);
+
+/**
+ * Counts the attempts, outcomes, bytes and conversion waits of a downloader
+ * from its 'started', 'conversion', 'complete' and 'failed' events
+ * @param {EventEmitter} downloader - IssuuDownloader
+ * @param {Object} options - { publication } id used as label
+ */
+function attach(downloader, options = {}) {
+    const publication = options.publication || null;
+
+    downloader.on('started', ({ trigger }) => downloadAttempts.inc({ publication, trigger }));
+    downloader.on('conversion', ({ provider, outcome, waitMs }) => {
+        conversionWait.observe({ provider, outcome }, waitMs / 1000);
+    });
+    downloader.on('complete', ({ trigger, size }) => {
+        downloadSuccesses.inc({ publication, trigger });
+        downloadedBytes.inc({ publication }, size || 0);
+        lastSuccess.set({ publication }, Math.floor(Date.now() / 1000));
+    });
+    downloader.on('failed', ({ trigger }) => downloadFailures.inc({ publication, trigger }));
+}
+
+/**
+ * Reports the latest known issue number of each publication at scrape time
+ * @param {Function} collect - () => [{ labels: { publication }, value }]
+ */
+function collectLatestIssues(collect) {
+    registry.get('issue_downloader_latest_issue_number').collect(collect);
+}
+
+/**
+ * Records a cache hit or miss of /api/download/latest
+ */
+function recordCacheLookup(publication, hit) {
+    cacheRequests.inc({ publication, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Middleware naming the mount pattern of the handlers after it, e.g.
+ * app.use('/api/publications/:id', mountedAt('/api/publications/:id'), router),
+ * since req.baseUrl holds the matched path ("/api/publications/bpview")
+ * @param {string} pattern - Mount path as declared
+ * @returns {Function} - Middleware
+ */
+function mountedAt(pattern) {
+    return (req, res, next) => {
+        req.mount = { pattern, baseUrl: req.baseUrl };
+        next();
+    };
+}
+
+/**
+ * Route label of a request: the matched route pattern under its mount pattern,
+ * the mount pattern alone when a mounted handler answered without a route
+ * (static files, unknown publication ids), or "unmatched". Only declared
+ * patterns are used, so clients can't grow the label set.
+ */
+function routeOf(req) {
+    // A request that fell out of a mount into later routes has another baseUrl
+    const mount = req.mount && req.mount.baseUrl === req.baseUrl ? req.mount.pattern : null;
+    if (req.route) {
+        return `${mount !== null ? mount : req.baseUrl}${req.route.path}`;
+    }
+    return mount || 'unmatched';
+}
+
+/**
+ * Express middleware: request latency histogram and bytes sent per route
+ */
+function httpMetrics() {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        let bytes = 0;
+
+        const write = res.write;
+        const end = res.end;
+        res.write = function (chunk, ...args) {
+            if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk);
+            return write.call(this, chunk, ...args);
+        };
+        res.end = function (chunk, ...args) {
+            if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk);
+            return end.call(this, chunk, ...args);
+        };
+
+        res.on('finish', () => {
+            const route = routeOf(req);
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+            servedBytes.inc({ route }, bytes);
+        });
+        next();
+    };
+}
+
+/**
+ * GET /metrics handler
+ */
+function metricsHandler(req, res) {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+}
+
+module.exports = {
+    registry,
+    attach,
+    collectLatestIssues,
+    recordCacheLookup,
+    httpMetrics,
+    mountedAt,
+    metricsHandler,
+    Registry,
+    Counter,
+    Gauge,
+    Histogram
+};
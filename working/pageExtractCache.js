@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatPageRange } = require('./pdfPages');
+const { runPdfTask } = require('./pdfWorker');
+const { checksumFile } = require('./fileServer');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('pages');
+
+/**
+ * Cache of page extracts (PDFs holding a range of an issue's pages)
+ *
+ * Extracts are stored in <paths.cache>/page-extracts as <checksum>_<range>.pdf,
+ * so a changed issue file never serves a stale extract. The least recently
+ * used extracts are removed beyond pages.cacheMaxFiles.
+ */
+class PageExtractCache {
+    /**
+     * @param {Object} options - { cacheDir, maxFiles, config } (cacheDir defaults to
+     *   <paths.cache>/page-extracts, maxFiles to pages.cacheMaxFiles)
+     */
+    constructor(options = {}) {
+        const config = options.config || getConfig();
+        this.cacheDir = options.cacheDir || path.join(config.paths.cache, 'page-extracts');
+        this.maxFiles = options.maxFiles || config.pages.cacheMaxFiles;
+        this.building = new Map(); // Extract path -> promise of the extract being built
+    }
+
+    /**
+     * Gets the extract of some pages of a PDF, building it on a cache miss. The
+     * extract is built on the PDF worker thread; requests for an extract that is
+     * being built wait for it instead of building it again
+     * @param {string} sourcePath - Issue PDF
+     * @param {number[]} pages - Sorted page numbers (see parsePageRange)
+     * @param {Object} options - { checksum } of the source (computed when omitted), { title } of the extract
+     * @returns {Promise<Object>} - { filePath, range, checksum, cached }
+     */
+    async get(sourcePath, pages, options = {}) {
+        const range = formatPageRange(pages);
+        const sourceChecksum = options.checksum || await checksumFile(sourcePath);
+        // Long lists of single pages would make file names too long
+        const rangeKey = range.length > 100 ? crypto.createHash('sha256').update(range).digest('hex').slice(0, 16) : range;
+        const filePath = path.join(this.cacheDir, `${sourceChecksum}_${rangeKey}.pdf`);
+
+        if (this.building.has(filePath)) {
+            return this.building.get(filePath);
+        }
+        if (fs.existsSync(filePath)) {
+            const now = new Date();
+            fs.utimesSync(filePath, now, now);
+            return { filePath, range, checksum: await checksumFile(filePath), cached: true };
+        }
+
+        const build = this.build(sourcePath, pages, filePath, options.title)
+            .then(checksum => ({ filePath, range, checksum, cached: false }))
+            .finally(() => this.building.delete(filePath));
+        this.building.set(filePath, build);
+        return build;
+    }
+
+    /**
+     * Writes an extract through a temp file and evicts old extracts
+     * @returns {Promise<string>} - Checksum of the extract
+     */
+    async build(sourcePath, pages, filePath, title) {
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        try {
+            const { size } = await runPdfTask('extractPages', sourcePath, pages, { title }, tmpPath);
+            fs.renameSync(tmpPath, filePath);
+            log.info('Page extract created', { source: path.basename(sourcePath), range: formatPageRange(pages), size });
+        } catch (error) {
+            fs.rmSync(tmpPath, { force: true });
+            throw error;
+        }
+
+        this.evict(filePath);
+        return checksumFile(filePath);
+    }
+
+    /**
+     * Removes the least recently used extracts beyond maxFiles
+     * @param {string} newest - Extract just built; always kept (file times can be coarser than utimes)
+     */
+    evict(newest) {
+        const files = fs.readdirSync(this.cacheDir)
+            .filter(name => name.endsWith('.pdf'))
+            .map(name => {
+                const filePath = path.join(this.cacheDir, name);
+                return { filePath, mtimeMs: filePath === newest ? Infinity : fs.statSync(filePath).mtimeMs };
+            })
+            .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+        for (const { filePath } of files.slice(this.maxFiles)) {
+            fs.rmSync(filePath, { force: true });
+            log.debug('Page extract evicted', { path: filePath });
+        }
+    }
+}
+
+module.exports = PageExtractCache;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { PdfDocument, parsePdfDate } = require('./pdfReader');
+
+/**
+ * PDF metadata of a downloaded issue
+ *
+ * Reads the document information dictionary (falling back to the XMP packet
+ * for the title, producer and creation date) and the page tree. Page sizes
+ * are in PostScript points (1/72 inch), taken from the crop box when there is
+ * one and swapped for pages rotated by 90 or 270 degrees.
+ * @param {string|Buffer} input - PDF file path or bytes
+ * @returns {Object} - { version, pageCount, title, author, subject, producer, creator,
+ *   creationDate, modificationDate, pageSize: { width, height }, pageSizes: [{ width, height, pages }] }
+ */
+function extractMetadata(input) {
+    const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    const doc = new PdfDocument(buffer);
+    const info = doc.getInfo();
+    const xmp = readXmp(doc);
+    const pages = doc.getPages();
+
+    const pageSizes = [];
+    for (const page of pages) {
+        const size = pageSize(page);
+        if (!size) continue;
+        const same = pageSizes.find(entry => entry.width === size.width && entry.height === size.height);
+        if (same) {
+            same.pages++;
+        } else {
+            pageSizes.push({ ...size, pages: 1 });
+        }
+    }
+    const first = pages.length > 0 ? pageSize(pages[0]) : null;
+
+    return {
+        version: doc.version,
+        pageCount: pages.length,
+        title: info.Title || xmp.title || null,
+        author: info.Author || null,
+        subject: info.Subject || null,
+        producer: info.Producer || xmp.producer || null,
+        creator: info.Creator || null,
+        creationDate: parsePdfDate(info.CreationDate) || xmp.creationDate || null,
+        modificationDate: parsePdfDate(info.ModDate) || null,
+        pageSize: first,
+        pageSizes
+    };
+}
+
+/**
+ * Size of a page in points, or null when it has no valid box
+ */
+function pageSize(page) {
+    const box = Array.isArray(page.cropBox) && page.cropBox.length === 4 ? page.cropBox : page.mediaBox;
+    if (!Array.isArray(box) || box.length !== 4 || !box.every(n => typeof n === 'number')) {
+        return null;
+    }
+
+    const width = Math.round(Math.abs(box[2] - box[0]) * 100) / 100;
+    const height = Math.round(Math.abs(box[3] - box[1]) * 100) / 100;
+    return Math.abs(page.rotate) % 180 === 90 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Reads title, producer and creation date from the XMP packet (empty when there is none)
+ */
+function readXmp(doc) {
+    let xml;
+    try {
+        xml = doc.getXmp();
+    } catch (_) {
+        xml = null;
+    }
+    if (!xml) {
+        return {};
+    }
+
+    const title = /<dc:title>[\s\S]*?<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/.exec(xml);
+    const producer = /<pdf:Producer>([\s\S]*?)<\/pdf:Producer>|pdf:Producer="([^"]*)"/.exec(xml);
+    const created = /<xmp:CreateDate>([\s\S]*?)<\/xmp:CreateDate>|xmp:CreateDate="([^"]*)"/.exec(xml);
+    const createdAt = created && new Date((created[1] || created[2]).trim());
+
+    return {
+        title: title ? decodeXml(title[1]).trim() || null : null,
+        producer: producer ? decodeXml(producer[1] || producer[2]).trim() || null : null,
+        creationDate: createdAt && !isNaN(createdAt.getTime()) ? createdAt.toISOString() : null
+    };
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    extractMetadata
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const { PdfDocument, PdfError, PdfName, PdfRef, PdfString, PdfStream, isDict, nameOf } = require('./pdfReader');
+const { PdfWriter, pdfString, pdfDate } = require('./pdfWriter');
+
+const MAX_RANGE_PAGES = 1000;
+
+// Page entries that point into parts of the document an extract does not keep
+const DROPPED_PAGE_KEYS = new Set(['Parent', 'B', 'StructParents', 'PieceInfo']);
+const INHERITED_PAGE_KEYS = { Resources: 'resources', MediaBox: 'mediaBox', CropBox: 'cropBox', Rotate: 'rotate' };
+
+/**
+ * Parses a page range such as "3-7,12"
+ * "10-" runs to the last page when the page count is known.
+ * @param {string} spec - Comma separated pages and ranges
+ * @param {number} pageCount - Pages in the document, to check bounds (optional)
+ * @returns {number[]} - Page numbers (1-based), sorted and without duplicates
+ */
+function parsePageRange(spec, pageCount = null) {
+    const pages = new Set();
+
+    for (const part of String(spec || '').split(',')) {
+        const m = /^\s*(\d+)\s*(?:(-)\s*(\d+)?\s*)?$/.exec(part);
+        if (!m || (m[2] && m[3] === undefined && !pageCount)) {
+            throw new Error(`Invalid page range: "${spec}" (expected e.g. 3-7,12)`);
+        }
+
+        const from = parseInt(m[1], 10);
+        const to = m[3] !== undefined ? parseInt(m[3], 10) : (m[2] ? pageCount : from);
+        if (from < 1) {
+            throw new Error('Invalid page range: pages start at 1');
+        }
+        if (to < from) {
+            throw new Error(`Invalid page range: ${from}-${to} ends before it starts`);
+        }
+        if (pageCount && to > pageCount) {
+            throw new Error(`Page ${to} is out of range (the issue has ${pageCount} pages)`);
+        }
+        if (to - from >= MAX_RANGE_PAGES) {
+            throw new Error(`Page range ${from}-${to} is too large (max ${MAX_RANGE_PAGES} pages)`);
+        }
+
+        for (let n = from; n <= to; n++) pages.add(n);
+    }
+
+    return Array.from(pages).sort((a, b) => a - b);
+}
+
+/**
+ * Formats page numbers as the shortest range, e.g. [3, 4, 5, 12] => "3-5,12"
+ * @param {number[]} pages - Sorted page numbers
+ * @returns {string}
+ */
+function formatPageRange(pages) {
+    const parts = [];
+    for (let i = 0; i < pages.length; i++) {
+        let j = i;
+        while (j + 1 < pages.length && pages[j + 1] === pages[j] + 1) j++;
+        parts.push(j > i ? `${pages[i]}-${pages[j]}` : `${pages[i]}`);
+        i = j;
+    }
+    return parts.join(',');
+}
+
+/**
+ * Builds a PDF holding some pages of another one
+ *
+ * Copies each selected page with every object it uses (contents, fonts,
+ * images, annotations), renumbered into a new file. Attributes the page
+ * inherited from the page tree are copied onto it, and references to pages
+ * that are left out become null. Streams are copied still encoded.
+ * @param {string|Buffer|PdfDocument} input - PDF file path, bytes or parsed document
+ * @param {number[]} pageNumbers - Pages to keep (1-based), in output order
+ * @param {Object} options
+ * @param {string} options.title - Title of the new document (default: the source title and the range)
+ * @returns {Buffer} - PDF bytes
+ */
+function extractPages(input, pageNumbers, options = {}) {
+    const doc = input instanceof PdfDocument
+        ? input
+        : new PdfDocument(Buffer.isBuffer(input) ? input : fs.readFileSync(input));
+    if (doc.trailer.Encrypt) {
+        throw new PdfError('Encrypted PDFs are not supported');
+    }
+
+    const pages = doc.getPages();
+    if (pageNumbers.length === 0) {
+        throw new Error('No pages selected');
+    }
+    for (const n of pageNumbers) {
+        if (!Number.isInteger(n) || n < 1 || n > pages.length) {
+            throw new Error(`Page ${n} is out of range (the issue has ${pages.length} pages)`);
+        }
+    }
+
+    const writer = new PdfWriter();
+    const catalogNum = writer.reserve();
+    const pagesNum = writer.reserve();
+
+    const allPages = new Set(pages.filter(page => page.ref).map(page => page.ref.num));
+    const selected = pageNumbers.map(n => ({ page: pages[n - 1], num: writer.reserve() }));
+    const renumbered = new Map(); // Source object number => new object number
+    for (const { page, num } of selected) {
+        if (page.ref && !renumbered.has(page.ref.num)) renumbered.set(page.ref.num, num);
+    }
+    const pending = [];
+
+    const mapRef = ref => {
+        if (renumbered.has(ref.num)) {
+            return `${renumbered.get(ref.num)} 0 R`;
+        }
+        if (allPages.has(ref.num)) {
+            return 'null';
+        }
+        const value = doc.getObject(ref.num);
+        if (value === null || value === undefined || (isDict(value) && ['Pages', 'Catalog'].includes(nameOf(value.Type)))) {
+            return 'null';
+        }
+        const num = writer.reserve();
+        renumbered.set(ref.num, num);
+        pending.push({ source: ref.num, num });
+        return `${num} 0 R`;
+    };
+    const write = value => serialize(value, mapRef);
+
+    for (const { page, num } of selected) {
+        const entries = [];
+        for (const [key, value] of Object.entries(page.dict)) {
+            if (DROPPED_PAGE_KEYS.has(key) || INHERITED_PAGE_KEYS[key]) continue;
+            entries.push(`${writeName(key)} ${write(value)}`);
+        }
+        for (const [key, attribute] of Object.entries(INHERITED_PAGE_KEYS)) {
+            const value = page.dict[key] !== undefined ? page.dict[key] : page[attribute];
+            if (value !== null && value !== undefined && !(key === 'Rotate' && value === 0)) {
+                entries.push(`${writeName(key)} ${write(value)}`);
+            }
+        }
+        writer.set(num, `<< ${entries.join(' ')} /Parent ${pagesNum} 0 R >>`);
+    }
+
+    while (pending.length > 0) {
+        const { source, num } = pending.shift();
+        const value = doc.getObject(source);
+        if (value instanceof PdfStream) {
+            const entries = Object.entries(value.dict)
+                .filter(([key]) => key !== 'Length')
+                .map(([key, entry]) => `${writeName(key)} ${write(entry)}`);
+            writer.setStream(num, entries.join(' '), value.data);
+        } else {
+            writer.set(num, write(value));
+        }
+    }
+
+    const kids = selected.map(({ num }) => `${num} 0 R`).join(' ');
+    writer.set(pagesNum, `<< /Type /Pages /Kids [${kids}] /Count ${selected.length} >>`);
+    writer.set(catalogNum, `<< /Type /Catalog /Pages ${pagesNum} 0 R >>`);
+
+    const sourceTitle = doc.getInfo().Title;
+    const title = options.title || `${sourceTitle || 'Pages'} (pages ${formatPageRange(pageNumbers)})`;
+    const infoNum = writer.addObject(
+        `<< /Title ${pdfString(title)} /Producer ${pdfString('weeklylink-downloader')} /CreationDate ${pdfString(pdfDate())} >>`
+    );
+
+    return writer.toBuffer({ root: catalogNum, info: infoNum, version: doc.version || '1.4' });
+}
+
+/**
+ * Writes a parsed value back as PDF syntax
+ * @param {*} value - Parsed value
+ * @param {Function} mapRef - Turns a PdfRef into the reference (or null) to write
+ * @returns {string}
+ */
+function serialize(value, mapRef) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+    if (typeof value === 'number') {
+        return writeNumber(value);
+    }
+    if (value instanceof PdfName) {
+        return writeName(value.name);
+    }
+    if (value instanceof PdfString) {
+        // Hex keeps the bytes exact whatever they are
+        return `<${value.bytes.toString('hex')}>`;
+    }
+    if (value instanceof PdfRef) {
+        return mapRef(value);
+    }
+    if (value instanceof PdfStream) {
+        throw new PdfError('Streams can only be copied as indirect objects');
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => serialize(item, mapRef)).join(' ')}]`;
+    }
+    if (isDict(value)) {
+        const entries = Object.entries(value).map(([key, entry]) => `${writeName(key)} ${serialize(entry, mapRef)}`);
+        return `<< ${entries.join(' ')} >>`;
+    }
+    throw new PdfError(`Cannot write value ${value}`);
+}
+
+function writeNumber(n) {
+    if (Number.isInteger(n)) {
+        return String(n);
+    }
+    const fixed = n.toFixed(6).replace(/0+$/, '').replace(/\.$/, '');
+    return fixed === '-0' ? '0' : fixed;
+}
+
+/**
+ * Writes a name, escaping delimiters and bytes outside printable ASCII as #xx
+ */
+function writeName(name) {
+    return `/${name.replace(/[^!-~]|[#()<>[\]{}/%]/g, char => `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`)}`;
+}
+
+module.exports = {
+    parsePageRange,
+    formatPageRange,
+    extractPages
+};
@@ -0,0 +1,891 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF reader
+ * Parses the cross-reference table (classic tables, xref streams and object
+ * streams), resolves indirect objects and walks the page tree. It reads what
+ * this project needs to check and inspect downloaded issues, not every PDF feature.
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+// Literal string escapes: \n \r \t \b \f \( \) \\
+const ESCAPES = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C, 0x28: 0x28, 0x29: 0x29, 0x5C: 0x5C };
+
+class PdfError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PdfError';
+    }
+}
+
+class PdfName {
+    constructor(name) {
+        this.name = name;
+    }
+
+    toString() {
+        return `/${this.name}`;
+    }
+}
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+
+    toString() {
+        return `${this.num} ${this.gen} R`;
+    }
+}
+
+class PdfString {
+    /**
+     * @param {Buffer} bytes - Raw string bytes
+     * @param {boolean} hex - Whether it was written as a hex string
+     */
+    constructor(bytes, hex = false) {
+        this.bytes = bytes;
+        this.hex = hex;
+    }
+
+    /**
+     * Decodes a text string (UTF-16BE with a byte order mark, or PDFDocEncoding, read as Latin-1)
+     */
+    toString() {
+        const bytes = this.bytes;
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            const swapped = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2)));
+            return swapped.swap16().toString('utf16le');
+        }
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return bytes.toString('utf8', 3);
+        }
+        return bytes.toString('latin1');
+    }
+}
+
+class PdfStream {
+    /**
+     * @param {Object} dict - Stream dictionary
+     * @param {Buffer} data - Raw (still encoded) stream data
+     */
+    constructor(dict, data) {
+        this.dict = dict;
+        this.data = data;
+    }
+}
+
+/**
+ * Whether a value is a dictionary (a plain object, not one of the value classes)
+ */
+function isDict(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.getPrototypeOf(value) === null;
+}
+
+/**
+ * Gets the name of a name value (null for anything else)
+ */
+function nameOf(value) {
+    return value instanceof PdfName ? value.name : null;
+}
+
+/**
+ * Splits PDF bytes into tokens
+ */
+class Lexer {
+    /**
+     * @param {Buffer} buffer - Bytes to read
+     * @param {number} pos - Start offset
+     */
+    constructor(buffer, pos = 0) {
+        this.buffer = buffer;
+        this.pos = pos;
+    }
+
+    skipWhitespace() {
+        const buffer = this.buffer;
+        while (this.pos < buffer.length) {
+            const byte = buffer[this.pos];
+            if (WHITESPACE.has(byte)) {
+                this.pos++;
+            } else if (byte === 0x25) { // % comment up to the end of the line
+                while (this.pos < buffer.length && buffer[this.pos] !== 0x0A && buffer[this.pos] !== 0x0D) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Reads the next token
+     * @returns {Object} - { type: number|name|string|punct|keyword|eof, value, hex }
+     */
+    next() {
+        this.skipWhitespace();
+        const buffer = this.buffer;
+        if (this.pos >= buffer.length) {
+            return { type: 'eof' };
+        }
+
+        const byte = buffer[this.pos];
+        switch (byte) {
+            case 0x2F: // /
+                return { type: 'name', value: this.readName() };
+            case 0x28: // (
+                return { type: 'string', value: this.readLiteralString(), hex: false };
+            case 0x3C: // <
+                if (buffer[this.pos + 1] === 0x3C) {
+                    this.pos += 2;
+                    return { type: 'punct', value: '<<' };
+                }
+                return { type: 'string', value: this.readHexString(), hex: true };
+            case 0x3E: // >
+                if (buffer[this.pos + 1] === 0x3E) {
+                    this.pos += 2;
+                    return { type: 'punct', value: '>>' };
+                }
+                this.pos++;
+                throw new PdfError(`Unexpected ">" at offset ${this.pos - 1}`);
+            case 0x5B: case 0x5D: case 0x7B: case 0x7D: // [ ] { }
+                this.pos++;
+                return { type: 'punct', value: String.fromCharCode(byte) };
+            case 0x29: // )
+                this.pos++;
+                throw new PdfError(`Unexpected ")" at offset ${this.pos - 1}`);
+        }
+
+        const start = this.pos;
+        while (this.pos < buffer.length && !WHITESPACE.has(buffer[this.pos]) && !DELIMITERS.has(buffer[this.pos])) {
+            this.pos++;
+        }
+        const word = buffer.toString('latin1', start, this.pos);
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            return { type: 'number', value: Number(word) };
+        }
+        return { type: 'keyword', value: word };
+    }
+
+    readName() {
+        const buffer = this.buffer;
+        this.pos++; // /
+        let name = '';
+        while (this.pos < buffer.length && !WHITESPACE.has(buffer[this.pos]) && !DELIMITERS.has(buffer[this.pos])) {
+            const byte = buffer[this.pos];
+            if (byte === 0x23 && /^[0-9a-fA-F]{2}$/.test(buffer.toString('latin1', this.pos + 1, this.pos + 3))) {
+                name += String.fromCharCode(parseInt(buffer.toString('latin1', this.pos + 1, this.pos + 3), 16));
+                this.pos += 3;
+            } else {
+                name += String.fromCharCode(byte);
+                this.pos++;
+            }
+        }
+        return name;
+    }
+
+    readLiteralString() {
+        const buffer = this.buffer;
+        const bytes = [];
+        let depth = 1;
+        this.pos++; // (
+
+        while (this.pos < buffer.length) {
+            const byte = buffer[this.pos++];
+            if (byte === 0x28) {
+                depth++;
+            } else if (byte === 0x29) {
+                if (--depth === 0) return Buffer.from(bytes);
+            } else if (byte === 0x5C) { // backslash
+                const escaped = buffer[this.pos++];
+                if (ESCAPES[escaped] !== undefined) {
+                    bytes.push(ESCAPES[escaped]);
+                } else if (escaped >= 0x30 && escaped <= 0x37) {
+                    let octal = escaped - 0x30;
+                    for (let i = 0; i < 2 && buffer[this.pos] >= 0x30 && buffer[this.pos] <= 0x37; i++) {
+                        octal = octal * 8 + (buffer[this.pos++] - 0x30);
+                    }
+                    bytes.push(octal & 0xFF);
+                } else if (escaped === 0x0D) { // line continuation
+                    if (buffer[this.pos] === 0x0A) this.pos++;
+                } else if (escaped !== 0x0A && escaped !== undefined) {
+                    bytes.push(escaped);
+                }
+                continue;
+            } else if (byte === 0x0D) { // end of line is always read as \n
+                if (buffer[this.pos] === 0x0A) this.pos++;
+                bytes.push(0x0A);
+                continue;
+            }
+            bytes.push(byte);
+        }
+        throw new PdfError('Unterminated string');
+    }
+
+    readHexString() {
+        const buffer = this.buffer;
+        const end = buffer.indexOf(0x3E, this.pos);
+        if (end === -1) {
+            this.pos = buffer.length;
+            throw new PdfError('Unterminated hex string');
+        }
+        let hex = buffer.toString('latin1', this.pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+        if (hex.length % 2 === 1) hex += '0';
+        this.pos = end + 1;
+        return Buffer.from(hex, 'hex');
+    }
+}
+
+/**
+ * Builds values (numbers, names, strings, arrays, dictionaries, references) from tokens
+ */
+class Parser {
+    /**
+     * @param {Lexer} lexer - Token source
+     * @param {Object} options - { refs } whether "num gen R" is read as a reference (default: true)
+     */
+    constructor(lexer, options = {}) {
+        this.lexer = lexer;
+        this.refs = options.refs !== false;
+    }
+
+    /**
+     * Reads the next value
+     * @returns {*} - Value
+     */
+    parse() {
+        return this.valueFrom(this.lexer.next());
+    }
+
+    /**
+     * Builds the value starting at a token
+     * @param {Object} token - Token from the lexer
+     * @returns {*} - Value
+     */
+    valueFrom(token) {
+        switch (token.type) {
+            case 'number':
+                return this.refs && Number.isInteger(token.value) ? this.maybeRef(token.value) : token.value;
+            case 'name':
+                return new PdfName(token.value);
+            case 'string':
+                return new PdfString(token.value, token.hex);
+            case 'punct':
+                if (token.value === '[') return this.parseArray();
+                if (token.value === '<<') return this.parseDict();
+                throw new PdfError(`Unexpected "${token.value}" at offset ${this.lexer.pos}`);
+            case 'keyword':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null') return null;
+                throw new PdfError(`Unexpected keyword "${token.value}" at offset ${this.lexer.pos}`);
+            default:
+                throw new PdfError('Unexpected end of data');
+        }
+    }
+
+    /**
+     * Reads "num gen R" as a reference, or returns the number
+     */
+    maybeRef(num) {
+        const start = this.lexer.pos;
+        try {
+            const gen = this.lexer.next();
+            if (gen.type === 'number' && Number.isInteger(gen.value)) {
+                const keyword = this.lexer.next();
+                if (keyword.type === 'keyword' && keyword.value === 'R') {
+                    return new PdfRef(num, gen.value);
+                }
+            }
+        } catch (_) {
+            // Not a reference
+        }
+        this.lexer.pos = start;
+        return num;
+    }
+
+    parseArray() {
+        const array = [];
+        for (;;) {
+            const token = this.lexer.next();
+            if (token.type === 'punct' && token.value === ']') return array;
+            if (token.type === 'eof') throw new PdfError('Unterminated array');
+            array.push(this.valueFrom(token));
+        }
+    }
+
+    parseDict() {
+        const dict = Object.create(null);
+        for (;;) {
+            const token = this.lexer.next();
+            if (token.type === 'punct' && token.value === '>>') return dict;
+            if (token.type === 'eof') throw new PdfError('Unterminated dictionary');
+            if (token.type !== 'name') {
+                throw new PdfError(`Dictionary key is not a name at offset ${this.lexer.pos}`);
+            }
+            dict[token.value] = this.parse();
+        }
+    }
+}
+
+/**
+ * Reverses a PNG predictor (Predictor >= 10) applied to Flate data
+ */
+function unpredictPng(data, params) {
+    const colors = params.Colors || 1;
+    const bitsPerComponent = params.BitsPerComponent || 8;
+    const columns = params.Columns || 1;
+    const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowLength = Math.ceil(columns * colors * bitsPerComponent / 8);
+
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = Buffer.alloc(rows * rowLength);
+    let previous = Buffer.alloc(rowLength);
+
+    for (let r = 0; r < rows; r++) {
+        const filter = data[r * (rowLength + 1)];
+        const row = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+        const current = output.subarray(r * rowLength, (r + 1) * rowLength);
+
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            let value;
+            switch (filter) {
+                case 0: value = row[i]; break;
+                case 1: value = row[i] + left; break;
+                case 2: value = row[i] + up; break;
+                case 3: value = row[i] + ((left + up) >> 1); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value = row[i] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                    break;
+                }
+                default:
+                    throw new PdfError(`Unknown PNG predictor ${filter}`);
+            }
+            current[i] = value & 0xFF;
+        }
+        previous = current;
+    }
+    return output;
+}
+
+function decodeAsciiHex(data) {
+    const text = data.toString('latin1');
+    const end = text.indexOf('>');
+    let hex = (end === -1 ? text : text.slice(0, end)).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2 === 1) hex += '0';
+    return Buffer.from(hex, 'hex');
+}
+
+function decodeAscii85(data) {
+    let text = data.toString('latin1').replace(/\s/g, '');
+    if (text.startsWith('<~')) text = text.slice(2);
+    const end = text.indexOf('~>');
+    if (end !== -1) text = text.slice(0, end);
+
+    const output = [];
+    let group = [];
+    const flush = (count) => {
+        let value = 0;
+        for (let i = 0; i < 5; i++) value = value * 85 + (i < group.length ? group[i] : 84);
+        for (let i = 0; i < count; i++) output.push((value >>> (24 - 8 * i)) & 0xFF);
+        group = [];
+    };
+
+    for (const char of text) {
+        if (char === 'z' && group.length === 0) {
+            output.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(char.charCodeAt(0) - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 0) flush(group.length - 1);
+    return Buffer.from(output);
+}
+
+/**
+ * A parsed PDF file
+ */
+class PdfDocument {
+    /**
+     * @param {Buffer} buffer - PDF bytes
+     * @throws {PdfError} - When there is no header or the cross-reference data cannot be read
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.objects = new Map(); // Object number -> parsed value
+        this.objectStreams = new Map(); // Object stream number -> { data, offsets }
+        this.xref = new Map(); // Object number -> { type: 'offset', offset, gen } | { type: 'compressed', stream, index } | { type: 'free' }
+        this.trailer = null;
+
+        const header = buffer.toString('latin1', 0, Math.min(buffer.length, 1024)).match(/%PDF-(\d\.\d)/);
+        if (!header) {
+            throw new PdfError('Missing %PDF header');
+        }
+        this.version = header[1];
+        this.headerOffset = header.index;
+
+        this.startxref = this.findStartxref();
+        this.readXrefChain(this.startxref);
+    }
+
+    /**
+     * Reads and parses a PDF file
+     * @param {string} filePath - PDF file
+     * @returns {PdfDocument}
+     */
+    static open(filePath) {
+        return new PdfDocument(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Finds the offset given by the last "startxref"
+     */
+    findStartxref() {
+        const index = this.buffer.lastIndexOf('startxref');
+        if (index === -1) {
+            throw new PdfError('Missing startxref');
+        }
+        const token = new Lexer(this.buffer, index + 'startxref'.length).next();
+        if (token.type !== 'number' || !Number.isInteger(token.value)) {
+            throw new PdfError('startxref is not followed by an offset');
+        }
+        if (token.value < 0 || token.value >= this.buffer.length) {
+            throw new PdfError(`startxref offset ${token.value} is outside the file`);
+        }
+        return token.value;
+    }
+
+    /**
+     * Reads the cross-reference sections from newest to oldest (following /Prev);
+     * entries of newer sections win
+     */
+    readXrefChain(offset) {
+        const visited = new Set();
+        let next = offset;
+
+        while (next !== null && next !== undefined) {
+            if (visited.has(next)) {
+                throw new PdfError(`Cross-reference sections loop at offset ${next}`);
+            }
+            if (!Number.isInteger(next) || next < 0 || next >= this.buffer.length) {
+                throw new PdfError(`Cross-reference offset ${next} is outside the file`);
+            }
+            visited.add(next);
+
+            const trailer = this.readXrefSection(next);
+            if (!this.trailer) {
+                this.trailer = trailer;
+            }
+            // Hybrid files list compressed objects in an extra xref stream
+            if (Number.isInteger(trailer.XRefStm) && !visited.has(trailer.XRefStm)) {
+                visited.add(trailer.XRefStm);
+                this.readXrefSection(trailer.XRefStm);
+            }
+            next = Number.isInteger(trailer.Prev) ? trailer.Prev : null;
+        }
+    }
+
+    /**
+     * Reads one cross-reference section (a table or an xref stream)
+     * @returns {Object} - Its trailer dictionary
+     */
+    readXrefSection(offset) {
+        const lexer = new Lexer(this.buffer, offset);
+        const start = lexer.pos;
+        const token = lexer.next();
+
+        if (token.type === 'keyword' && token.value === 'xref') {
+            return this.readXrefTable(lexer);
+        }
+        if (token.type === 'number') {
+            lexer.pos = start;
+            return this.readXrefStream(offset);
+        }
+        throw new PdfError(`No cross-reference section at offset ${offset}`);
+    }
+
+    readXrefTable(lexer) {
+        for (;;) {
+            const token = lexer.next();
+            if (token.type === 'keyword' && token.value === 'trailer') {
+                break;
+            }
+            const count = lexer.next();
+            if (token.type !== 'number' || count.type !== 'number') {
+                throw new PdfError(`Malformed cross-reference table at offset ${lexer.pos}`);
+            }
+
+            for (let i = 0; i < count.value; i++) {
+                const offset = lexer.next();
+                const gen = lexer.next();
+                const kind = lexer.next();
+                if (offset.type !== 'number' || gen.type !== 'number' || kind.type !== 'keyword' || !/^[nf]$/.test(kind.value)) {
+                    throw new PdfError(`Malformed cross-reference entry for object ${token.value + i}`);
+                }
+                const num = token.value + i;
+                if (!this.xref.has(num)) {
+                    this.xref.set(num, kind.value === 'n'
+                        ? { type: 'offset', offset: offset.value, gen: gen.value }
+                        : { type: 'free' });
+                }
+            }
+        }
+
+        const trailer = new Parser(lexer).parse();
+        if (!isDict(trailer)) {
+            throw new PdfError('Trailer is not a dictionary');
+        }
+        return trailer;
+    }
+
+    readXrefStream(offset) {
+        const { value: stream } = this.parseIndirectObject(offset);
+        if (!(stream instanceof PdfStream) || nameOf(stream.dict.Type) !== 'XRef') {
+            throw new PdfError(`No cross-reference section at offset ${offset}`);
+        }
+
+        const dict = stream.dict;
+        const widths = dict.W;
+        if (!Array.isArray(widths) || widths.length < 3) {
+            throw new PdfError('Cross-reference stream has no valid /W');
+        }
+        const index = Array.isArray(dict.Index) ? dict.Index : [0, dict.Size];
+        const data = this.decodeStream(stream);
+        const entryLength = widths.reduce((sum, width) => sum + width, 0);
+
+        const field = (pos, width, fallback) => {
+            if (width === 0) return fallback;
+            let value = 0;
+            for (let i = 0; i < width; i++) value = value * 256 + data[pos + i];
+            return value;
+        };
+
+        let pos = 0;
+        for (let i = 0; i + 1 < index.length; i += 2) {
+            for (let j = 0; j < index[i + 1]; j++) {
+                if (pos + entryLength > data.length) {
+                    throw new PdfError('Cross-reference stream is shorter than its /Index');
+                }
+                const num = index[i] + j;
+                const type = field(pos, widths[0], 1);
+                const second = field(pos + widths[0], widths[1], 0);
+                const third = field(pos + widths[0] + widths[1], widths[2], 0);
+                pos += entryLength;
+
+                if (this.xref.has(num)) continue;
+                if (type === 1) {
+                    this.xref.set(num, { type: 'offset', offset: second, gen: third });
+                } else if (type === 2) {
+                    this.xref.set(num, { type: 'compressed', stream: second, index: third });
+                } else {
+                    this.xref.set(num, { type: 'free' });
+                }
+            }
+        }
+        return dict;
+    }
+
+    /**
+     * Parses the "num gen obj ... endobj" object at an offset
+     * @returns {Object} - { num, gen, value }
+     */
+    parseIndirectObject(offset) {
+        const lexer = new Lexer(this.buffer, offset);
+        const num = lexer.next();
+        const gen = lexer.next();
+        const keyword = lexer.next();
+        if (num.type !== 'number' || gen.type !== 'number' || keyword.type !== 'keyword' || keyword.value !== 'obj') {
+            throw new PdfError(`No object at offset ${offset}`);
+        }
+
+        const parser = new Parser(lexer);
+        let value = parser.parse();
+
+        const afterValue = lexer.pos;
+        const next = lexer.next();
+        if (next.type === 'keyword' && next.value === 'stream' && isDict(value)) {
+            value = new PdfStream(value, this.readStreamData(value, lexer.pos, num.value));
+        } else {
+            lexer.pos = afterValue;
+        }
+        return { num: num.value, gen: gen.value, value };
+    }
+
+    /**
+     * Reads stream data after the "stream" keyword, using /Length when it is
+     * right and the "endstream" keyword otherwise
+     */
+    readStreamData(dict, pos, num) {
+        const buffer = this.buffer;
+        if (buffer[pos] === 0x0D) pos++;
+        if (buffer[pos] === 0x0A) pos++;
+
+        let length = dict.Length;
+        if (length instanceof PdfRef && length.num !== num) {
+            try {
+                length = this.resolve(length);
+            } catch (_) {
+                length = null;
+            }
+        }
+        if (Number.isInteger(length) && length >= 0 && pos + length <= buffer.length) {
+            const after = new Lexer(buffer, pos + length);
+            after.skipWhitespace();
+            if (buffer.toString('latin1', after.pos, after.pos + 9) === 'endstream') {
+                return buffer.subarray(pos, pos + length);
+            }
+        }
+
+        const end = buffer.indexOf('endstream', pos);
+        if (end === -1) {
+            throw new PdfError(`Stream of object ${num} has no endstream`);
+        }
+        let dataEnd = end;
+        if (buffer[dataEnd - 1] === 0x0A) dataEnd--;
+        if (buffer[dataEnd - 1] === 0x0D) dataEnd--;
+        return buffer.subarray(pos, Math.max(pos, dataEnd));
+    }
+
+    /**
+     * Gets an indirect object by number
+     * @param {number} num - Object number
+     * @returns {*} - Its value (null for free or missing objects)
+     */
+    getObject(num) {
+        if (this.objects.has(num)) {
+            return this.objects.get(num);
+        }
+        const entry = this.xref.get(num);
+        let value = null;
+
+        // Reserve the slot so a reference cycle resolves to null instead of recursing
+        this.objects.set(num, null);
+        try {
+            if (entry && entry.type === 'offset') {
+                const object = this.parseIndirectObject(entry.offset);
+                if (object.num !== num) {
+                    throw new PdfError(`Cross-reference entry of object ${num} points to object ${object.num}`);
+                }
+                value = object.value;
+            } else if (entry && entry.type === 'compressed') {
+                value = this.getCompressedObject(entry.stream, entry.index);
+            }
+        } catch (error) {
+            this.objects.delete(num);
+            throw error;
+        }
+        this.objects.set(num, value);
+        return value;
+    }
+
+    /**
+     * Gets an object stored in an object stream
+     */
+    getCompressedObject(streamNum, index) {
+        if (!this.objectStreams.has(streamNum)) {
+            const stream = this.getObject(streamNum);
+            if (!(stream instanceof PdfStream) || nameOf(stream.dict.Type) !== 'ObjStm') {
+                throw new PdfError(`Object ${streamNum} is not an object stream`);
+            }
+            const data = this.decodeStream(stream);
+            const lexer = new Lexer(data);
+            const offsets = [];
+            for (let i = 0; i < stream.dict.N; i++) {
+                lexer.next(); // Object number
+                const offset = lexer.next();
+                offsets.push(stream.dict.First + offset.value);
+            }
+            this.objectStreams.set(streamNum, { data, offsets });
+        }
+
+        const { data, offsets } = this.objectStreams.get(streamNum);
+        if (index >= offsets.length) {
+            throw new PdfError(`Object stream ${streamNum} has no object at index ${index}`);
+        }
+        return new Parser(new Lexer(data, offsets[index])).parse();
+    }
+
+    /**
+     * Resolves a reference (other values are returned as they are)
+     */
+    resolve(value) {
+        return value instanceof PdfRef ? this.getObject(value.num) : value;
+    }
+
+    /**
+     * Decodes the data of a stream (FlateDecode, ASCIIHexDecode, ASCII85Decode)
+     * @param {PdfStream} stream - Stream
+     * @returns {Buffer} - Decoded bytes
+     * @throws {PdfError} - For filters it cannot decode (e.g. image filters)
+     */
+    decodeStream(stream) {
+        const filters = [].concat(this.resolve(stream.dict.Filter) || []).map(filter => nameOf(this.resolve(filter)));
+        const params = [].concat(this.resolve(stream.dict.DecodeParms) || []).map(param => this.resolve(param));
+        let data = stream.data;
+
+        filters.forEach((filter, i) => {
+            const param = isDict(params[i]) ? params[i] : null;
+            switch (filter) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                    if (param && param.Predictor >= 10) {
+                        data = unpredictPng(data, param);
+                    } else if (param && param.Predictor === 2) {
+                        throw new PdfError('TIFF predictor is not supported');
+                    }
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = decodeAsciiHex(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = decodeAscii85(data);
+                    break;
+                default:
+                    throw new PdfError(`Unsupported stream filter ${filter}`);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Gets the document catalog (trailer /Root)
+     * @returns {Object}
+     */
+    get catalog() {
+        const catalog = this.resolve(this.trailer.Root);
+        if (!isDict(catalog)) {
+            throw new PdfError('Trailer /Root is not a dictionary');
+        }
+        return catalog;
+    }
+
+    /**
+     * Gets the document information dictionary (trailer /Info) as text
+     * @returns {Object} - Entries such as Title, Producer, CreationDate (raw PDF date strings)
+     */
+    getInfo() {
+        const info = this.resolve(this.trailer.Info);
+        const entries = {};
+        if (!isDict(info)) {
+            return entries;
+        }
+        for (const [key, value] of Object.entries(info)) {
+            const resolved = this.resolve(value);
+            if (resolved instanceof PdfString) {
+                entries[key] = resolved.toString().replace(/\0/g, '').trim();
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Gets the XMP metadata packet of the catalog (/Metadata)
+     * @returns {string|null} - XML text
+     */
+    getXmp() {
+        const stream = this.resolve(this.catalog.Metadata);
+        if (!(stream instanceof PdfStream)) {
+            return null;
+        }
+        return this.decodeStream(stream).toString('utf8');
+    }
+
+    /**
+     * Walks the page tree in page order
+     * @returns {Object[]} - Pages: { ref, dict, mediaBox, cropBox, rotate, resources },
+     *   with the inheritable attributes taken from the nearest ancestor that has them
+     */
+    getPages() {
+        const root = this.catalog.Pages;
+        const pages = [];
+        const visited = new Set();
+
+        const walk = (ref, inherited, depth) => {
+            if (depth > 64) {
+                throw new PdfError('Page tree is too deep');
+            }
+            if (ref instanceof PdfRef) {
+                if (visited.has(ref.num)) {
+                    throw new PdfError(`Page tree loops at object ${ref.num}`);
+                }
+                visited.add(ref.num);
+            }
+
+            const node = this.resolve(ref);
+            if (!isDict(node)) {
+                throw new PdfError(`Page tree node ${ref} is not a dictionary`);
+            }
+            const attributes = { ...inherited };
+            for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+                if (node[key] !== undefined) attributes[key] = node[key];
+            }
+
+            const kids = this.resolve(node.Kids);
+            if (nameOf(node.Type) === 'Pages' || (nameOf(node.Type) !== 'Page' && Array.isArray(kids))) {
+                if (!Array.isArray(kids)) {
+                    throw new PdfError(`Page tree node ${ref} has no /Kids`);
+                }
+                for (const kid of kids) walk(kid, attributes, depth + 1);
+                return;
+            }
+
+            pages.push({
+                ref: ref instanceof PdfRef ? ref : null,
+                dict: node,
+                mediaBox: this.resolve(attributes.MediaBox) || null,
+                cropBox: this.resolve(attributes.CropBox) || null,
+                rotate: this.resolve(attributes.Rotate) || 0,
+                resources: this.resolve(attributes.Resources) || null
+            });
+        };
+
+        walk(root, {}, 0);
+        return pages;
+    }
+}
+
+/**
+ * Converts a PDF date ("D:20250115100000+01'00'") to an ISO timestamp
+ * @param {string} value - PDF date string
+ * @returns {string|null} - ISO 8601 timestamp, or null when it is not a date
+ */
+function parsePdfDate(value) {
+    const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([Zz+-])?(\d{2})?'?(\d{2})?'?/.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+    const zone = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+    PdfDocument,
+    PdfError,
+    PdfName,
+    PdfRef,
+    PdfString,
+    PdfStream,
+    Lexer,
+    Parser,
+    isDict,
+    nameOf,
+    parsePdfDate
+};
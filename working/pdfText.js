@@ -0,0 +1,429 @@
+const fs = require('fs');
+const { PdfDocument, PdfStream, PdfString, Lexer, Parser, isDict, nameOf } = require('./pdfReader');
+
+/**
+ * PDF text extraction
+ *
+ * Reads the text layer of each page: runs the text operators of the page's
+ * content streams (and of the form XObjects it draws) and maps character
+ * codes to Unicode through the font's ToUnicode CMap, or its encoding for
+ * simple fonts. Pages that are only images (scans) have no text.
+ */
+
+// Windows-1252 characters in 0x80-0x9F (WinAnsiEncoding, 0 = unused); the rest is Latin-1
+const WIN_ANSI_HIGH = [
+    0x20AC, 0, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0, 0x017D, 0,
+    0, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0, 0x017E, 0x0178
+];
+
+// MacRomanEncoding 0x80-0xFF
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// Glyph names of /Differences that are not a single character, uniXXXX or a letter plus an accent
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+    plus: '+', comma: ',', hyphen: '-', minus: '−', period: '.', slash: '/', colon: ':', semicolon: ';',
+    less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+    bracketright: ']', asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}',
+    asciitilde: '~', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+    eight: '8', nine: '9', endash: '–', emdash: '—', bullet: '•', ellipsis: '…',
+    quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„',
+    guillemotleft: '«', guillemotright: '»', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+    germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø',
+    Oslash: 'Ø', dotlessi: 'ı', Euro: '€', copyright: '©', registered: '®',
+    trademark: '™', degree: '°', section: '§', paragraph: '¶', cent: '¢',
+    sterling: '£', yen: '¥', nbspace: '\u00A0', exclamdown: '¡', questiondown: '¿',
+    ordfeminine: 'ª', ordmasculine: 'º', periodcentered: '·', multiply: '×', divide: '÷'
+};
+
+const ACCENTS = {
+    acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308', tilde: '\u0303',
+    cedilla: '\u0327', ring: '\u030A', caron: '\u030C'
+};
+
+const MAX_FORM_DEPTH = 5;
+
+/**
+ * Converts a glyph name to text ("eacute" -> "é", "uni00E9" -> "é", "T" -> "T")
+ * @returns {string|null}
+ */
+function glyphToUnicode(name) {
+    if (name.length === 1) return name;
+    if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+
+    const uni = /^uni([0-9A-Fa-f]{4})+$/.exec(name) && name.slice(3).match(/.{4}/g);
+    if (uni) return String.fromCharCode(...uni.map(hex => parseInt(hex, 16)));
+    const u = /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+    if (u) return String.fromCodePoint(parseInt(u[1], 16));
+
+    const accented = /^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|cedilla|ring|caron)$/.exec(name);
+    if (accented) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+    return null;
+}
+
+/**
+ * Character of a code in a simple font's base encoding
+ */
+function baseEncodingChar(encoding, code) {
+    if (encoding === 'MacRomanEncoding' && code >= 0x80) {
+        return MAC_ROMAN_HIGH[code - 0x80];
+    }
+    if (encoding !== 'MacRomanEncoding' && code >= 0x80 && code <= 0x9F) {
+        const unicode = WIN_ANSI_HIGH[code - 0x80];
+        return unicode ? String.fromCharCode(unicode) : '';
+    }
+    return String.fromCharCode(code);
+}
+
+/**
+ * Reads a hex string's bytes as UTF-16BE text
+ */
+function utf16(bytes) {
+    const even = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    return even.swap16().toString('utf16le');
+}
+
+function bytesToNumber(bytes) {
+    return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Parses a ToUnicode CMap
+ * @param {Buffer} data - Decoded CMap stream
+ * @returns {{map: Map<number, string>, codeLength: number|null}}
+ */
+function parseToUnicode(data) {
+    const lexer = new Lexer(data);
+    const parser = new Parser(lexer, { refs: false });
+    const map = new Map();
+    let codeLength = null;
+    const values = [];
+
+    for (;;) {
+        let token;
+        try {
+            token = lexer.next();
+        } catch (_) {
+            continue;
+        }
+        if (token.type === 'eof') break;
+
+        if (token.type !== 'keyword') {
+            try {
+                values.push(parser.valueFrom(token));
+            } catch (_) {
+                values.length = 0;
+            }
+            continue;
+        }
+
+        if (token.value === 'endcodespacerange' && values[0] instanceof PdfString) {
+            codeLength = values[0].bytes.length;
+        } else if (token.value === 'endbfchar') {
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                if (values[i] instanceof PdfString && values[i + 1] instanceof PdfString) {
+                    map.set(bytesToNumber(values[i].bytes), utf16(values[i + 1].bytes));
+                }
+            }
+        } else if (token.value === 'endbfrange') {
+            for (let i = 0; i + 2 < values.length; i += 3) {
+                const [low, high, target] = values.slice(i, i + 3);
+                if (!(low instanceof PdfString) || !(high instanceof PdfString)) continue;
+                const start = bytesToNumber(low.bytes);
+                const end = Math.min(bytesToNumber(high.bytes), start + 0xFFFF);
+
+                for (let code = start; code <= end; code++) {
+                    if (Array.isArray(target)) {
+                        const entry = target[code - start];
+                        if (entry instanceof PdfString) map.set(code, utf16(entry.bytes));
+                    } else if (target instanceof PdfString && target.bytes.length >= 2) {
+                        // The last UTF-16 unit is incremented along the range
+                        const bytes = Buffer.from(target.bytes);
+                        const last = bytes.readUInt16BE(bytes.length - 2) + (code - start);
+                        bytes.writeUInt16BE(last & 0xFFFF, bytes.length - 2);
+                        map.set(code, utf16(bytes));
+                    }
+                }
+            }
+        }
+        values.length = 0;
+    }
+
+    return { map, codeLength };
+}
+
+/**
+ * Builds a function that turns the bytes of a shown string into text for one font
+ * @param {PdfDocument} doc - Document
+ * @param {Object} font - Font dictionary
+ * @returns {Function} - (bytes) => text
+ */
+function createFontDecoder(doc, font) {
+    const composite = nameOf(font.Subtype) === 'Type0';
+    let toUnicode = null;
+    const cmap = doc.resolve(font.ToUnicode);
+    if (cmap instanceof PdfStream) {
+        try {
+            toUnicode = parseToUnicode(doc.decodeStream(cmap));
+        } catch (_) {
+            toUnicode = null;
+        }
+    }
+
+    if (composite) {
+        // Without a ToUnicode CMap the codes are glyph ids that can't be mapped to text
+        const codeLength = (toUnicode && toUnicode.codeLength) || 2;
+        return (bytes) => {
+            if (!toUnicode) return '';
+            let text = '';
+            for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+                text += toUnicode.map.get(bytesToNumber(bytes.subarray(i, i + codeLength))) || '';
+            }
+            return text;
+        };
+    }
+
+    const encoding = doc.resolve(font.Encoding);
+    const baseEncoding = isDict(encoding) ? nameOf(doc.resolve(encoding.BaseEncoding)) : nameOf(encoding);
+    const differences = new Map();
+    const diffArray = isDict(encoding) ? doc.resolve(encoding.Differences) : null;
+    if (Array.isArray(diffArray)) {
+        let code = 0;
+        for (const entry of diffArray) {
+            if (typeof entry === 'number') {
+                code = entry;
+            } else if (nameOf(entry)) {
+                const char = glyphToUnicode(nameOf(entry));
+                if (char !== null) differences.set(code, char);
+                code++;
+            }
+        }
+    }
+
+    return (bytes) => {
+        let text = '';
+        for (const code of bytes) {
+            if (toUnicode && toUnicode.map.has(code)) {
+                text += toUnicode.map.get(code);
+            } else if (differences.has(code)) {
+                text += differences.get(code);
+            } else {
+                text += baseEncodingChar(baseEncoding, code);
+            }
+        }
+        return text;
+    };
+}
+
+/**
+ * Collects the text of one page
+ */
+class PageTextCollector {
+    constructor(doc) {
+        this.doc = doc;
+        this.fonts = new Map(); // Font dictionary -> decoder
+        this.text = '';
+        this.lastY = null;
+    }
+
+    append(text) {
+        this.text += text;
+    }
+
+    space() {
+        if (this.text && !/\s$/.test(this.text)) this.text += ' ';
+    }
+
+    newline() {
+        if (this.text && !this.text.endsWith('\n')) this.text += '\n';
+    }
+
+    decoderFor(resources, name) {
+        const fonts = isDict(resources) ? this.doc.resolve(resources.Font) : null;
+        const font = isDict(fonts) ? this.doc.resolve(fonts[name]) : null;
+        if (!isDict(font)) {
+            return bytes => bytes.toString('latin1');
+        }
+        if (!this.fonts.has(font)) {
+            this.fonts.set(font, createFontDecoder(this.doc, font));
+        }
+        return this.fonts.get(font);
+    }
+
+    /**
+     * Runs a content stream's text operators
+     * @param {Buffer} data - Decoded content stream
+     * @param {Object} resources - Resource dictionary of the stream
+     * @param {number} depth - Form XObject nesting level
+     */
+    run(data, resources, depth = 0) {
+        const lexer = new Lexer(data);
+        const parser = new Parser(lexer, { refs: false });
+        let operands = [];
+        let decode = bytes => bytes.toString('latin1');
+
+        for (;;) {
+            let token;
+            try {
+                token = lexer.next();
+            } catch (_) {
+                operands = [];
+                continue;
+            }
+            if (token.type === 'eof') break;
+
+            if (token.type !== 'keyword' || ['true', 'false', 'null'].includes(token.value)) {
+                try {
+                    operands.push(parser.valueFrom(token));
+                } catch (_) {
+                    operands = [];
+                }
+                continue;
+            }
+
+            const op = token.value;
+            switch (op) {
+                case 'Tf':
+                    if (nameOf(operands[0])) decode = this.decoderFor(resources, nameOf(operands[0]));
+                    break;
+                case 'Tj':
+                    if (operands[0] instanceof PdfString) this.append(decode(operands[0].bytes));
+                    break;
+                case "'":
+                    this.newline();
+                    if (operands[0] instanceof PdfString) this.append(decode(operands[0].bytes));
+                    break;
+                case '"':
+                    this.newline();
+                    if (operands[2] instanceof PdfString) this.append(decode(operands[2].bytes));
+                    break;
+                case 'TJ':
+                    for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+                        if (item instanceof PdfString) {
+                            this.append(decode(item.bytes));
+                        } else if (typeof item === 'number' && item < -250) {
+                            this.space(); // A kerning gap wider than a quarter em separates words
+                        }
+                    }
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1]) this.newline(); else this.space();
+                    break;
+                case 'Tm':
+                    if (this.lastY !== null && operands[5] !== this.lastY) this.newline(); else this.space();
+                    this.lastY = operands[5];
+                    break;
+                case 'T*':
+                    this.newline();
+                    break;
+                case 'ET':
+                    this.space();
+                    break;
+                case 'BI':
+                    this.skipInlineImage(lexer);
+                    break;
+                case 'Do':
+                    if (depth < MAX_FORM_DEPTH && nameOf(operands[0])) {
+                        this.runForm(resources, nameOf(operands[0]), depth);
+                    }
+                    break;
+            }
+            operands = [];
+        }
+    }
+
+    /**
+     * Skips inline image data (BI ... ID <bytes> EI)
+     */
+    skipInlineImage(lexer) {
+        const buffer = lexer.buffer;
+        const id = buffer.indexOf('ID', lexer.pos);
+        if (id === -1) {
+            lexer.pos = buffer.length;
+            return;
+        }
+        let pos = id + 3;
+        for (;;) {
+            const ei = buffer.indexOf('EI', pos);
+            if (ei === -1) {
+                lexer.pos = buffer.length;
+                return;
+            }
+            const before = buffer[ei - 1];
+            const after = buffer[ei + 2];
+            if ((before === 0x20 || before === 0x0A || before === 0x0D) &&
+                (after === undefined || after === 0x20 || after === 0x0A || after === 0x0D)) {
+                lexer.pos = ei + 2;
+                return;
+            }
+            pos = ei + 2;
+        }
+    }
+
+    /**
+     * Runs a form XObject drawn with Do
+     */
+    runForm(resources, name, depth) {
+        const xobjects = isDict(resources) ? this.doc.resolve(resources.XObject) : null;
+        const form = isDict(xobjects) ? this.doc.resolve(xobjects[name]) : null;
+        if (!(form instanceof PdfStream) || nameOf(form.dict.Subtype) !== 'Form') {
+            return;
+        }
+        try {
+            const formResources = this.doc.resolve(form.dict.Resources) || resources;
+            this.run(this.doc.decodeStream(form), formResources, depth + 1);
+        } catch (_) {
+            // A form we can't decode contributes no text
+        }
+    }
+
+    /**
+     * Gets the collected text with spaces and blank lines tidied
+     */
+    result() {
+        return this.text
+            .split('\n')
+            .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+}
+
+/**
+ * Extracts the text of every page
+ * @param {string|Buffer|PdfDocument} input - PDF file path, bytes or parsed document
+ * @returns {string[]} - Text of each page, in page order ('' for pages without text)
+ */
+function extractText(input) {
+    const doc = input instanceof PdfDocument
+        ? input
+        : new PdfDocument(Buffer.isBuffer(input) ? input : fs.readFileSync(input));
+
+    return doc.getPages().map(page => {
+        const collector = new PageTextCollector(doc);
+        const contents = doc.resolve(page.dict.Contents);
+        const streams = (Array.isArray(contents) ? contents : [contents])
+            .map(content => doc.resolve(content))
+            .filter(content => content instanceof PdfStream);
+
+        // Content streams of a page are one stream split in parts
+        const parts = [];
+        for (const stream of streams) {
+            try {
+                parts.push(doc.decodeStream(stream));
+            } catch (_) {
+                // Skip parts with unsupported filters
+            }
+        }
+        collector.run(Buffer.concat(parts.flatMap(part => [part, Buffer.from('\n')])), page.resources);
+        return collector.result();
+    });
+}
+
+module.exports = {
+    extractText,
+    glyphToUnicode
+};
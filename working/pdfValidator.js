@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { PdfDocument, PdfRef, Lexer, nameOf } = require('./pdfReader');
+
+// Bytes searched for the header at the start and for %%EOF at the end
+const HEADER_WINDOW = 1024;
+const TRAILER_WINDOW = 1024;
+
+// Errors of our own parser with a file's structure: pdf.js has the last word on those
+const STRUCTURE_ERROR = /^(Cross-reference data is broken|Page tree is broken)/;
+
+/**
+ * Structural validation of a PDF file
+ *
+ * Checks, in order: the %PDF header, the %%EOF marker (a truncated transfer
+ * loses it), the startxref offset and every cross-reference section, the
+ * trailer (/Root, /Size) and the page tree. A file is valid when there are no
+ * errors; warnings are oddities that readers usually cope with, such as
+ * cross-reference entries that miss their object (viewers rebuild the table)
+ * or encryption. validatePdfFile() also asks pdf.js about files this parser
+ * can't read.
+ * @param {string|Buffer} input - PDF file path or bytes
+ * @returns {Object} - { valid, version, size, pageCount, errors, warnings }
+ */
+function validatePdf(input) {
+    const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    const result = { valid: false, version: null, size: buffer.length, pageCount: null, errors: [], warnings: [] };
+    const { errors, warnings } = result;
+
+    if (buffer.length === 0) {
+        errors.push('File is empty');
+        return result;
+    }
+
+    const head = buffer.toString('latin1', 0, Math.min(buffer.length, HEADER_WINDOW));
+    const header = head.match(/%PDF-(\d\.\d)/);
+    if (!header) {
+        const start = head.trimStart().slice(0, 15).toLowerCase();
+        if (start.startsWith('<!doctype') || start.startsWith('<html') || start.startsWith('<?xml')) {
+            errors.push('File is an HTML/XML page, not a PDF');
+        } else if (start.startsWith('{') || start.startsWith('[')) {
+            errors.push('File is JSON, not a PDF');
+        } else {
+            errors.push('Missing %PDF header');
+        }
+        return result;
+    }
+    result.version = header[1];
+    if (header.index > 0) {
+        warnings.push(`%PDF header starts at offset ${header.index}`);
+    }
+
+    const tail = buffer.toString('latin1', Math.max(0, buffer.length - TRAILER_WINDOW));
+    if (!tail.includes('%%EOF')) {
+        errors.push('Missing %%EOF marker (the file is probably truncated)');
+    }
+
+    let doc;
+    try {
+        doc = new PdfDocument(buffer);
+    } catch (error) {
+        errors.push(`Cross-reference data is broken: ${error.message}`);
+        return result;
+    }
+
+    checkTrailer(doc, errors, warnings);
+    checkXrefEntries(doc, warnings);
+    if (doc.trailer.Encrypt) {
+        warnings.push('Document is encrypted');
+    }
+
+    try {
+        const catalog = doc.catalog;
+        if (nameOf(catalog.Type) !== 'Catalog') {
+            warnings.push('Document catalog has no /Type /Catalog');
+        }
+
+        const pages = doc.getPages();
+        result.pageCount = pages.length;
+        if (pages.length === 0) {
+            errors.push('Document has no pages');
+        }
+
+        const root = doc.resolve(catalog.Pages);
+        if (root && Number.isInteger(root.Count) && root.Count !== pages.length) {
+            warnings.push(`Page tree /Count is ${root.Count} but it has ${pages.length} pages`);
+        }
+        const withoutMediaBox = pages.filter(page => !Array.isArray(page.mediaBox)).length;
+        if (withoutMediaBox > 0) {
+            warnings.push(`${withoutMediaBox} pages have no /MediaBox`);
+        }
+    } catch (error) {
+        errors.push(`Page tree is broken: ${error.message}`);
+    }
+
+    result.valid = errors.length === 0;
+    return result;
+}
+
+/**
+ * Validates a PDF like validatePdf, letting pdf.js decide when our parser can't
+ * read the structure (a damaged cross-reference table, encrypted object
+ * streams): if pdf.js opens the file, those errors become warnings and the
+ * page count is pdf.js's. Truncation, a missing header and the rest stay errors.
+ * @param {string|Buffer} input - PDF file path or bytes
+ * @returns {Promise<Object>} - { valid, version, size, pageCount, errors, warnings }
+ */
+async function validatePdfFile(input) {
+    const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    const result = validatePdf(buffer);
+    const structural = result.errors.filter(error => STRUCTURE_ERROR.test(error));
+    if (structural.length === 0) {
+        return result;
+    }
+
+    let pageCount;
+    try {
+        pageCount = await countPagesWithPdfJs(buffer);
+    } catch (error) {
+        result.errors.push(`pdf.js cannot open it either: ${error.message}`);
+        return result;
+    }
+
+    result.errors = result.errors.filter(error => !structural.includes(error));
+    result.warnings.push(...structural.map(error => `${error} (pdf.js reads the file)`));
+    result.pageCount = pageCount;
+    if (pageCount === 0) {
+        result.errors.push('Document has no pages');
+    }
+    result.valid = result.errors.length === 0;
+    return result;
+}
+
+/**
+ * Opens a PDF with pdf.js (which rebuilds broken cross-reference data and decrypts)
+ * @returns {Promise<number>} - Page count
+ * @throws {Error} - When pdf.js can't open the file
+ */
+async function countPagesWithPdfJs(buffer) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const task = pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        verbosity: 0,
+        isEvalSupported: false,
+        disableFontFace: true
+    });
+    try {
+        const doc = await task.promise;
+        return doc.numPages;
+    } finally {
+        await task.destroy();
+    }
+}
+
+/**
+ * Checks the trailer has a /Root reference and a /Size covering every object
+ */
+function checkTrailer(doc, errors, warnings) {
+    const trailer = doc.trailer;
+    if (!(trailer.Root instanceof PdfRef)) {
+        errors.push('Trailer has no /Root reference');
+    }
+    if (!Number.isInteger(trailer.Size)) {
+        errors.push('Trailer has no /Size');
+        return;
+    }
+
+    const beyond = Array.from(doc.xref.keys()).filter(num => num >= trailer.Size).length;
+    if (beyond > 0) {
+        warnings.push(`${beyond} cross-reference entries are beyond the trailer /Size ${trailer.Size}`);
+    }
+}
+
+/**
+ * Checks every in-use cross-reference entry: offsets should point at "num gen obj"
+ * and compressed objects should live in an object stream that exists
+ */
+function checkXrefEntries(doc, warnings) {
+    const misplaced = [];
+    const orphaned = [];
+
+    for (const [num, entry] of doc.xref) {
+        if (entry.type === 'offset') {
+            if (entry.offset >= doc.buffer.length || !objectStartsAt(doc.buffer, entry.offset, num)) {
+                misplaced.push(num);
+            }
+        } else if (entry.type === 'compressed') {
+            const container = doc.xref.get(entry.stream);
+            if (!container || container.type !== 'offset') {
+                orphaned.push(num);
+            }
+        }
+    }
+
+    if (misplaced.length > 0) {
+        warnings.push(`${misplaced.length} cross-reference entries do not point at their object (${sample(misplaced)})`);
+    }
+    if (orphaned.length > 0) {
+        warnings.push(`${orphaned.length} compressed objects belong to a missing object stream (${sample(orphaned)})`);
+    }
+}
+
+/**
+ * Whether "num gen obj" starts at an offset
+ */
+function objectStartsAt(buffer, offset, num) {
+    try {
+        const lexer = new Lexer(buffer, offset);
+        const objectNum = lexer.next();
+        const gen = lexer.next();
+        const keyword = lexer.next();
+        return objectNum.value === num && gen.type === 'number' && keyword.type === 'keyword' && keyword.value === 'obj';
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Lists the first object numbers of a problem
+ */
+function sample(nums) {
+    const shown = nums.slice(0, 5).join(', ');
+    return nums.length > 5 ? `objects ${shown}, ...` : `objects ${shown}`;
+}
+
+module.exports = {
+    validatePdf,
+    validatePdfFile
+};
@@ -0,0 +1,115 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * PDF worker thread
+ *
+ * The PDF modules parse whole files synchronously; a large issue would block
+ * the server's event loop for as long as that takes. runPdfTask() runs them on
+ * a worker thread instead. Tasks run one at a time: tasks someone is waiting
+ * for (validating a download, extracting pages for a request) go before
+ * background work (metadata and text of existing issues, which can queue up
+ * by the hundred at startup), and each kind runs in the order it was queued.
+ * The thread starts with the first task, is restarted after a crash and does
+ * not keep the process alive while it is idle.
+ */
+
+// Task name -> function run inside the worker (arguments and result must be cloneable;
+// a task may return a promise)
+const TASKS = {
+    validate: filePath => require('./pdfValidator').validatePdfFile(filePath),
+    metadata: filePath => require('./pdfMetadata').extractMetadata(filePath),
+    text: filePath => require('./pdfText').extractText(filePath),
+    // Writes the extract itself, so the PDF bytes don't have to cross threads
+    extractPages: (sourcePath, pages, options, outputPath) => {
+        const data = require('./pdfPages').extractPages(sourcePath, pages, options);
+        require('fs').writeFileSync(outputPath, data);
+        return { size: data.length };
+    }
+};
+
+// Tasks that run before the background queue
+const INTERACTIVE_TASKS = new Set(['validate', 'extractPages']);
+
+let worker = null;
+let nextId = 1;
+let running = null; // Task on the worker: { id, task, args, resolve, reject }
+const queues = { interactive: [], background: [] };
+
+/**
+ * Sends the next queued task to the worker, unless one is running
+ */
+function dispatch() {
+    if (running) return;
+    const next = queues.interactive.shift() || queues.background.shift();
+    if (!next) {
+        if (worker) worker.unref();
+        return;
+    }
+    if (!worker) {
+        startWorker();
+    }
+    worker.ref();
+    running = next;
+    worker.postMessage({ id: next.id, task: next.task, args: next.args });
+}
+
+/**
+ * Settles the running task and moves on to the next one
+ */
+function finish(settle) {
+    const task = running;
+    running = null;
+    if (task) settle(task);
+    dispatch();
+}
+
+function startWorker() {
+    const thread = new Worker(__filename, { workerData: { pdfWorker: true } });
+    worker = thread;
+    thread.on('message', ({ id, result, error }) => {
+        if (thread !== worker || !running || running.id !== id) return;
+        finish(task => (error
+            ? task.reject(Object.assign(new Error(error.message), { name: error.name }))
+            : task.resolve(result)));
+    });
+    // Only the running task fails with the thread; queued tasks go to a new one
+    const crashed = error => {
+        if (thread !== worker) return;
+        worker = null;
+        finish(task => task.reject(error));
+    };
+    thread.on('error', crashed);
+    thread.on('exit', code => crashed(new Error(`PDF worker exited with code ${code}`)));
+}
+
+/**
+ * Runs a PDF task on the worker thread
+ * @param {string} task - Task name (validate, metadata, text, extractPages)
+ * @param {...*} args - Task arguments
+ * @returns {Promise<*>} - Task result; rejects with the task's error (same message and name)
+ */
+function runPdfTask(task, ...args) {
+    if (!TASKS[task]) {
+        return Promise.reject(new Error(`Unknown PDF task ${task}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const queue = INTERACTIVE_TASKS.has(task) ? queues.interactive : queues.background;
+        queue.push({ id: nextId++, task, args, resolve, reject });
+        dispatch();
+    });
+}
+
+if (!isMainThread && workerData && workerData.pdfWorker) {
+    parentPort.on('message', async ({ id, task, args }) => {
+        try {
+            parentPort.postMessage({ id, result: await TASKS[task](...args) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: { message: error.message, name: error.name } });
+        }
+    });
+}
+
+module.exports = {
+    runPdfTask
+};
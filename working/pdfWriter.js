@@ -0,0 +1,221 @@
+/**
+ * Minimal PDF writer
+ * Builds PDF files from raw object bodies and can assemble JPEG page images into a PDF
+ */
+class PdfWriter {
+    constructor() {
+        this.objects = []; // object number - 1 => Buffer body
+    }
+
+    /**
+     * Reserves an object number to be filled later (for forward references)
+     * @returns {number} - Object number
+     */
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Sets the body of a reserved object
+     * @param {number} num - Object number
+     * @param {string|Buffer} body - Object body (without "obj"/"endobj")
+     */
+    set(num, body) {
+        this.objects[num - 1] = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+    }
+
+    /**
+     * Adds an object
+     * @param {string|Buffer} body - Object body
+     * @returns {number} - Object number
+     */
+    addObject(body) {
+        const num = this.reserve();
+        this.set(num, body);
+        return num;
+    }
+
+    /**
+     * Adds a stream object
+     * @param {string} dict - Dictionary entries (without << >> and /Length)
+     * @param {Buffer} data - Stream data
+     * @returns {number} - Object number
+     */
+    addStream(dict, data) {
+        const num = this.reserve();
+        this.setStream(num, dict, data);
+        return num;
+    }
+
+    /**
+     * Sets the body of a reserved object to a stream
+     * @param {number} num - Object number
+     * @param {string} dict - Dictionary entries (without << >> and /Length)
+     * @param {Buffer} data - Stream data (already encoded for its /Filter)
+     */
+    setStream(num, dict, data) {
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+        this.set(num, Buffer.concat([
+            Buffer.from(`<< ${dict ? `${dict} ` : ''}/Length ${payload.length} >>\nstream\n`, 'latin1'),
+            payload,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+    }
+
+    /**
+     * Serializes the document
+     * @param {Object} trailer
+     * @param {number} trailer.root - Catalog object number
+     * @param {number} trailer.info - Optional info dictionary object number
+     * @param {string} trailer.version - PDF version written in the header
+     * @returns {Buffer} - PDF bytes
+     */
+    toBuffer({ root, info = null, version = '1.4' }) {
+        const chunks = [Buffer.from(`%PDF-${version}\n%\xE2\xE3\xCF\xD3\n`, 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+
+        this.objects.forEach((body, i) => {
+            if (!body) {
+                throw new Error(`PDF object ${i + 1} was reserved but never set`);
+            }
+            offsets.push(length);
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+                body,
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+
+        let xref = `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`;
+        for (const offset of offsets) {
+            xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        }
+        xref += `trailer\n<< /Size ${this.objects.length + 1} /Root ${root} 0 R`;
+        if (info) xref += ` /Info ${info} 0 R`;
+        xref += ` >>\nstartxref\n${length}\n%%EOF\n`;
+        chunks.push(Buffer.from(xref, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+/**
+ * Encodes a JavaScript string as a PDF literal string
+ * @param {string} value - Text
+ * @returns {string} - PDF literal, e.g. "(Issue 305)"
+ */
+function pdfString(value) {
+    return `(${String(value).replace(/[^\x20-\x7E]/g, '').replace(/([\\()])/g, '\\$1')})`;
+}
+
+/**
+ * Formats a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} - e.g. "D:20250115100000Z"
+ */
+function pdfDate(date = new Date()) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Reads the dimensions of a JPEG image from its SOF marker
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {{width: number, height: number, components: number, adobe: boolean}}
+ */
+function getJpegInfo(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+        throw new Error('Not a JPEG image');
+    }
+
+    let adobe = false;
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+
+        const segmentLength = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xEE && buffer.toString('latin1', offset + 4, offset + 9) === 'Adobe') {
+            adobe = true;
+        }
+        // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7),
+                components: buffer[offset + 9],
+                adobe
+            };
+        }
+        offset += 2 + segmentLength;
+    }
+
+    throw new Error('JPEG image has no frame header');
+}
+
+/**
+ * Assembles JPEG page images into a PDF, one image per page
+ * @param {Buffer[]} images - JPEG page images in page order
+ * @param {Object} options
+ * @param {string} options.title - Document title stored in the info dictionary
+ * @returns {Buffer} - PDF bytes
+ */
+function buildPdfFromJpegs(images, options = {}) {
+    if (!images.length) {
+        throw new Error('No page images to assemble');
+    }
+
+    const writer = new PdfWriter();
+    const catalog = writer.reserve();
+    const pages = writer.reserve();
+    const pageRefs = [];
+
+    images.forEach((image, i) => {
+        const { width, height, components, adobe } = getJpegInfo(image);
+        const colorSpace = components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB';
+        // Adobe CMYK JPEGs are stored inverted
+        const decode = components === 4 && adobe ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+
+        const imageRef = writer.addStream(
+            `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+            `/ColorSpace /${colorSpace} /BitsPerComponent 8${decode} /Filter /DCTDecode`,
+            image
+        );
+        const contentRef = writer.addStream('', `q ${width} 0 0 ${height} 0 0 cm /Im${i} Do Q`);
+        pageRefs.push(writer.addObject(
+            `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /XObject << /Im${i} ${imageRef} 0 R >> >> /Contents ${contentRef} 0 R >>`
+        ));
+    });
+
+    writer.set(pages, `<< /Type /Pages /Kids [${pageRefs.map(n => `${n} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+    writer.set(catalog, `<< /Type /Catalog /Pages ${pages} 0 R >>`);
+
+    let info = `/Producer ${pdfString('weeklylink-downloader')} /CreationDate ${pdfString(pdfDate())}`;
+    if (options.title) info = `/Title ${pdfString(options.title)} ${info}`;
+    const infoRef = writer.addObject(`<< ${info} >>`);
+
+    return writer.toBuffer({ root: catalog, info: infoRef });
+}
+
+module.exports = {
+    PdfWriter,
+    pdfString,
+    pdfDate,
+    getJpegInfo,
+    buildPdfFromJpegs
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { createLogger } = require('../logger');
+const { getConfig } = require('../config');
+
+const log = createLogger('providers');
+
+/**
+ * Conversion provider backed by backend.img2pdf.net
+ * (the service used by issuudownload.com)
+ */
+class Img2PdfProvider {
+    constructor(downloader, options = {}) {
+        this.name = 'img2pdf';
+        this.resultFromUrl = true; // Jobs deliver the PDF as job.outputFile
+        this.downloader = downloader;
+        const conversion = (options.config || getConfig()).conversion;
+        this.apiUrl = options.apiUrl || conversion.img2pdfApiUrl;
+        this.statusUrl = options.statusUrl || conversion.img2pdfStatusUrl;
+        this.healthUrl = new URL(this.apiUrl).origin;
+        this.pollInterval = options.pollInterval || conversion.pollIntervalMs; // 10 seconds by default
+        this.maxAttempts = options.maxAttempts || conversion.maxAttempts; // 5 minutes max by default
+        this.requestId = options.requestId || null;
+    }
+
+    /**
+     * Builds the browser-like headers the backend expects
+     * @param {string} requestId - Request id sent as Custom-Request-Id
+     * @returns {Object} - Request headers
+     */
+    buildHeaders(requestId) {
+        return {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3',
+            'Accept': 'application/json',
+            'Accept-Encoding': 'utf8',
+            'Content-Type': 'application/json',
+            'Custom-Request-Id': requestId,
+            'Origin': 'https://issuudownload.com',
+            'Priority': 'u=1, i',
+            'Referer': 'https://issuudownload.com/',
+            'Scope': 'issuu',
+            'Sec-Ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+            'Sec-Ch-ua-Mobile': '?0',
+            'Sec-Ch-ua-Platform': '"Windows"',
+            'Sec-Fetch-Dest': 'empty',
+            'Sec-Fetch-Mode': 'cors',
+            'Sec-Fetch-Site': 'cross-site'
+        };
+    }
+
+    /**
+     * Initiates the conversion of the Issuu document to PDF
+     * @param {string} documentUrl - Issuu document URL
+     * @returns {Promise<Object>} - Job ({ id, status, progress, outputFile })
+     */
+    async startJob(documentUrl) {
+        log.info('Starting conversion', { provider: this.name, documentUrl });
+
+        // A fresh id per job unless one was configured explicitly
+        const requestId = this.requestId || crypto.randomUUID().toUpperCase();
+        const payload = JSON.stringify({ url: documentUrl });
+
+        const response = await this.downloader.makeRequest(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                ...this.buildHeaders(requestId),
+                'Content-Length': Buffer.byteLength(payload).toString()
+            },
+            data: payload
+        });
+
+        if (response.statusCode !== 200) {
+            throw new Error(`Request error: ${response.statusCode}`);
+        }
+
+        const result = JSON.parse(response.data);
+        log.debug('Conversion server response', { provider: this.name, response: result });
+
+        // If the file is already ready
+        if (result.outputFile) {
+            return { id: result.id || null, requestId, status: 'succeeded', progress: 100, outputFile: result.outputFile };
+        }
+
+        if (result.id) {
+            return { id: result.id, requestId, status: 'queued', progress: 0, outputFile: null };
+        }
+
+        throw new Error('Unexpected server response');
+    }
+
+    /**
+     * Checks the conversion status
+     * @param {Object} job - Job returned by startJob
+     * @returns {Promise<Object>} - Updated job
+     */
+    async pollJob(job) {
+        const response = await this.downloader.makeRequest(`${this.statusUrl}/${job.id}`, {
+            method: 'GET',
+            headers: this.buildHeaders(job.requestId)
+        });
+
+        if (response.statusCode !== 200) {
+            throw new Error(`Error checking status: ${response.statusCode}`);
+        }
+
+        const status = JSON.parse(response.data);
+        return {
+            ...job,
+            status: status.status,
+            progress: status.progress || 0,
+            outputFile: status.outputFile || null
+        };
+    }
+
+    /**
+     * Downloads the converted PDF
+     * @param {Object} job - Finished job
+     * @param {string} outputPath - Destination path
+     * @param {Object} options - { validate } checks the file before it is moved into place
+     */
+    async fetchResult(job, outputPath, options = {}) {
+        log.info('Downloading PDF', { provider: this.name, url: job.outputFile });
+        await this.downloader.downloadFile(job.outputFile, outputPath, {
+            documentUrl: job.documentUrl,
+            validate: options.validate
+        });
+    }
+}
+
+module.exports = Img2PdfProvider;
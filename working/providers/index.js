@@ -0,0 +1,68 @@
+const Img2PdfProvider = require('./img2pdfProvider');
+const IssuuNativeProvider = require('./issuuNativeProvider');
+
+/**
+ * Conversion provider registry
+ *
+ * A provider turns an Issuu document URL into a PDF on disk and exposes:
+ *   - name
+ *   - startJob(documentUrl)      -> job { id, status, progress, outputFile }
+ *   - pollJob(job)               -> updated job ('succeeded' | 'failed' | other)
+ *   - fetchResult(job, outputPath, { validate })
+ *                                 writes the PDF to <outputPath>.tmp, calls validate(tmpPath)
+ *                                 and only then renames it into place
+ * plus optional pollInterval / maxAttempts used by the downloader's poll loop,
+ * resultFromUrl (a 'succeeded' job without outputFile is then a failure, so the
+ * chain falls through to the next provider) and healthUrl, probed by the health
+ * report to check the backend is reachable.
+ */
+const registry = {
+    img2pdf: Img2PdfProvider,
+    native: IssuuNativeProvider
+};
+
+const DEFAULT_ORDER = ['img2pdf', 'native'];
+
+/**
+ * Registers a provider class under a name
+ * @param {string} name - Provider name
+ * @param {Function} ProviderClass - Class constructed with (downloader, options)
+ */
+function registerProvider(name, ProviderClass) {
+    registry[name] = ProviderClass;
+}
+
+/**
+ * Parses a provider order such as "native,img2pdf"
+ * @param {string|string[]|undefined} order - Order from options or env
+ * @returns {string[]} - Provider names
+ */
+function parseOrder(order) {
+    if (!order) return DEFAULT_ORDER.slice();
+    const list = Array.isArray(order) ? order : String(order).split(',');
+    return list.map(n => (typeof n === 'string' ? n.trim() : n)).filter(Boolean);
+}
+
+/**
+ * Creates the provider chain for a downloader
+ * @param {Object} downloader - IssuuDownloader instance
+ * @param {string|Array} order - Provider names (or instances) in fallback order
+ * @param {Object} providerOptions - Options keyed by provider name
+ * @returns {Object[]} - Provider instances
+ */
+function createProviders(downloader, order, providerOptions = {}) {
+    return parseOrder(order).map(entry => {
+        if (typeof entry !== 'string') return entry;
+        const ProviderClass = registry[entry];
+        if (!ProviderClass) {
+            throw new Error(`Unknown conversion provider: ${entry} (available: ${Object.keys(registry).join(', ')})`);
+        }
+        return new ProviderClass(downloader, { config: downloader.config, ...providerOptions[entry] });
+    });
+}
+
+module.exports = {
+    registerProvider,
+    createProviders,
+    parseOrder
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const { URL } = require('url');
+const { buildPdfFromJpegs } = require('../pdfWriter');
+const { createLogger } = require('../logger');
+const { getConfig } = require('../config');
+
+const log = createLogger('providers');
+
+/**
+ * Native provider: reads the Issuu reader manifest, fetches the page images
+ * and assembles the PDF locally without any third-party conversion service
+ */
+class IssuuNativeProvider {
+    constructor(downloader, options = {}) {
+        this.name = 'native';
+        this.downloader = downloader;
+        // {account} and {slug} are replaced with the parts of the issuu.com/<account>/docs/<slug> URL
+        this.manifestUrl = options.manifestUrl || (options.config || getConfig()).conversion.manifestUrl;
+        this.healthUrl = new URL(this.manifestUrl.replace(/\{\w+\}/g, 'x')).origin;
+        this.concurrency = options.concurrency || 4;
+    }
+
+    /**
+     * Splits an Issuu document URL into account and slug
+     * @param {string} documentUrl - e.g. https://issuu.com/thebpview/docs/issue_305
+     * @returns {{account: string, slug: string}}
+     */
+    parseDocumentUrl(documentUrl) {
+        const match = new URL(documentUrl).pathname.match(/^\/([^/]+)\/docs\/([^/?#]+)/);
+        if (!match) {
+            throw new Error(`Not an Issuu document URL: ${documentUrl}`);
+        }
+        return { account: match[1], slug: match[2] };
+    }
+
+    /**
+     * Resolves a manifest image URI ("image.isu.pub/...", "//host/...", "/path" or absolute)
+     * @param {string} uri - Image URI from the manifest
+     * @param {string} manifestUrl - URL the manifest was fetched from
+     * @returns {string} - Absolute image URL
+     */
+    resolveImageUrl(uri, manifestUrl) {
+        if (/^https?:\/\//i.test(uri)) return uri;
+        if (uri.startsWith('//')) return `https:${uri}`;
+        if (uri.startsWith('/') || uri.startsWith('.')) return new URL(uri, manifestUrl).toString();
+        return `https://${uri}`;
+    }
+
+    /**
+     * Fetches the document manifest and lists its page images
+     * @param {string} documentUrl - Issuu document URL
+     * @returns {Promise<Object>} - Job ({ id, status, pages, title })
+     */
+    async startJob(documentUrl) {
+        const { account, slug } = this.parseDocumentUrl(documentUrl);
+        const manifestUrl = this.manifestUrl
+            .replace('{account}', encodeURIComponent(account))
+            .replace('{slug}', encodeURIComponent(slug));
+
+        log.info('Reading page manifest', { provider: this.name, url: manifestUrl });
+        const response = await this.downloader.makeRequest(manifestUrl);
+        if (response.statusCode !== 200) {
+            throw new Error(`Error fetching manifest: ${response.statusCode}`);
+        }
+
+        const manifest = JSON.parse(response.data);
+        const doc = manifest.document || manifest;
+        const pages = (doc.pages || [])
+            .map(page => page.imageUri || page.imageUrl)
+            .filter(Boolean)
+            .map(uri => this.resolveImageUrl(uri, manifestUrl));
+
+        if (pages.length === 0) {
+            throw new Error('Manifest contains no pages');
+        }
+
+        log.info('Manifest read', { provider: this.name, pages: pages.length });
+        return {
+            id: slug,
+            status: 'succeeded',
+            progress: 100,
+            outputFile: null,
+            title: doc.title || null,
+            pages
+        };
+    }
+
+    /**
+     * The manifest is complete as soon as it is read; nothing to poll
+     */
+    async pollJob(job) {
+        return job;
+    }
+
+    /**
+     * Fetches a single page image
+     * @param {string} url - Image URL
+     * @returns {Promise<Buffer>} - Image bytes
+     */
+    async fetchPage(url) {
+        const response = await this.downloader.makeRequest(url, {
+            binary: true,
+            headers: { 'Accept': 'image/jpeg,image/*' }
+        });
+        if (response.statusCode !== 200) {
+            throw new Error(`Error fetching page ${url}: ${response.statusCode}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * Fetches all pages with bounded concurrency and writes the assembled PDF
+     * @param {Object} job - Job returned by startJob
+     * @param {string} outputPath - Destination path
+     * @param {Object} options - { validate } checks the file before it is moved into place
+     */
+    async fetchResult(job, outputPath, options = {}) {
+        log.info('Fetching page images', { provider: this.name, pages: job.pages.length });
+
+        const images = new Array(job.pages.length);
+        let next = 0;
+        let fetched = 0;
+        let received = 0;
+        const worker = async () => {
+            while (next < job.pages.length) {
+                const index = next++;
+                images[index] = await this.fetchPage(job.pages[index]);
+                fetched++;
+                received += images[index].length;
+                this.downloader.emit('bytes', {
+                    documentUrl: job.documentUrl,
+                    received,
+                    total: null,
+                    pages: fetched,
+                    totalPages: job.pages.length
+                });
+            }
+        };
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, job.pages.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        const pdf = buildPdfFromJpegs(images, { title: job.title });
+
+        // Write to a temporary file first, then rename to avoid serving partial files
+        const tmpPath = `${outputPath}.tmp`;
+        try {
+            await fs.promises.writeFile(tmpPath, pdf);
+            if (options.validate) {
+                await options.validate(tmpPath);
+            }
+            await fs.promises.rename(tmpPath, outputPath);
+        } catch (error) {
+            fs.unlink(tmpPath, () => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = IssuuNativeProvider;
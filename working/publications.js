@@ -0,0 +1,188 @@
+const fs = require('fs');
+const cron = require('node-cron');
+const { getConfig } = require('./config');
+
+/**
+ * Publication registry
+ *
+ * A publication describes where to discover its latest issue and how to store it:
+ *   - id, name
+ *   - issuuAccount: Issuu account that hosts the issues (issuu.com/<account>/docs/...)
+ *   - issueSlug: slug template for numbered issues, e.g. "issue_{number}" (optional)
+ *   - discovery: sources tried in order
+ *       { type: 'issuu-link', url }    page linking or embedding the latest Issuu document
+ *       { type: 'issue-number', url }  page mentioning the latest issue number
+ *       { type: 'issuu-profile', url } Issuu profile listing "Issue N" documents
+ *   - schedule: [{ cron, action: 'download' | 'check' }] plus optional timezone
+ *   - cadenceDays: how often a new issue comes out (optional; the health check
+ *     otherwise assumes the download schedule's cadence)
+ *   - folder: per-publication folder under downloads/ and cache/
+ */
+const DEFAULT_PUBLICATIONS = [
+    {
+        id: 'bpview',
+        name: 'The BP View',
+        issuuAccount: 'thebpview',
+        issueSlug: 'issue_{number}',
+        discovery: [
+            { type: 'issue-number', url: 'https://www.thebpview.com/current-issue.php' },
+            { type: 'issuu-profile', url: 'https://issuu.com/thebpview' }
+        ],
+        schedule: [
+            { cron: '0 9 * * 3', action: 'download' }, // Wednesdays at 9:00 AM
+            { cron: '0 10 * * *', action: 'check' } // Daily at 10:00 AM
+        ],
+        timezone: null,
+        cadenceDays: 7,
+        folder: 'bpview'
+    },
+    {
+        id: 'weeklylink',
+        name: 'Weekly Link',
+        issuuAccount: null,
+        issueSlug: null,
+        discovery: [
+            { type: 'issuu-link', url: 'https://weeklylink.com/issues/' },
+            { type: 'issuu-link', url: 'https://www.weeklylink.com/issues/' }
+        ],
+        schedule: [
+            { cron: '0 1 * * *', action: 'download' } // Daily at 1:00 AM
+        ],
+        timezone: 'America/New_York',
+        cadenceDays: 7, // Checked daily, published weekly
+        folder: 'weeklylink'
+    }
+];
+
+// Publication used when defaultPublication is not set
+const FALLBACK_PUBLICATION_ID = 'bpview';
+
+const DISCOVERY_TYPES = ['issuu-link', 'issue-number', 'issuu-profile'];
+const SCHEDULE_ACTIONS = ['download', 'check'];
+
+/**
+ * Validates a publication definition
+ * @param {Object} publication - Publication to check
+ * @returns {Object} - Publication with defaults applied
+ */
+function validatePublication(publication) {
+    const where = `Publication "${publication && publication.id}"`;
+
+    if (!publication || typeof publication.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(publication.id)) {
+        throw new Error(`${where}: id must be lowercase letters, digits and dashes`);
+    }
+    if (!Array.isArray(publication.discovery) || publication.discovery.length === 0) {
+        throw new Error(`${where}: at least one discovery source is required`);
+    }
+    for (const source of publication.discovery) {
+        if (!DISCOVERY_TYPES.includes(source.type)) {
+            throw new Error(`${where}: unknown discovery type "${source.type}" (expected ${DISCOVERY_TYPES.join(', ')})`);
+        }
+        try {
+            new URL(source.url);
+        } catch (_) {
+            throw new Error(`${where}: invalid discovery url "${source.url}"`);
+        }
+    }
+    for (const entry of publication.schedule || []) {
+        if (!cron.validate(entry.cron)) {
+            throw new Error(`${where}: invalid cron expression "${entry.cron}"`);
+        }
+        if (!SCHEDULE_ACTIONS.includes(entry.action)) {
+            throw new Error(`${where}: unknown schedule action "${entry.action}"`);
+        }
+    }
+    if (publication.cadenceDays !== undefined && publication.cadenceDays !== null &&
+        !(typeof publication.cadenceDays === 'number' && publication.cadenceDays > 0)) {
+        throw new Error(`${where}: cadenceDays must be a positive number`);
+    }
+    if (publication.issueSlug && !publication.issuuAccount) {
+        throw new Error(`${where}: issueSlug requires issuuAccount`);
+    }
+
+    const folder = publication.folder || publication.id;
+    if (!/^[\w-]+$/.test(folder)) {
+        throw new Error(`${where}: folder must be a single directory name`);
+    }
+
+    return {
+        name: publication.id,
+        issuuAccount: null,
+        issueSlug: null,
+        schedule: [],
+        timezone: null,
+        cadenceDays: null,
+        ...publication,
+        folder
+    };
+}
+
+class PublicationRegistry {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.publications - Publication definitions (default: the publications setting)
+     * @param {string} options.file - JSON file with definitions (default: publicationsFile, PUBLICATIONS_FILE env)
+     * @param {Object} options.config - Configuration (default: getConfig())
+     */
+    constructor(options = {}) {
+        this.config = options.config || getConfig();
+        let publications = options.publications || this.config.publications;
+        const file = options.file || this.config.publicationsFile;
+
+        if (!publications && file) {
+            try {
+                publications = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Could not read publications file ${file}: ${error.message}`);
+            }
+        }
+
+        this.publications = new Map();
+        for (const publication of publications || DEFAULT_PUBLICATIONS) {
+            const valid = validatePublication(publication);
+            if (this.publications.has(valid.id)) {
+                throw new Error(`Duplicate publication id "${valid.id}"`);
+            }
+            this.publications.set(valid.id, valid);
+        }
+    }
+
+    /**
+     * Gets the publication used when none is named (routes without a publication id, the
+     * CLI without --publication): defaultPublication from the configuration, else
+     * fallbackId, else the first one
+     * @param {string} fallbackId - Id used when no default is configured (default: bpview)
+     * @returns {Object} - Publication
+     * @throws {Error} - When the configured default is not registered
+     */
+    getDefault(fallbackId = FALLBACK_PUBLICATION_ID) {
+        const id = this.config.defaultPublication;
+        if (id && !this.publications.has(id)) {
+            throw new Error(`Default publication "${id}" is not registered (available: ${Array.from(this.publications.keys()).join(', ')})`);
+        }
+        return this.publications.get(id) || this.publications.get(fallbackId) || this.list()[0];
+    }
+
+    /**
+     * Lists all publications
+     * @returns {Object[]} - Publications
+     */
+    list() {
+        return Array.from(this.publications.values());
+    }
+
+    /**
+     * Gets a publication by id
+     * @param {string} id - Publication id
+     * @returns {Object|null} - Publication or null
+     */
+    get(id) {
+        return this.publications.get(id) || null;
+    }
+}
+
+module.exports = {
+    PublicationRegistry,
+    validatePublication,
+    DEFAULT_PUBLICATIONS
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const IssueStore = require('./issueStore');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('retention');
+
+/**
+ * Retention policy for downloaded and cached PDFs
+ *
+ * Without archive mode only the newest PDF is kept (the historical behaviour).
+ * In archive mode every issue is kept, limited by any of:
+ *   - keepLast: keep the N newest files
+ *   - maxAgeDays: remove files older than N days
+ *   - maxTotalSize: remove the oldest files until the total size fits (bytes)
+ * The newest file is never removed. "Newest" means the highest issue number in
+ * the folder's issue records, so an old issue fetched by a backfill doesn't
+ * count as the latest; files without a numbered record come after those,
+ * ordered by modification time.
+ */
+class RetentionPolicy {
+    /**
+     * @param {Object} options - { archive, keepLast, maxAgeDays, maxTotalSize }; defaults come from
+     *   the archive section of options.config or getConfig() (ARCHIVE_MODE, ARCHIVE_KEEP_LAST,
+     *   ARCHIVE_MAX_AGE_DAYS, ARCHIVE_MAX_SIZE_MB)
+     */
+    constructor(options = {}) {
+        const archive = (options.config || getConfig()).archive;
+        this.archive = options.archive !== undefined ? !!options.archive : archive.enabled;
+        this.keepLast = options.keepLast !== undefined ? options.keepLast : archive.keepLast;
+        this.maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : archive.maxAgeDays;
+        this.maxTotalSize = options.maxTotalSize !== undefined
+            ? options.maxTotalSize
+            : (archive.maxSizeMb !== null ? archive.maxSizeMb * 1024 * 1024 : null);
+    }
+
+    /**
+     * Lists the PDFs in a directory, newest issue first
+     * @param {string} dir - Directory
+     * @returns {Array<{name: string, path: string, size: number, mtimeMs: number, number: number|null}>}
+     */
+    listFiles(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        const numbers = new Map();
+        for (const issue of new IssueStore({ dir }).issues) {
+            if (typeof issue.number === 'number') numbers.set(issue.fileName, issue.number);
+        }
+
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.pdf'))
+            .map(name => {
+                const filePath = path.join(dir, name);
+                const stats = fs.statSync(filePath);
+                const number = numbers.has(name) ? numbers.get(name) : null;
+                return { name, path: filePath, size: stats.size, mtimeMs: stats.mtimeMs, number };
+            })
+            .sort(RetentionPolicy.newestFirst);
+    }
+
+    /**
+     * Sort order of listFiles: numbered issues by number, then the rest by mtime
+     */
+    static newestFirst(a, b) {
+        if (a.number !== null && b.number !== null) {
+            return (b.number - a.number) || (b.mtimeMs - a.mtimeMs);
+        }
+        if (a.number !== null || b.number !== null) {
+            return a.number !== null ? -1 : 1;
+        }
+        return b.mtimeMs - a.mtimeMs;
+    }
+
+    /**
+     * Selects the files the policy would remove
+     * @param {Array} files - Files from listFiles (newest first)
+     * @returns {Array} - Files to remove
+     */
+    selectExpired(files) {
+        if (!this.archive) {
+            return files.slice(1);
+        }
+
+        const now = Date.now();
+        const expired = new Set();
+
+        files.forEach((file, i) => {
+            if (i === 0) return;
+            if (this.keepLast && i >= this.keepLast) expired.add(file);
+            if (this.maxAgeDays && now - file.mtimeMs > this.maxAgeDays * 24 * 60 * 60 * 1000) expired.add(file);
+        });
+
+        if (this.maxTotalSize) {
+            let total = files.filter(f => !expired.has(f)).reduce((sum, f) => sum + f.size, 0);
+            for (let i = files.length - 1; i > 0 && total > this.maxTotalSize; i--) {
+                if (!expired.has(files[i])) {
+                    expired.add(files[i]);
+                    total -= files[i].size;
+                }
+            }
+        }
+
+        return files.filter(f => expired.has(f));
+    }
+
+    /**
+     * Applies the policy to a directory
+     * @param {string} dir - Directory holding PDFs
+     * @returns {string[]} - Names of removed files
+     */
+    apply(dir) {
+        const removed = [];
+        for (const file of this.selectExpired(this.listFiles(dir))) {
+            try {
+                fs.unlinkSync(file.path);
+                removed.push(file.name);
+                log.info('Retention removed file', { path: file.path });
+            } catch (error) {
+                log.warn('Could not remove file', { path: file.path, error: error.message });
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Describes the policy and the current state of a directory
+     * @param {string} dir - Directory holding PDFs
+     * @returns {Object} - Summary for API responses
+     */
+    describe(dir) {
+        const files = this.listFiles(dir);
+        return {
+            enabled: this.archive,
+            keepLast: this.keepLast,
+            maxAgeDays: this.maxAgeDays,
+            maxTotalSizeMB: this.maxTotalSize ? +(this.maxTotalSize / 1024 / 1024).toFixed(2) : null,
+            issueCount: files.length,
+            totalSizeMB: +(files.reduce((sum, f) => sum + f.size, 0) / 1024 / 1024).toFixed(2)
+        };
+    }
+}
+
+module.exports = RetentionPolicy;
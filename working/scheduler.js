@@ -4,127 +4,223 @@ const fs = require('fs');
 const IssuuDownloader = require('./app');
 const IssueTracker = require('./issueTracker');
 const CacheManager = require('./cacheManager');
+const IssueStore = require('./issueStore');
+const { DEFAULT_PUBLICATIONS } = require('./publications');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
 
 class DownloadScheduler {
-    constructor() {
-        this.downloader = new IssuuDownloader();
-        this.tracker = new IssueTracker();
-        this.cache = new CacheManager();
-        this.logDir = 'logs';
-        this.ensureLogDir();
+    /**
+     * @param {Object} options - Publication and shared instances (downloader, tracker, cache, store, jobs);
+     *   created from options.config (default: getConfig()) if omitted
+     */
+    constructor(options = {}) {
+        const config = options.config || getConfig();
+        this.publication = options.publication || (options.tracker && options.tracker.publication) || DEFAULT_PUBLICATIONS[0];
+        this.downloader = options.downloader || new IssuuDownloader({ config });
+        this.tracker = options.tracker || new IssueTracker(this.publication, { config });
+        this.cache = options.cache || new CacheManager({ config });
+        this.store = options.store || new IssueStore({ dir: this.downloader.outputDir, publication: this.publication });
+        this.jobs = options.jobs || null; // Optional JobQueue that runs downloads
+
+        // Discovery rejects candidates older than the cached issue
+        const metadata = this.cache.getMetadata();
+        if (metadata) {
+            this.tracker.rememberIssue(metadata.issueNumber);
+        }
+
+        this.log = createLogger('scheduler').child({ publication: this.publication.id });
     }
 
     /**
-     * Creates the logs directory if it doesn't exist
+     * Downloads the latest available issue and saves it to cache (errors are logged, for cron ticks)
+     * @param {string} trigger - What started the download (cron, manual, ...)
+     * @returns {Promise<Object|null>} - Issue record, or null when it failed
      */
-    ensureLogDir() {
-        if (!fs.existsSync(this.logDir)) {
-            fs.mkdirSync(this.logDir, { recursive: true });
+    async downloadLatestIssue(trigger = 'cron') {
+        try {
+            return await this.ensureLatestIssue(trigger);
+        } catch (error) {
+            this.log.error('Error in scheduled download', error);
+            return null;
         }
     }
 
     /**
-     * Logs a message to the log file
-     * @param {string} message - The message to log
+     * Makes sure the latest issue is downloaded, recorded and cached
+     * @param {string} trigger - What started the download (cron, refresh, on-demand, ...)
+     * @returns {Promise<Object|null>} - Issue record of the latest issue
+     * @throws {Error} - When discovery or the download fails
      */
-    logMessage(message) {
-        const date = new Date();
-        const logFile = path.join(this.logDir, `download-${date.toISOString().split('T')[0]}.log`);
-        const logEntry = `[${date.toISOString()}] ${message}\n`;
+    async ensureLatestIssue(trigger = 'manual') {
+        this.log.info('Starting download of latest issue', { trigger });
+        
+        // Get the latest issue
+        const issue = await this.tracker.getLatestIssue();
+        const issueNumber = this.getIssueKey(issue);
+        
+        this.log.info('Latest issue found', { issueNumber, url: issue.url });
+        
+        // Check if already in cache
+        if (this.cache.isIssueInCache(issueNumber)) {
+            this.log.info('Issue is already in cache', { issueNumber });
+            return this.store.find(issueNumber);
+        }
+        
+        // Check if the issue was already downloaded
+        const record = this.store.find(issueNumber);
+        const filePath = record ? record.filePath : this.downloader.getOutputPath(issue.url);
+        
+        if (!fs.existsSync(filePath)) {
+            // Download the document (the job also records and caches it)
+            this.log.info('Downloading issue', { issueNumber });
+            const job = await this.runJob({
+                publication: this.publication.id,
+                url: issue.url,
+                issueNumber,
+                title: issue.title,
+                trigger
+            });
+            
+            if (job.state !== 'done') {
+                throw new Error(job.error || `Download of issue ${issueNumber} failed`);
+            }
+            this.log.info('Issue downloaded successfully', { issueNumber, jobId: job.id });
+            return this.store.find(issueNumber);
+        }
         
-        fs.appendFileSync(logFile, logEntry);
-        console.log(message);
+        this.log.info('Issue has already been downloaded previously', { issueNumber });
+        const existing = record || await this.store.record(issue, filePath);
+        
+        // Save to cache
+        try {
+            const cachedPath = this.cache.cacheFile(filePath, issueNumber);
+            this.log.info('Issue saved to cache', { issueNumber, path: cachedPath });
+        } catch (cacheError) {
+            this.log.error('Error saving to cache', { issueNumber, error: cacheError.message });
+        }
+        return existing;
+    }
+
+    /**
+     * Identifies an issue for the cache: its number, or its slug when the
+     * publication's issues are not numbered
+     * @param {Object} issue - Issue from IssueTracker.getLatestIssue
+     * @returns {number|string} - Issue key
+     */
+    getIssueKey(issue) {
+        return issue.number !== null ? issue.number : issue.slug;
     }
 
     /**
-     * Downloads the latest available issue and saves it to cache
+     * Runs a download through the job queue (or directly when there is none)
+     * @param {Object} data - { url, issueNumber, title, trigger }
+     * @returns {Promise<Object>} - Finished job ({ state, error, result })
      */
-    async downloadLatestIssue() {
+    async runJob(data) {
+        if (this.jobs) {
+            const job = this.jobs.enqueue(data);
+            return this.jobs.waitFor(job.id);
+        }
+
         try {
-            this.logMessage('Starting scheduled download of latest issue...');
-            
-            // Get the latest issue URL
-            const latestIssueUrl = await this.tracker.getLatestIssueUrl();
-            const issueNumber = parseInt(latestIssueUrl.split('_').pop(), 10);
-            
-            this.logMessage(`Latest issue URL: ${latestIssueUrl}`);
-            
-            // Check if already in cache
-            if (this.cache.isIssueInCache(issueNumber)) {
-                this.logMessage(`Issue ${issueNumber} is already in cache.`);
-                return;
+            const result = await this.runDownloadJob(data, () => {});
+            return { ...data, state: 'done', error: null, result };
+        } catch (error) {
+            return { ...data, state: 'failed', error: error.message, result: null };
+        }
+    }
+
+    /**
+     * Job handler: downloads an issue, records it and saves it to cache (except
+     * backfilled issues), then applies the retention policy
+     * @param {Object} job - { url, issueNumber, title }
+     * @param {Function} report - report(state, changes) for state transitions
+     * @returns {Promise<Object>} - Result stored on the job
+     */
+    async runDownloadJob(job, report) {
+        const success = await this.downloader.downloadDocument(job.url, null, {
+            trigger: job.trigger,
+            onStatus: ({ state, progress, provider }) => {
+                report(state, progress !== undefined ? { progress, provider } : { provider });
             }
-            
-            // Check if file already exists in downloads
-            const fileName = `issue ${issueNumber}.pdf`;
-            const filePath = path.join(this.downloader.outputDir, fileName);
-            
-            let downloadSuccess = false;
-            
-            if (fs.existsSync(filePath)) {
-                this.logMessage(`Issue ${issueNumber} has already been downloaded previously.`);
-                downloadSuccess = true;
+        });
+
+        if (!success) {
+            throw new Error(`Download of issue ${job.issueNumber} failed`);
+        }
+
+        const filePath = this.downloader.getOutputPath(job.url);
+        const fileName = path.basename(filePath);
+        const issue = await this.store.record({ ...this.tracker.issueFromUrl(job.url), title: job.title }, filePath);
+
+        // The cache holds the latest issue; backfilled (older) issues only go to downloads
+        let downloadUrl = `/downloads/${this.publication.folder}/${encodeURIComponent(fileName)}`;
+        if (job.trigger !== 'backfill') {
+            const cachedPath = this.cache.cacheFile(filePath, job.issueNumber);
+            this.log.info('Issue saved to cache', { issueNumber: job.issueNumber, path: cachedPath });
+            downloadUrl = `/cache/${this.publication.folder}/${encodeURIComponent(path.basename(cachedPath))}`;
+        }
+
+        // Without archive mode only the new issue stays; in archive mode the folder is held to its limits
+        const removed = this.cache.retention.apply(this.downloader.outputDir);
+        if (removed.length > 0) {
+            this.log.info('Retention removed prior issues', { count: removed.length, files: removed });
+        }
+
+        return {
+            fileName,
+            issue,
+            provider: this.downloader.lastProvider,
+            downloadUrl
+        };
+    }
+
+    /**
+     * Checks if there's a new issue available and downloads it
+     */
+    async checkForNewIssue() {
+        try {
+            const issue = await this.tracker.getLatestIssue();
+            const issueKey = this.getIssueKey(issue);
+            const upToDate = issue.number !== null
+                ? this.cache.isCacheUpToDate(issue.number)
+                : this.cache.isIssueInCache(issueKey);
+
+            if (!upToDate) {
+                this.log.info('New issue detected, updating cache', { issueNumber: issueKey });
+                await this.downloadLatestIssue('cron');
             } else {
-                // Download the document
-                this.logMessage(`Downloading issue ${issueNumber}...`);
-                downloadSuccess = await this.downloader.downloadDocument(latestIssueUrl);
-                
-                if (downloadSuccess) {
-                    this.logMessage(`Issue ${issueNumber} downloaded successfully.`);
-                } else {
-                    this.logMessage(`Error downloading issue ${issueNumber}.`);
-                    return;
-                }
-            }
-            
-            // Save to cache if download was successful
-            if (downloadSuccess) {
-                try {
-                    const cachedPath = this.cache.cacheFile(filePath, issueNumber);
-                    this.logMessage(`Issue ${issueNumber} saved to cache: ${cachedPath}`);
-                } catch (cacheError) {
-                    this.logMessage(`Error saving to cache: ${cacheError.message}`);
-                }
+                this.log.info('Cache is up to date', { issueNumber: issueKey });
             }
         } catch (error) {
-            this.logMessage(`Error in scheduled download: ${error.message}`);
+            this.log.error('Error checking for updates', error);
         }
     }
 
     /**
-     * Schedules weekly download for every Wednesday at 9:00 AM
-     * and daily check at 10:00 AM for new issues
+     * Schedules the publication's downloads ('download' entries) and
+     * new-issue checks ('check' entries) from its registry schedule
      */
-    scheduleWeeklyDownload() {
-        // Run every Wednesday at 9:00 AM
-        cron.schedule('0 9 * * 3', async () => {
-            await this.downloadLatestIssue();
-        });
-        
-        // Check daily at 10:00 AM if there's a new issue available
-        cron.schedule('0 10 * * *', async () => {
-            try {
-                const latestIssueNumber = await this.tracker.getLatestIssueNumber();
-                if (!this.cache.isCacheUpToDate(latestIssueNumber)) {
-                    this.logMessage(`New issue detected (${latestIssueNumber}). Updating cache...`);
-                    await this.downloadLatestIssue();
-                } else {
-                    this.logMessage(`Cache is up to date. Latest issue: ${latestIssueNumber}`);
-                }
-            } catch (error) {
-                this.logMessage(`Error checking for updates: ${error.message}`);
+    scheduleDownloads() {
+        const options = this.publication.timezone ? { timezone: this.publication.timezone } : {};
+
+        for (const entry of this.publication.schedule) {
+            if (entry.action === 'check') {
+                cron.schedule(entry.cron, () => this.checkForNewIssue(), options);
+                this.log.info('New issue check scheduled', { cron: entry.cron, timezone: this.publication.timezone || undefined });
+            } else {
+                cron.schedule(entry.cron, () => this.downloadLatestIssue('cron'), options);
+                this.log.info('Download scheduled', { cron: entry.cron, timezone: this.publication.timezone || undefined });
             }
-        });
-        
-        this.logMessage('Weekly download scheduled for Wednesdays at 9:00 AM');
-        this.logMessage('Daily check scheduled for 10:00 AM');
+        }
     }
 
     /**
      * Runs an immediate download of the latest issue
      */
     async runImmediateDownload() {
-        await this.downloadLatestIssue();
+        await this.downloadLatestIssue('manual');
     }
 }
 
@@ -6,8 +6,15 @@
  * This file starts the API server for automatic Issuu document downloads.
  */
 
-// Import the API server
-const app = require('./api');
+// Invalid settings (env or CONFIG_FILE) stop the server with a readable list of problems
+const { getConfig } = require('./config');
+try {
+    getConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
-// The server is already configured in api.js, we just need to import it
+// Start the server (routes, schedulers and shared instances live in api.js)
 console.log('Starting automatic Issuu document download server...');
+require('./api').start();
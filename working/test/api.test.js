@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { samplePdf } = require('./fixtures/pdfs');
+
+// The API reads its configuration once, from the environment, when it is required
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-downloader-api-'));
+process.env.DOWNLOADS_DIR = path.join(root, 'downloads');
+process.env.CACHE_DIR = path.join(root, 'cache');
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.PAGE_EXTRACT_MAX_PAGES = '1';
+delete process.env.ADMIN_TOKEN;
+delete process.env.DEFAULT_PUBLICATION;
+delete process.env.CONFIG_FILE;
+
+/**
+ * Issues on disk before the server starts (the stores read them when the API is required)
+ */
+function seedDownloads() {
+    const dir = path.join(process.env.DOWNLOADS_DIR, 'bpview');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'issue 297.pdf'), '%PDF-1.4\n%%EOF\n');
+    fs.writeFileSync(path.join(dir, 'issue 298.pdf.tmp'), 'partial');
+    fs.writeFileSync(path.join(dir, '.hidden.pdf'), 'hidden');
+    fs.writeFileSync(path.join(dir, 'issue 299.pdf'), samplePdf());
+    fs.writeFileSync(path.join(dir, 'issues.json'), JSON.stringify([{
+        publication: 'bpview',
+        number: 299,
+        slug: 'issue_299',
+        title: 'Issue 299',
+        fileName: 'issue 299.pdf',
+        filePath: path.join(dir, 'issue 299.pdf'),
+        checksum: 'def',
+        size: 0,
+        downloadedAt: '2025-01-29T09:00:00.000Z',
+        pdf: { pageCount: 2 }
+    }, {
+        publication: 'bpview',
+        number: 297,
+        slug: 'issue_297',
+        title: 'Issue 297',
+        fileName: 'issue 297.pdf',
+        filePath: path.join(dir, 'issue 297.pdf'),
+        checksum: 'abc',
+        size: 15,
+        downloadedAt: '2025-01-15T09:00:00.000Z',
+        pdf: null
+    }]));
+}
+
+seedDownloads();
+require('./helpers');
+const { app } = require('../api');
+
+let base;
+let server;
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => {
+    server.close(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+        resolve();
+    });
+}));
+
+test('admin endpoints are disabled without ADMIN_TOKEN', async () => {
+    const response = await fetch(`${base}/api/admin/backfill`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ range: '280-281' })
+    });
+    assert.strictEqual(response.status, 403);
+    assert.match((await response.json()).error, /ADMIN_TOKEN/);
+});
+
+test('download folders serve only PDFs and issue records omit server paths', async () => {
+    assert.strictEqual((await fetch(`${base}/downloads/bpview/issue%20297.pdf`)).status, 200);
+    for (const name of ['issues.json', 'issue%20298.pdf.tmp', '.hidden.pdf']) {
+        assert.strictEqual((await fetch(`${base}/downloads/bpview/${name}`)).status, 404, name);
+    }
+
+    const { downloads } = await (await fetch(`${base}/api/publications/bpview/downloads`)).json();
+    const issue = downloads.find(entry => entry.fileName === 'issue 297.pdf');
+    assert.ok(issue);
+    assert.strictEqual(issue.filePath, undefined);
+    assert.strictEqual(issue.downloadUrl, '/downloads/bpview/issue%20297.pdf');
+
+    const status = await (await fetch(`${base}/api/publications/bpview/status/297`)).json();
+    assert.strictEqual(status.issue.filePath, undefined);
+});
+
+test('readiness only checks local state', async () => {
+    // No upstream is reachable from the tests and no download ever succeeded
+    const response = await fetch(`${base}/health/ready`);
+    assert.strictEqual(response.status, 200);
+    const readiness = await response.json();
+    assert.strictEqual(readiness.status, 'ok');
+    assert.deepStrictEqual(Object.keys(readiness.checks).sort(), ['data', 'downloads']);
+});
+
+test('routes without a publication id use The BP View by default', async () => {
+    const { default: defaultId } = await (await fetch(`${base}/api/publications`)).json();
+    assert.strictEqual(defaultId, 'bpview');
+
+    const status = await (await fetch(`${base}/api/status/297`)).json();
+    assert.strictEqual(status.issue.fileName, 'issue 297.pdf');
+});
+
+test('page extracts are limited to PAGE_EXTRACT_MAX_PAGES pages', async () => {
+    const tooMany = await fetch(`${base}/api/issues/299/pages?range=1-2`);
+    assert.strictEqual(tooMany.status, 400);
+    assert.match((await tooMany.json()).error, /has 2 pages \(max 1\)/);
+
+    const extract = await fetch(`${base}/api/issues/299/pages?range=2`);
+    assert.strictEqual(extract.status, 200);
+    assert.strictEqual(extract.headers.get('x-page-range'), '2');
+    assert.match(Buffer.from(await extract.arrayBuffer()).toString('latin1'), /^%PDF-1\.7/);
+});
+
+test('the viewer page loads the bundled pdf.js', async () => {
+    const page = await fetch(`${base}/view/299?page=2`);
+    assert.strictEqual(page.status, 200);
+    const html = await page.text();
+    assert.match(html, /"pdfUrl":"\/downloads\/bpview\/issue%20299\.pdf"/);
+    assert.match(html, /"pdfjsUrl":"\/viewer\/pdfjs\/pdf\.min\.mjs"/);
+    assert.match(html, /"pageCount":2,"page":2/);
+    assert.match(html, /<a href="\/downloads\/bpview\/issue%20299\.pdf" download="issue 299\.pdf">Download issue 299\.pdf<\/a>/);
+
+    for (const file of ['pdf.min.mjs', 'pdf.worker.min.mjs']) {
+        const script = await fetch(`${base}/viewer/pdfjs/${file}`);
+        assert.strictEqual(script.status, 200, file);
+        assert.match(script.headers.get('content-type'), /^text\/javascript/);
+        await script.arrayBuffer();
+    }
+    assert.strictEqual((await fetch(`${base}/viewer/pdfjs/package.json`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/viewer/pdfjs/..%2Fpackage.json`)).status, 404);
+});
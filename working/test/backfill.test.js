@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { Backfill, parseIssueRange } = require('../backfill');
+
+test('parseIssueRange reads numbers, ranges and lists', () => {
+    assert.deepStrictEqual(parseIssueRange('297'), [297]);
+    assert.deepStrictEqual(parseIssueRange('280-283'), [280, 281, 282, 283]);
+    assert.deepStrictEqual(parseIssueRange(' 300-301 , 290,280-281,290 '), [280, 281, 290, 300, 301]);
+});
+
+test('parseIssueRange rejects malformed, inverted and huge ranges', () => {
+    assert.throws(() => parseIssueRange(''), /Invalid issue range/);
+    assert.throws(() => parseIssueRange('280-'), /Invalid issue range/);
+    assert.throws(() => parseIssueRange('abc'), /Invalid issue range/);
+    assert.throws(() => parseIssueRange('305-280'), /ends before it starts/);
+    assert.throws(() => parseIssueRange('1-5000'), /too large/);
+});
+
+/**
+ * Scheduler stand-in: issue 281 is recorded, 282 is not on Issuu, the job for 284 fails
+ */
+function stubScheduler(options = {}) {
+    const jobs = [];
+    const scheduler = {
+        jobs,
+        publication: { id: 'bpview' },
+        cache: { retention: { archive: options.archive !== false } },
+        store: { findByNumber: n => (n === 281 ? { number: 281 } : null) },
+        tracker: { getIssueUrl: n => `https://issuu.com/thebpview/docs/issue_${n}` },
+        downloader: {
+            getOutputPath: url => `/nowhere/${url.split('/').pop()}.pdf`,
+            makeRequest: async url => ({ statusCode: url.endsWith('_282') ? 404 : 200 }),
+            sleep: async () => {}
+        },
+        runJob: async data => {
+            jobs.push(data);
+            return data.issueNumber === 284 ? { state: 'failed', error: 'Conversion failed' } : { state: 'done' };
+        }
+    };
+    return scheduler;
+}
+
+test('backfill sends missing issues to the scheduler as jobs', async () => {
+    const scheduler = stubScheduler();
+    const report = await new Backfill({ scheduler, delayMs: 0 }).run([280, 281, 282, 283, 284]);
+
+    assert.strictEqual(report.status, 'completed');
+    assert.strictEqual(report.completed, 5);
+    assert.deepStrictEqual(report.skipped, [281]);
+    assert.deepStrictEqual(report.missing, [282]);
+    assert.deepStrictEqual(report.downloaded, [280, 283]);
+    assert.deepStrictEqual(report.failed, [{ issueNumber: 284, error: 'Conversion failed' }]);
+
+    assert.deepStrictEqual(scheduler.jobs.map(job => job.issueNumber).sort(), [280, 283, 284]);
+    for (const job of scheduler.jobs) {
+        assert.strictEqual(job.trigger, 'backfill');
+        assert.strictEqual(job.publication, 'bpview');
+        assert.strictEqual(job.url, `https://issuu.com/thebpview/docs/issue_${job.issueNumber}`);
+    }
+});
+
+test('backfill keeps at most concurrency jobs in flight', async () => {
+    const scheduler = stubScheduler();
+    let running = 0;
+    let most = 0;
+    scheduler.runJob = async () => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { state: 'done' };
+    };
+
+    const report = await new Backfill({ scheduler, concurrency: 2, delayMs: 0 }).run([290, 291, 292, 293, 294]);
+    assert.deepStrictEqual(report.downloaded, [290, 291, 292, 293, 294]);
+    assert.strictEqual(most, 2);
+});
+
+test('backfill needs archive mode', () => {
+    assert.throws(() => new Backfill({ scheduler: stubScheduler({ archive: false }) }).checkArchiveMode(), /Archive mode is off/);
+    assert.doesNotThrow(() => new Backfill({ scheduler: stubScheduler() }).checkArchiveMode());
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers');
+const { loadConfig, ConfigError } = require('../config');
+
+test('a YAML config file sets nested keys', (t) => {
+    const file = path.join(tmpDir(t), 'config.yaml');
+    fs.writeFileSync(file, 'port: 4100\nlogging:\n  level: warn\n');
+    const config = loadConfig({ env: {}, file });
+    assert.strictEqual(config.port, 4100);
+    assert.strictEqual(config.logging.level, 'warn');
+});
+
+test('an invalid YAML config file is a ConfigError', (t) => {
+    const file = path.join(tmpDir(t), 'config.yml');
+    fs.writeFileSync(file, 'server: [port\n');
+    assert.throws(() => loadConfig({ env: {}, file }), error => error instanceof ConfigError && /not valid YAML/.test(error.message));
+});
+
+test('requiring the logger does not read the configuration', () => {
+    process.env.LOG_LEVEL = 'loud';
+    const { createLogger } = require('../logger');
+    const log = createLogger('test');
+    // The invalid setting surfaces on the first write, once the configuration is loaded
+    assert.throws(() => log.error('first line'), ConfigError);
+});
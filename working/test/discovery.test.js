@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tmpDir, testConfig } = require('./helpers');
+const { DiscoveryResolver, getStrategies } = require('../discovery');
+const builtinStrategies = require('../discovery/strategies');
+const IssueTracker = require('../issueTracker');
+const { DEFAULT_PUBLICATIONS } = require('../publications');
+
+const strategies = Object.fromEntries(builtinStrategies.map(strategy => [strategy.name, strategy]));
+const [bpview, weeklylink] = DEFAULT_PUBLICATIONS;
+
+const pick = (candidates, ...fields) => candidates.map(candidate => Object.fromEntries(fields.map(field => [field, candidate[field]])));
+
+test('strategies are registered by the source types they read', () => {
+    const names = type => getStrategies(type).map(strategy => strategy.name);
+    assert.deepStrictEqual(names('issuu-link'), ['issuu-anchor', 'issuu-embed', 'issuu-regex']);
+    assert.deepStrictEqual(names('issue-number'), ['issue-docs-link', 'issue-text']);
+    assert.deepStrictEqual(names('issuu-profile'), ['issue-docs-link', 'issue-link-text']);
+});
+
+test('issuu-anchor trusts the first document link most', () => {
+    const html = `
+        <a href="https://issuu.com/weeklylink/docs/wl_0612?fr=x">This week's <b>issue</b></a>
+        <a href="https://issuu.com/weeklylink/docs/wl_0605">Last week</a>
+        <a href="https://issuu.com/weeklylink/docs/wl_0612">Again</a>
+        <a href="https://issuu.com/weeklylink">Profile</a>`;
+    assert.deepStrictEqual(pick(strategies['issuu-anchor'].extract(html), 'url', 'title', 'confidence'), [
+        { url: 'https://issuu.com/weeklylink/docs/wl_0612', title: 'This week\'s issue', confidence: 0.9 },
+        { url: 'https://issuu.com/weeklylink/docs/wl_0605', title: 'Last week', confidence: 0.6 }
+    ]);
+    assert.deepStrictEqual(strategies['issuu-anchor'].extract('<a href="/issues">Issues</a>'), []);
+});
+
+test('issuu-embed reads embed parameters and falls back to the src URL', () => {
+    const html = `
+        <iframe src="https://e.issuu.com/embed.html?u=weeklylink&amp;d=wl_0612"></iframe>
+        <iframe src="https://issuu.com/weeklylink/docs/wl_0605?e=1"></iframe>
+        <iframe src="https://issuu.com/embed.html?u=weeklylink"></iframe>`;
+    assert.deepStrictEqual(pick(strategies['issuu-embed'].extract(html), 'url', 'confidence', 'detail'), [
+        { url: 'https://issuu.com/weeklylink/docs/wl_0612', confidence: 0.85, detail: 'embed parameters' },
+        { url: 'https://issuu.com/weeklylink/docs/wl_0605', confidence: 0.8, detail: 'embed src' }
+    ]);
+});
+
+test('issuu-regex finds document URLs anywhere in the source, once each', () => {
+    const html = '<script>var a = "https://issuu.com/weeklylink/docs/wl_0612"; var b = "https://issuu.com/weeklylink/docs/wl_0612";</script>';
+    assert.deepStrictEqual(pick(strategies['issuu-regex'].extract(html), 'url', 'confidence'), [
+        { url: 'https://issuu.com/weeklylink/docs/wl_0612', confidence: 0.4 }
+    ]);
+    assert.deepStrictEqual(strategies['issuu-regex'].extract('<p>No links</p>'), []);
+});
+
+test('issue-docs-link takes the highest issue of the publication\'s own account', () => {
+    const html = `
+        <a href="https://issuu.com/thebpview/docs/issue_296">296</a>
+        <a href="https://issuu.com/thebpview/docs/issue-298">298</a>
+        <a href="https://issuu.com/otherpaper/docs/issue_999">Not ours</a>`;
+    assert.deepStrictEqual(pick(strategies['issue-docs-link'].extract(html, bpview), 'number', 'confidence'), [{ number: 298, confidence: 0.9 }]);
+    assert.deepStrictEqual(strategies['issue-docs-link'].extract(html, weeklylink), []);
+    assert.deepStrictEqual(strategies['issue-docs-link'].extract('<p>Issue 300</p>', bpview), []);
+});
+
+test('issue-docs-link matches the account name literally', () => {
+    const dotted = { ...bpview, issuuAccount: 'the.bp+view' };
+    const html = `
+        <a href="https://issuu.com/theXbpview/docs/issue_500">Lookalike</a>
+        <a href="https://issuu.com/the.bp+view/docs/issue_301">Ours</a>`;
+    assert.deepStrictEqual(pick(strategies['issue-docs-link'].extract(html, dotted), 'number'), [{ number: 301 }]);
+    assert.deepStrictEqual(strategies['issue-docs-link'].extract(html, { ...bpview, issuuAccount: '(' }), []);
+});
+
+test('issue-link-text takes the highest "Issue N" link', () => {
+    const html = '<a href="/a">Issue 296</a><a href="/b">ISSUE 298 - Spring</a><p>Issue 999 is not a link</p>';
+    assert.deepStrictEqual(pick(strategies['issue-link-text'].extract(html), 'number', 'confidence'), [{ number: 298, confidence: 0.7 }]);
+    assert.deepStrictEqual(strategies['issue-link-text'].extract('<a href="/a">Archive</a>'), []);
+});
+
+test('issue-text reads the page text and falls back to slugs in the source', () => {
+    assert.deepStrictEqual(pick(strategies['issue-text'].extract('<body><h1>Issue 305</h1></body>'), 'number', 'confidence'), [{ number: 305, confidence: 0.4 }]);
+    assert.deepStrictEqual(pick(strategies['issue-text'].extract('<body><img src="/covers/issue_304.jpg"></body>'), 'number'), [{ number: 304 }]);
+    assert.deepStrictEqual(strategies['issue-text'].extract('<body>Nothing here</body>'), []);
+});
+
+/**
+ * Resolver for The BP View (issuu.com/thebpview/docs/issue_N)
+ */
+function resolver(t, options) {
+    return new DiscoveryResolver(new IssueTracker(bpview, { config: testConfig(tmpDir(t)) }), options);
+}
+
+test('agreeing candidates outrank a single stronger one', (t) => {
+    const result = resolver(t).resolve([
+        { number: 305, confidence: 0.7, strategy: 'issue-link-text', source: 'profile' },
+        { number: 305, confidence: 0.4, strategy: 'issue-text', source: 'site' },
+        { number: 306, confidence: 0.75, strategy: 'issue-docs-link', source: 'site' }
+    ]);
+    // 1 - 0.3 × 0.6 = 0.82 beats 0.75
+    assert.strictEqual(result.issue.number, 305);
+    assert.strictEqual(result.issue.url, 'https://issuu.com/thebpview/docs/issue_305');
+    assert.strictEqual(result.issue.confidence, 0.82);
+    assert.strictEqual(result.issue.strategy, 'issue-link-text');
+    assert.match(result.explanation, /^issue 305 \(score 0\.82, 2 strategies\) won via issue-link-text on profile\. runners-up: issue 306 \(score 0\.75, 1 strategy\)$/);
+});
+
+test('equal scores go to the higher issue number', (t) => {
+    const result = resolver(t).resolve([
+        { number: 304, confidence: 0.7, strategy: 'a', source: 's' },
+        { url: 'https://issuu.com/thebpview/docs/issue_305', confidence: 0.7, strategy: 'b', source: 's' }
+    ]);
+    assert.strictEqual(result.issue.number, 305);
+});
+
+test('candidates from other accounts or older than the last known issue are rejected', (t) => {
+    const result = resolver(t, { lastKnown: 300 }).resolve([
+        { url: 'https://issuu.com/otherpaper/docs/issue_999', confidence: 0.9, strategy: 'issuu-anchor', source: 's' },
+        { number: 299, confidence: 0.9, strategy: 'issue-docs-link', source: 's' },
+        { number: 301, confidence: 0.4, strategy: 'issue-text', source: 's' }
+    ]);
+    assert.strictEqual(result.issue.number, 301);
+    assert.deepStrictEqual(result.rejected.map(candidate => candidate.rejected), [
+        'belongs to Issuu account "otherpaper"',
+        'older than last known issue 300'
+    ]);
+});
+
+test('no issue is chosen below the minimum score or without candidates', (t) => {
+    const weak = resolver(t, { minScore: 0.5 }).resolve([{ number: 305, confidence: 0.4, strategy: 'issue-text', source: 's' }]);
+    assert.strictEqual(weak.issue, null);
+    assert.match(weak.explanation, /^No issue reached the minimum score 0\.5 \(best issue 305/);
+
+    const none = resolver(t).resolve([]);
+    assert.deepStrictEqual([none.issue, none.score, none.explanation], [null, 0, 'No candidates found']);
+});
+
+test('a dry run reports every source, falls back past a failing one and remembers nothing', async (t) => {
+    const tracker = new IssueTracker(bpview, { config: testConfig(tmpDir(t)) });
+    tracker.rememberIssue(300);
+    t.mock.method(tracker, 'fetchPage', async (url) => {
+        if (url.includes('thebpview.com')) throw new Error('Request failed with status code 503');
+        return '<a href="https://issuu.com/thebpview/docs/issue_301">Issue 301</a><a href="/x">Issue 299</a>';
+    });
+
+    const report = await tracker.dryRun();
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.lastKnown, 300);
+    assert.deepStrictEqual(report.sources, [
+        { url: 'https://www.thebpview.com/current-issue.php', type: 'issue-number', candidates: 0, error: 'Request failed with status code 503' },
+        { url: 'https://issuu.com/thebpview', type: 'issuu-profile', candidates: 2 }
+    ]);
+    assert.deepStrictEqual(pick(report.candidates, 'strategy', 'number'), [
+        { strategy: 'issue-docs-link', number: 301 },
+        { strategy: 'issue-link-text', number: 301 }
+    ]);
+    assert.strictEqual(report.wouldDownload.number, 301);
+    assert.strictEqual(tracker.lastKnownIssue, 300);
+
+    // lastKnown can be overridden for the run
+    const older = await tracker.dryRun({ lastKnown: 302 });
+    assert.strictEqual(older.wouldDownload, null);
+    assert.strictEqual(older.rejected.length, 2);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tmpDir, testConfig } = require('./helpers');
+const DownloadCoordinator = require('../downloadCoordinator');
+const IssuuDownloader = require('../app');
+
+/**
+ * A promise with its resolve function, to hold a task until the test lets it finish
+ */
+function gate() {
+    let open;
+    const promise = new Promise(resolve => { open = resolve; });
+    return { promise, open };
+}
+
+test('callers with the same key share one task and its updates', async () => {
+    const coordinator = new DownloadCoordinator();
+    const finish = gate();
+    let runs = 0;
+    let notify;
+    const task = async (callback) => {
+        runs++;
+        notify = callback;
+        await finish.promise;
+        return 'result';
+    };
+
+    const first = [];
+    const second = [];
+    const a = coordinator.run('url', task, update => first.push(update));
+    await Promise.resolve(); // The task starts on the next tick
+    notify('converting');
+    const b = coordinator.run('url', task, update => second.push(update));
+    notify('downloading');
+    assert.deepStrictEqual(coordinator.getRunning(), ['url']);
+
+    finish.open();
+    assert.deepStrictEqual(await Promise.all([a, b]), ['result', 'result']);
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(first, ['converting', 'downloading']);
+    assert.deepStrictEqual(second, ['downloading']);
+    assert.strictEqual(coordinator.isRunning('url'), false);
+});
+
+test('a failed task is shared too and frees its key', async () => {
+    const coordinator = new DownloadCoordinator();
+    const task = async () => { throw new Error('Boom'); };
+    await Promise.all([
+        assert.rejects(coordinator.run('url', task), /Boom/),
+        assert.rejects(coordinator.run('url', task), /Boom/)
+    ]);
+    assert.deepStrictEqual(coordinator.getRunning(), []);
+});
+
+test('downloads of one URL under another file name are not merged', async (t) => {
+    const downloader = new IssuuDownloader({ config: testConfig(tmpDir(t)) });
+    const finish = gate();
+    const runs = [];
+    t.mock.method(downloader, 'performDownload', async (url, customFileName, options) => {
+        runs.push({ customFileName, trigger: options.trigger });
+        options.onStatus({ state: 'downloading', progress: 50 });
+        await finish.promise;
+        return true;
+    });
+
+    const url = 'https://issuu.com/thebpview/docs/issue_297';
+    const statuses = { cron: [], joined: [], renamed: [] };
+    const downloads = [
+        downloader.downloadDocument(url, null, { trigger: 'cron', onStatus: s => statuses.cron.push(s.progress) }),
+        downloader.downloadDocument(url, null, { trigger: 'on-demand', onStatus: s => statuses.joined.push(s.progress) }),
+        downloader.downloadDocument(url, 'Special Edition', { trigger: 'cli', onStatus: s => statuses.renamed.push(s.progress) })
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+    finish.open();
+
+    assert.deepStrictEqual(await Promise.all(downloads), [true, true, true]);
+    assert.deepStrictEqual(runs, [{ customFileName: null, trigger: 'cron' }, { customFileName: 'Special Edition', trigger: 'cli' }]);
+    // The joining call gets the progress of the download it joined
+    assert.deepStrictEqual(statuses, { cron: [50], joined: [50], renamed: [50] });
+});
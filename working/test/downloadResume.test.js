@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, testConfig, startServer } = require('./helpers');
+const IssuuDownloader = require('../app');
+
+const BODY = Buffer.from(Array.from({ length: 4000 }, (_, i) => i % 251));
+const OTHER = Buffer.alloc(BODY.length, 7); // Another file of the same size
+
+/**
+ * Serves a file, honouring Range requests unless ranges is false
+ * @param {Object} options - { body, etag, ranges, ignoreIfRange }
+ * @returns {Function} - Route handler; handler.headers holds the request headers seen
+ */
+function fileRoute(options) {
+    const handler = (req, res) => {
+        handler.headers.push(req.headers);
+        const body = options.body;
+        const headers = { 'Content-Type': 'application/pdf' };
+        if (options.etag) headers['ETag'] = options.etag;
+
+        const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+        const ifRangeOk = options.ignoreIfRange || !req.headers['if-range'] || req.headers['if-range'] === options.etag;
+        if (match && options.ranges !== false && ifRangeOk) {
+            const start = parseInt(match[1], 10);
+            res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`, 'Content-Length': body.length - start });
+            return res.end(body.subarray(start));
+        }
+        res.writeHead(200, { ...headers, 'Content-Length': body.length });
+        res.end(body);
+    };
+    handler.headers = [];
+    return handler;
+}
+
+/**
+ * Downloader whose retries don't wait, and a partial download of the first 1500 bytes of partialBody
+ */
+function setup(t, state, partialBody = BODY) {
+    const dir = tmpDir(t);
+    const downloader = new IssuuDownloader({ config: testConfig(dir) });
+    downloader.sleep = async () => {};
+    const outputPath = path.join(dir, 'issue.pdf');
+    fs.writeFileSync(`${outputPath}.tmp`, partialBody.subarray(0, 1500));
+    fs.writeFileSync(`${outputPath}.tmp.json`, JSON.stringify({ totalSize: partialBody.length, ...state }));
+    return { downloader, outputPath };
+}
+
+test('a partial download resumes with a Range request', async (t) => {
+    const route = fileRoute({ body: BODY, etag: '"v1"' });
+    const server = await startServer(t, { '/file.pdf': route });
+    const url = `${server.url}/file.pdf`;
+    const { downloader, outputPath } = setup(t, { url, etag: '"v1"' });
+
+    await downloader.downloadFile(url, outputPath);
+    assert.deepStrictEqual(fs.readFileSync(outputPath), BODY);
+    assert.strictEqual(route.headers.length, 1);
+    assert.strictEqual(route.headers[0].range, 'bytes=1500-');
+    assert.strictEqual(route.headers[0]['if-range'], '"v1"');
+    assert.ok(!fs.existsSync(`${outputPath}.tmp.json`));
+});
+
+test('a server answering 200 to the Range request restarts the file', async (t) => {
+    const route = fileRoute({ body: BODY, ranges: false });
+    const server = await startServer(t, { '/file.pdf': route });
+    const url = `${server.url}/file.pdf`;
+    const { downloader, outputPath } = setup(t, { url }, OTHER);
+
+    await downloader.downloadFile(url, outputPath);
+    assert.deepStrictEqual(fs.readFileSync(outputPath), BODY);
+    assert.strictEqual(route.headers[0].range, 'bytes=1500-');
+});
+
+test('a partial of another URL is never appended to', async (t) => {
+    // Same size and no validator: only the URL tells the files apart
+    const route = fileRoute({ body: BODY });
+    const server = await startServer(t, { '/job-2/output.pdf': route });
+    const url = `${server.url}/job-2/output.pdf`;
+    const { downloader, outputPath } = setup(t, { url: `${server.url}/job-1/output.pdf` }, OTHER);
+
+    await downloader.downloadFile(url, outputPath);
+    assert.deepStrictEqual(fs.readFileSync(outputPath), BODY);
+    assert.strictEqual(route.headers.length, 1);
+    assert.strictEqual(route.headers[0].range, undefined);
+});
+
+test('a partial whose ETag changed is discarded and downloaded again', async (t) => {
+    // The server ignores If-Range and answers 206 for the new version
+    const route = fileRoute({ body: BODY, etag: '"v2"', ignoreIfRange: true });
+    const server = await startServer(t, { '/file.pdf': route });
+    const url = `${server.url}/file.pdf`;
+    const { downloader, outputPath } = setup(t, { url, etag: '"v1"' }, OTHER);
+
+    await downloader.downloadFile(url, outputPath);
+    assert.deepStrictEqual(fs.readFileSync(outputPath), BODY);
+    assert.strictEqual(route.headers.length, 2);
+    assert.strictEqual(route.headers[0].range, 'bytes=1500-');
+    assert.strictEqual(route.headers[1].range, undefined);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const EventEmitter = require('events');
+const express = require('express');
+const { startServer } = require('./helpers');
+const { createEventStream } = require('../eventStream');
+
+/**
+ * Opens an event stream; stream.text() is everything received so far
+ */
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            resolve({ res, text: () => text, close: () => req.destroy() });
+        });
+        req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+}
+
+/**
+ * Waits until the stream has received text matching a pattern
+ */
+async function received(stream, pattern) {
+    for (let i = 0; i < 100 && !pattern.test(stream.text()); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.match(stream.text(), pattern);
+}
+
+/**
+ * Serves an event stream of a downloader and a job queue stand-in
+ * @returns {Promise<Object>} - { downloader, jobs, open(query) } (open connects a client)
+ */
+async function serve(t, options) {
+    const downloader = new EventEmitter();
+    const jobs = new EventEmitter();
+    const app = express();
+    app.get('/events', createEventStream([
+        { emitter: downloader, events: ['progress', 'complete'] },
+        { emitter: jobs, events: ['update'], as: { update: 'job' } }
+    ], options));
+    // Streams stay open until closed; close them before the server waits for its connections
+    const streams = [];
+    t.after(() => streams.forEach(stream => stream.close()));
+    const { url } = await startServer(t, { '/events': app });
+    const open = async (query = '') => {
+        const stream = await connect(`${url}/events${query}`);
+        streams.push(stream);
+        return stream;
+    };
+    return { downloader, jobs, open };
+}
+
+test('events are framed with an id, a name and JSON data', async (t) => {
+    const { downloader, jobs, open } = await serve(t);
+    const stream = await open();
+
+    assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream');
+    assert.strictEqual(stream.res.headers['cache-control'], 'no-cache');
+    await received(stream, /^retry: 5000\n\n/);
+
+    downloader.emit('progress', { documentUrl: 'u1', progress: 40 });
+    jobs.emit('update', { url: 'u1', state: 'done' });
+    downloader.emit('ignored', { documentUrl: 'u1' });
+    await received(stream, /event: job\n/);
+
+    const frames = stream.text().split('\n\n').slice(1, -1);
+    assert.strictEqual(frames.length, 2);
+    const [progress, job] = frames.map(frame => frame.split('\n'));
+    assert.deepStrictEqual([progress[0], progress[1]], ['id: 1', 'event: progress']);
+    assert.deepStrictEqual([job[0], job[1]], ['id: 2', 'event: job']);
+    const data = JSON.parse(progress[2].replace(/^data: /, ''));
+    assert.strictEqual(data.progress, 40);
+    assert.ok(!isNaN(Date.parse(data.at)));
+});
+
+test('?url= limits the stream to one document', async (t) => {
+    const { downloader, jobs, open } = await serve(t);
+    const stream = await open(`?url=${encodeURIComponent('https://issuu.com/x/docs/b')}`);
+    await received(stream, /^retry/);
+
+    downloader.emit('progress', { documentUrl: 'https://issuu.com/x/docs/a', progress: 10 });
+    jobs.emit('update', { url: 'https://issuu.com/x/docs/a', state: 'done' });
+    downloader.emit('complete', { documentUrl: 'https://issuu.com/x/docs/b' });
+    await received(stream, /event: complete/);
+    assert.doesNotMatch(stream.text(), /event: (progress|job)/);
+});
+
+test('idle streams get heartbeat comments and closed ones stop listening', async (t) => {
+    const { downloader, jobs, open } = await serve(t, { heartbeatMs: 20 });
+    const stream = await open();
+    await received(stream, /\n: heartbeat\n\n(.|\n)*: heartbeat\n\n/);
+    assert.strictEqual(downloader.listenerCount('progress'), 1);
+
+    stream.close();
+    for (let i = 0; i < 100 && jobs.listenerCount('update') > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(downloader.listenerCount('progress'), 0);
+    assert.strictEqual(jobs.listenerCount('update'), 0);
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { tmpDir } = require('./helpers');
+const { contentDisposition, parseRange, sendFile } = require('../fileServer');
+
+/**
+ * Serves one file through sendFile on a free port
+ * @returns {Promise<Object>} - { url, handled } (sendFile calls that have settled)
+ */
+function serve(t, filePath) {
+    const app = express();
+    const served = { url: null, handled: 0 };
+    app.get('/file', async (req, res) => {
+        await sendFile(req, res, filePath, { fileName: 'big.pdf', contentType: 'application/pdf' });
+        served.handled++;
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            t.after(() => new Promise(done => server.close(done)));
+            served.url = `http://127.0.0.1:${server.address().port}/file`;
+            resolve(served);
+        });
+    });
+}
+
+/**
+ * Open file descriptors of this process on a file (Linux only)
+ */
+function openDescriptors(filePath) {
+    return fs.readdirSync('/proc/self/fd').filter(fd => {
+        try {
+            return fs.readlinkSync(`/proc/self/fd/${fd}`) === filePath;
+        } catch (_) {
+            return false;
+        }
+    }).length;
+}
+
+/**
+ * Starts a request and destroys it once the first bytes of the body arrive
+ */
+function abortAfterFirstChunk(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, { headers }, res => {
+            res.once('data', () => {
+                req.destroy();
+                resolve(res.statusCode);
+            });
+        });
+        req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+}
+
+test('aborted downloads release the file descriptor', { skip: !fs.existsSync('/proc/self/fd') }, async (t) => {
+    const filePath = path.join(tmpDir(t), 'big.pdf');
+    fs.writeFileSync(filePath, Buffer.alloc(8 * 1024 * 1024, 1)); // More than the socket buffers hold
+    const served = await serve(t, filePath);
+
+    for (let i = 0; i < 4; i++) {
+        assert.strictEqual(await abortAfterFirstChunk(served.url), 200);
+    }
+    assert.strictEqual(await abortAfterFirstChunk(served.url, { Range: 'bytes=0-99,4000000-' }), 206);
+
+    // Every sendFile settles once the server sees its connection close
+    for (let i = 0; i < 100 && served.handled < 5; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(served.handled, 5);
+    assert.strictEqual(openDescriptors(filePath), 0);
+});
+
+test('parseRange reads single, suffix and open-ended ranges', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRange('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+    assert.deepStrictEqual(parseRange('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRange('bytes=900-5000', 1000), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRange('bytes=500-599, 0-9', 1000), [{ start: 0, end: 9 }, { start: 500, end: 599 }]);
+});
+
+test('parseRange ignores malformed and inverted headers', () => {
+    assert.strictEqual(parseRange(undefined, 1000), null);
+    assert.strictEqual(parseRange('items=0-9', 1000), null);
+    assert.strictEqual(parseRange('bytes=abc', 1000), null);
+    assert.strictEqual(parseRange('bytes=-', 1000), null);
+    assert.strictEqual(parseRange('bytes=0-9,x-y', 1000), null);
+    assert.strictEqual(parseRange('bytes=50-10', 1000), null);
+});
+
+test('parseRange reports unsatisfiable ranges as -1', () => {
+    assert.strictEqual(parseRange('bytes=1000-', 1000), -1);
+    assert.strictEqual(parseRange('bytes=2000-3000,1500-', 1000), -1);
+    assert.strictEqual(parseRange('bytes=-0', 1000), -1);
+    // Satisfiable parts are still served
+    assert.deepStrictEqual(parseRange('bytes=2000-,0-9', 1000), [{ start: 0, end: 9 }]);
+});
+
+test('parseRange merges overlapping and adjacent ranges', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99,50-149', 1000), [{ start: 0, end: 149 }]);
+    assert.deepStrictEqual(parseRange('bytes=100-199,0-99', 1000), [{ start: 0, end: 199 }]);
+    assert.deepStrictEqual(parseRange('bytes=0-9,20-29,5-24', 1000), [{ start: 0, end: 29 }]);
+    assert.deepStrictEqual(parseRange('bytes=0-9,11-19', 1000), [{ start: 0, end: 9 }, { start: 11, end: 19 }]);
+});
+
+test('parseRange serves the whole file for abusive headers', () => {
+    // Asking for the file many times over
+    assert.strictEqual(parseRange('bytes=0-,0-', 1000), null);
+    assert.strictEqual(parseRange(`bytes=${Array(8).fill('0-499').join(',')}`, 1000), null);
+    // Too many ranges, even small ones
+    assert.strictEqual(parseRange(`bytes=${Array.from({ length: 9 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(',')}`, 1000), null);
+});
+
+test('unsatisfiable ranges get 416 with the file size', async (t) => {
+    const filePath = path.join(tmpDir(t), 'small.pdf');
+    fs.writeFileSync(filePath, Buffer.alloc(100, 1));
+    const served = await serve(t, filePath);
+
+    const response = await fetch(served.url, { headers: { Range: 'bytes=100-' } });
+    assert.strictEqual(response.status, 416);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes */100');
+});
+
+test('overlapping ranges that repeat the file get a plain 200', async (t) => {
+    const filePath = path.join(tmpDir(t), 'small.pdf');
+    fs.writeFileSync(filePath, Buffer.alloc(100 * 1024, 1));
+    const served = await serve(t, filePath);
+
+    const response = await fetch(served.url, { headers: { Range: `bytes=${Array(8).fill('0-').join(',')}` } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.arrayBuffer()).byteLength, 100 * 1024);
+});
+
+test('multiple ranges are sent as multipart/byteranges', async (t) => {
+    const filePath = path.join(tmpDir(t), 'letters.pdf');
+    fs.writeFileSync(filePath, 'abcdefghijklmnopqrstuvwxyz');
+    const served = await serve(t, filePath);
+
+    const response = await fetch(served.url, { headers: { Range: 'bytes=20-22,0-2,1-4' } });
+    assert.strictEqual(response.status, 206);
+    const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(response.headers.get('content-type'))[1];
+    const body = Buffer.from(await response.arrayBuffer()).toString('latin1');
+    assert.strictEqual(parseInt(response.headers.get('content-length'), 10), body.length);
+    assert.strictEqual(body, [
+        `\r\n--${boundary}\r\nContent-Type: application/pdf\r\nContent-Range: bytes 0-4/26\r\n\r\nabcde`,
+        `\r\n--${boundary}\r\nContent-Type: application/pdf\r\nContent-Range: bytes 20-22/26\r\n\r\nuvw`,
+        `\r\n--${boundary}--\r\n`
+    ].join(''));
+});
+
+test('download names keep their spaces and accents', async (t) => {
+    assert.strictEqual(contentDisposition('attachment', 'issue 297.pdf'),
+        'attachment; filename="issue 297.pdf"; filename*=UTF-8\'\'issue%20297.pdf');
+    assert.strictEqual(contentDisposition('inline', 'Café "Spécial" (1).pdf'),
+        'inline; filename="Caf_ _Sp_cial_ (1).pdf"; filename*=UTF-8\'\'Caf%C3%A9%20%22Sp%C3%A9cial%22%20%281%29.pdf');
+
+    const filePath = path.join(tmpDir(t), 'small.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4\n%%EOF\n');
+    const served = await serve(t, filePath);
+    const response = await fetch(served.url);
+    assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="big.pdf"; filename*=UTF-8\'\'big.pdf');
+});
+
+/**
+ * Serves a small file with a known checksum and modification time
+ * @returns {Promise<Object>} - { url, etag, lastModified }
+ */
+async function serveFresh(t) {
+    const filePath = path.join(tmpDir(t), 'letters.pdf');
+    const body = 'abcdefghijklmnopqrstuvwxyz';
+    fs.writeFileSync(filePath, body);
+    const modified = new Date('2025-01-15T09:00:00.500Z');
+    fs.utimesSync(filePath, modified, modified);
+    const served = await serve(t, filePath);
+    const etag = `"${crypto.createHash('sha256').update(body).digest('hex')}"`;
+    return { url: served.url, etag, lastModified: modified.toUTCString() };
+}
+
+test('responses carry the checksum as ETag and the file time as Last-Modified', async (t) => {
+    const { url, etag, lastModified } = await serveFresh(t);
+    const response = await fetch(url);
+    assert.strictEqual(response.headers.get('etag'), etag);
+    assert.strictEqual(response.headers.get('last-modified'), lastModified);
+    assert.strictEqual(lastModified, 'Wed, 15 Jan 2025 09:00:00 GMT');
+});
+
+test('If-None-Match answers 304 for a matching ETag', async (t) => {
+    const { url, etag } = await serveFresh(t);
+    const status = async (headers, method = 'GET') => (await fetch(url, { method, headers })).status;
+
+    for (const header of [etag, `W/${etag}`, `"other", ${etag}`, '*']) {
+        const response = await fetch(url, { headers: { 'If-None-Match': header } });
+        assert.strictEqual(response.status, 304, header);
+        assert.strictEqual(response.headers.get('etag'), etag);
+        assert.strictEqual(response.headers.get('content-disposition'), null);
+        assert.strictEqual((await response.arrayBuffer()).byteLength, 0);
+    }
+    assert.strictEqual(await status({ 'If-None-Match': etag }, 'HEAD'), 304);
+    assert.strictEqual(await status({ 'If-None-Match': '"other"' }), 200);
+});
+
+test('If-Modified-Since answers 304 unless the file changed after that time', async (t) => {
+    const { url, lastModified } = await serveFresh(t);
+    const status = async headers => (await fetch(url, { headers })).status;
+
+    // Last-Modified drops the milliseconds, so its own value is still fresh
+    assert.strictEqual(await status({ 'If-Modified-Since': lastModified }), 304);
+    assert.strictEqual(await status({ 'If-Modified-Since': 'Thu, 16 Jan 2025 00:00:00 GMT' }), 304);
+    assert.strictEqual(await status({ 'If-Modified-Since': 'Wed, 15 Jan 2025 08:59:59 GMT' }), 200);
+    assert.strictEqual(await status({ 'If-Modified-Since': 'not a date' }), 200);
+    // If-None-Match wins when both are sent
+    assert.strictEqual(await status({ 'If-None-Match': '"other"', 'If-Modified-Since': lastModified }), 200);
+});
+
+test('If-Range honours a range only while the validator still matches', async (t) => {
+    const { url, etag, lastModified } = await serveFresh(t);
+    const get = async ifRange => {
+        const response = await fetch(url, { headers: { Range: 'bytes=0-2', 'If-Range': ifRange } });
+        return [response.status, await response.text()];
+    };
+
+    assert.deepStrictEqual(await get(etag), [206, 'abc']);
+    assert.deepStrictEqual(await get(lastModified), [206, 'abc']);
+    // A changed file, a weak ETag (strong comparison only) or another date get the whole file
+    assert.deepStrictEqual(await get('"stale"'), [200, 'abcdefghijklmnopqrstuvwxyz']);
+    assert.deepStrictEqual(await get(`W/${etag}`), [200, 'abcdefghijklmnopqrstuvwxyz']);
+    assert.deepStrictEqual(await get('Tue, 14 Jan 2025 09:00:00 GMT'), [200, 'abcdefghijklmnopqrstuvwxyz']);
+});
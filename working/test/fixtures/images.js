@@ -0,0 +1,29 @@
+/**
+ * JPEG fixtures: a real 1x1 grayscale baseline JPEG, resized by rewriting its
+ * SOF0 header (the PDF writer only reads the header; nothing decodes the pixels)
+ */
+const BASE = Buffer.from(
+    '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////' +
+    '////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/a' +
+    'AAgBAQABPxA=',
+    'base64'
+);
+
+/**
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} - JPEG bytes
+ */
+function jpeg(width = 1, height = 1) {
+    const image = Buffer.from(BASE);
+    for (let i = 2; i + 8 < image.length; i++) {
+        if (image[i] === 0xFF && image[i + 1] >= 0xC0 && image[i + 1] <= 0xC2) {
+            image.writeUInt16BE(height, i + 5);
+            image.writeUInt16BE(width, i + 7);
+            return image;
+        }
+    }
+    throw new Error('Fixture JPEG has no SOF header');
+}
+
+module.exports = { jpeg };
@@ -0,0 +1,214 @@
+/**
+ * PDF fixtures, written byte by byte so each test picks the structure it covers:
+ * a classic cross-reference table or an xref stream (optionally PNG-predicted),
+ * objects stored in an object stream, and incremental updates (/Prev)
+ */
+const zlib = require('zlib');
+
+/**
+ * Serializes an object body: a string, or { dict, data } for a stream
+ * (dict holds the entries besides /Length)
+ */
+function body(value) {
+    if (typeof value === 'string') {
+        return Buffer.from(value, 'latin1');
+    }
+    return Buffer.concat([
+        Buffer.from(`<< ${value.dict || ''} /Length ${value.data.length} >>\nstream\n`, 'latin1'),
+        Buffer.from(value.data),
+        Buffer.from('\nendstream', 'latin1')
+    ]);
+}
+
+/**
+ * Packs objects into an object stream (Flate-compressed)
+ */
+function objectStream(entries) {
+    let header = '';
+    const bodies = [];
+    let offset = 0;
+    for (const [num, value] of entries) {
+        const data = Buffer.from(`${value}\n`, 'latin1');
+        header += `${num} ${offset} `;
+        bodies.push(data);
+        offset += data.length;
+    }
+    const first = Buffer.byteLength(header);
+    const data = Buffer.concat([Buffer.from(header, 'latin1'), ...bodies]);
+    return { dict: `/Type /ObjStm /N ${entries.length} /First ${first} /Filter /FlateDecode`, data: zlib.deflateSync(data) };
+}
+
+/**
+ * Rows of an xref stream with W [1 4 2]; with predict, each row is PNG "Up" filtered
+ */
+function xrefRows(entries, size, predict) {
+    const rowLength = 7;
+    const rows = [];
+    let previous = Buffer.alloc(rowLength);
+    for (let num = 0; num < size; num++) {
+        const entry = entries.get(num) || { type: 0, second: 0, third: num === 0 ? 65535 : 0 };
+        const row = Buffer.alloc(rowLength);
+        row[0] = entry.type;
+        row.writeUInt32BE(entry.second, 1);
+        row.writeUInt16BE(entry.third, 5);
+        if (predict) {
+            const filtered = Buffer.alloc(rowLength + 1);
+            filtered[0] = 2;
+            for (let i = 0; i < rowLength; i++) filtered[i + 1] = (row[i] - previous[i]) & 0xFF;
+            rows.push(filtered);
+        } else {
+            rows.push(row);
+        }
+        previous = row;
+    }
+    return Buffer.concat(rows);
+}
+
+/**
+ * Builds a PDF
+ * @param {Array} objects - [num, body] pairs; body is a string or { dict, data } for a stream
+ * @param {Object} options
+ * @param {string} options.xref - 'table' (default) or 'stream'
+ * @param {number[]} options.compress - Objects stored in an object stream (needs xref 'stream')
+ * @param {boolean} options.predictor - PNG predictor on the xref stream
+ * @param {string} options.trailer - Trailer entries (default: /Root 1 0 R)
+ * @param {string} options.version - Header version (default 1.7)
+ * @param {Buffer} options.base - Earlier revision this one updates (adds /Prev; xref 'table' only)
+ * @param {Function} options.encrypt - (num, data) => data applied to every stream but the xref stream
+ * @returns {Buffer}
+ */
+function buildPdf(objects, options = {}) {
+    const compress = new Set(options.compress || []);
+    const trailer = options.trailer || '/Root 1 0 R';
+    const chunks = [];
+    let length = 0;
+    const push = (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+    };
+
+    let prev = null;
+    if (options.base) {
+        push(options.base);
+        prev = startxrefOf(options.base);
+    } else {
+        push(Buffer.from(`%PDF-${options.version || '1.7'}\n%\xE2\xE3\xCF\xD3\n`, 'latin1'));
+    }
+
+    const entries = new Map(); // num -> { type, second, third }
+    let size = Math.max(0, ...objects.map(([num]) => num)) + 1;
+    const write = (num, value, plain) => {
+        if (options.encrypt && typeof value !== 'string' && !plain) {
+            value = { ...value, data: options.encrypt(num, value.data) };
+        }
+        entries.set(num, { type: 1, second: length, third: 0 });
+        push(Buffer.concat([Buffer.from(`${num} 0 obj\n`, 'latin1'), body(value), Buffer.from('\nendobj\n', 'latin1')]));
+    };
+
+    for (const [num, value] of objects) {
+        if (!compress.has(num)) write(num, value);
+    }
+    if (compress.size > 0) {
+        const streamNum = size++;
+        const packed = objects.filter(([num]) => compress.has(num));
+        write(streamNum, objectStream(packed));
+        packed.forEach(([num], index) => entries.set(num, { type: 2, second: streamNum, third: index }));
+    }
+
+    const xrefOffset = length;
+    const prevEntry = prev !== null ? ` /Prev ${prev}` : '';
+    if (options.xref === 'stream') {
+        const xrefNum = size++;
+        entries.set(xrefNum, { type: 1, second: xrefOffset, third: 0 });
+        const params = options.predictor ? ' /DecodeParms << /Predictor 12 /Columns 7 >>' : '';
+        write(xrefNum, {
+            dict: `/Type /XRef /Size ${size} /W [1 4 2] /Filter /FlateDecode${params} ${trailer}`,
+            data: zlib.deflateSync(xrefRows(entries, size, options.predictor))
+        }, true);
+    } else {
+        let table = 'xref\n';
+        if (!options.base) {
+            table += `0 ${size}\n0000000000 65535 f \n`;
+            for (let num = 1; num < size; num++) {
+                const entry = entries.get(num);
+                table += entry ? `${String(entry.second).padStart(10, '0')} 00000 n \n` : '0000000000 00000 f \n';
+            }
+        } else {
+            for (const num of Array.from(entries.keys()).sort((a, b) => a - b)) {
+                table += `${num} 1\n${String(entries.get(num).second).padStart(10, '0')} 00000 n \n`;
+            }
+        }
+        push(Buffer.from(`${table}trailer\n<< /Size ${size} ${trailer}${prevEntry} >>\n`, 'latin1'));
+    }
+
+    push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * ASCII85-encodes bytes (with the ~> end marker), for ASCII85Decode streams
+ */
+function ascii85(data) {
+    let text = '';
+    for (let i = 0; i < data.length; i += 4) {
+        const chunk = Buffer.alloc(4);
+        data.copy(chunk, 0, i, i + 4);
+        const count = Math.min(4, data.length - i);
+        let value = chunk.readUInt32BE(0);
+        if (value === 0 && count === 4) {
+            text += 'z';
+            continue;
+        }
+        const digits = [];
+        for (let j = 0; j < 5; j++) {
+            digits.unshift(String.fromCharCode(33 + (value % 85)));
+            value = Math.floor(value / 85);
+        }
+        text += digits.slice(0, count + 1).join('');
+    }
+    return Buffer.from(`${text}~>`, 'latin1');
+}
+
+function startxrefOf(buffer) {
+    const text = buffer.toString('latin1');
+    return parseInt(text.slice(text.lastIndexOf('startxref') + 9), 10);
+}
+
+/**
+ * Objects of a two-page document: catalog 1, page tree 2 (US Letter media box,
+ * inherited), pages 3 and 4 (A5-ish, rotated), their content streams 5 and 6,
+ * font 7 and info dictionary 8
+ * @param {Object} options - { contents: [stream, stream] } to replace the page contents
+ * @returns {Array} - [num, body] pairs for buildPdf
+ */
+function sampleObjects(options = {}) {
+    const contents = options.contents || [
+        { data: Buffer.from('BT /F1 12 Tf 72 700 Td (Hello) Tj ET') },
+        { data: Buffer.from('BT /F1 12 Tf 72 500 Td (World) Tj ET') }
+    ];
+    return [
+        [1, '<< /Type /Catalog /Pages 2 0 R >>'],
+        [2, '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> >>'],
+        [3, '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>'],
+        [4, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 420 595] /Rotate 90 /Contents 6 0 R >>'],
+        [5, contents[0]],
+        [6, contents[1]],
+        [7, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'],
+        [8, '<< /Title (Sample Issue) /Producer (Fixture) /CreationDate (D:20250115100000+01\'00\') >>']
+    ];
+}
+
+/**
+ * The sample document, ready to parse
+ * @param {Object} options - buildPdf options plus sampleObjects options
+ */
+function samplePdf(options = {}) {
+    return buildPdf(sampleObjects(options), { trailer: '/Root 1 0 R /Info 8 0 R', ...options });
+}
+
+module.exports = {
+    ascii85,
+    buildPdf,
+    sampleObjects,
+    samplePdf
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, testConfig } = require('./helpers');
+const HealthMonitor = require('../healthMonitor');
+const { PublicationRegistry } = require('../publications');
+
+test('readiness creates missing folders and needs no upstream', (t) => {
+    const dir = tmpDir(t);
+    const health = new HealthMonitor({ config: testConfig(dir) });
+
+    assert.deepStrictEqual(health.readiness(), {
+        status: 'ok',
+        checks: { data: { status: 'ok' }, downloads: { status: 'ok' } }
+    });
+    assert.ok(fs.existsSync(path.join(dir, 'data')));
+    assert.ok(fs.existsSync(path.join(dir, 'downloads')));
+});
+
+test('readiness is unhealthy when a folder cannot be created', (t) => {
+    const dir = tmpDir(t);
+    fs.writeFileSync(path.join(dir, 'file'), '');
+    const health = new HealthMonitor({ config: testConfig(dir), dataDir: path.join(dir, 'file', 'data') });
+
+    const readiness = health.readiness();
+    assert.strictEqual(readiness.status, 'unhealthy');
+    assert.strictEqual(readiness.checks.data.status, 'unhealthy');
+    assert.strictEqual(readiness.checks.downloads.status, 'ok');
+});
+
+test('cron weekday fields with lists, ranges, steps and names', () => {
+    assert.deepStrictEqual(HealthMonitor.weekdays('3'), [3]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('1-5'), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('1,4'), [1, 4]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('*/2'), [0, 2, 4, 6]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('1-5/2'), [1, 3, 5]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('mon-fri'), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('Sat-Sun'), [0, 6]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('7'), [0]);
+    assert.deepStrictEqual(HealthMonitor.weekdays('1-x'), []);
+});
+
+test('expected cadence follows the schedule unless the publication sets cadenceDays', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const cadence = (cron, extra = {}) => HealthMonitor.expectedCadence({ schedule: [{ cron, action: 'download' }], ...extra });
+
+    assert.strictEqual(cadence('0 1 * * *'), day);
+    assert.strictEqual(cadence('0 9 * * 3'), 7 * day);
+    // Weekdays only: Friday to Monday is the longest wait
+    assert.strictEqual(cadence('0 9 * * 1-5'), 3 * day);
+    assert.strictEqual(cadence('0 9 * * 1,4'), 4 * day);
+    assert.strictEqual(cadence('0 9 1 * *'), 31 * day);
+    assert.strictEqual(cadence('0 1 * * *', { cadenceDays: 7 }), 7 * day);
+});
+
+test('a weekly publication checked daily stays healthy between issues', (t) => {
+    const dir = tmpDir(t);
+    const health = new HealthMonitor({ config: testConfig(dir) });
+    const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString();
+    const publication = new PublicationRegistry({ config: testConfig(dir) }).get('weeklylink');
+
+    const check = health.checkDownloads({ publication, store: { latest: () => ({ downloadedAt: fourDaysAgo }) } });
+    assert.strictEqual(check.status, 'ok');
+    assert.strictEqual(check.expectedCadenceHours, 7 * 24);
+});
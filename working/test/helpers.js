@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Tests must not write log files into the working copy
+process.env.LOG_DIR = 'off';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { loadConfig } = require('../config');
+
+/**
+ * Creates a temporary directory, removed when the test finishes
+ * @param {Object} t - node:test context
+ */
+function tmpDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-downloader-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Configuration for a test: defaults plus overrides, with every path inside dir
+ */
+function testConfig(dir, overrides = {}) {
+    return loadConfig({
+        env: {},
+        overrides: {
+            ...overrides,
+            paths: { downloads: path.join(dir, 'downloads'), cache: path.join(dir, 'cache'), data: path.join(dir, 'data') },
+            logging: { dir: 'off', level: 'error' }
+        }
+    });
+}
+
+/**
+ * Starts a stand-in HTTP server on a free port, closed when the test finishes
+ * @param {Object} t - node:test context
+ * @param {Object} routes - Path => { status, type, body } or (req, res) handler
+ * @returns {Promise<Object>} - { url, requests } (paths requested, in order)
+ */
+function startServer(t, routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const route = routes[req.url.split('?')[0]];
+        if (typeof route === 'function') {
+            return route(req, res);
+        }
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(route.status || 200, { 'Content-Type': route.type || 'application/octet-stream' });
+        res.end(route.body);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            t.after(() => new Promise(done => server.close(done)));
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, requests });
+        });
+    });
+}
+
+module.exports = {
+    tmpDir,
+    testConfig,
+    startServer
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { tmpDir } = require('./helpers');
+const HistoryLedger = require('../historyLedger');
+
+/**
+ * A ledger with one attempt per day of January 2025, alternating outcomes and publications
+ */
+function seededLedger(t, days = 31) {
+    const ledger = new HistoryLedger({ dataDir: tmpDir(t) });
+    for (let day = 1; day <= days; day++) {
+        ledger.append({
+            publication: day % 2 ? 'bpview' : 'weeklylink',
+            trigger: day % 3 ? 'cron' : 'refresh',
+            outcome: day % 2 ? 'success' : 'failure',
+            finishedAt: `2025-01-${String(day).padStart(2, '0')}T09:00:00.000Z`
+        });
+    }
+    return ledger;
+}
+
+const days = attempts => attempts.map(attempt => new Date(attempt.finishedAt).getUTCDate());
+
+test('query returns attempts newest first, filtered and limited', (t) => {
+    const ledger = seededLedger(t);
+
+    assert.deepStrictEqual(days(ledger.query({ limit: 3 })), [31, 30, 29]);
+    assert.deepStrictEqual(days(ledger.query({ from: '2025-01-28' })), [31, 30, 29, 28]);
+    assert.deepStrictEqual(days(ledger.query({ to: '2025-01-02' })), [2, 1]);
+    assert.deepStrictEqual(days(ledger.query({ from: '2025-01-10', to: '2025-01-15', outcome: 'failure' })), [14, 12, 10]);
+    assert.deepStrictEqual(days(ledger.query({ publication: 'weeklylink', trigger: 'refresh', limit: 2 })), [30, 24]);
+    assert.strictEqual(ledger.query().length, 31);
+
+    assert.throws(() => ledger.query({ outcome: 'maybe' }), /Invalid outcome/);
+    assert.throws(() => ledger.query({ from: 'yesterday' }), /Invalid from date/);
+    assert.throws(() => ledger.query({ limit: '0' }), /Invalid limit/);
+});
+
+test('query reads only as far back as it needs', (t) => {
+    const ledger = seededLedger(t);
+    const parse = t.mock.method(JSON, 'parse');
+
+    ledger.query({ limit: 2 });
+    assert.strictEqual(parse.mock.callCount(), 2);
+
+    parse.mock.resetCalls();
+    ledger.query({ from: '2025-01-30' });
+    assert.strictEqual(parse.mock.callCount(), 3); // 31, 30 and 29, which ends the scan
+});
+
+test('lines are read back intact across chunks, skipping a cut last line', (t) => {
+    const ledger = new HistoryLedger({ dataDir: tmpDir(t) });
+    // Long multi-byte error messages put chunk boundaries inside lines and characters
+    const error = 'Délai dépassé – '.repeat(500);
+    for (let i = 0; i < 40; i++) {
+        ledger.append({ url: `https://issuu.com/x/docs/issue_${i}`, outcome: 'failure', error });
+    }
+    fs.appendFileSync(ledger.filePath, '{"id":"cut sh');
+
+    const attempts = ledger.query({ limit: 100 });
+    assert.strictEqual(attempts.length, 40);
+    assert.strictEqual(attempts[0].url, 'https://issuu.com/x/docs/issue_39');
+    assert.strictEqual(attempts[39].url, 'https://issuu.com/x/docs/issue_0');
+    assert.ok(attempts.every(attempt => attempt.error === error));
+});
+
+test('an empty or missing ledger has no attempts', (t) => {
+    const ledger = new HistoryLedger({ dataDir: tmpDir(t) });
+    assert.deepStrictEqual(ledger.query(), []);
+    fs.writeFileSync(ledger.filePath, '');
+    assert.deepStrictEqual(ledger.query(), []);
+});
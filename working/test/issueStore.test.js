@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers');
+const IssueStore = require('../issueStore');
+const { samplePdf } = require('./fixtures/pdfs');
+
+const PUBLICATION = { id: 'bpview', name: 'The BP View' };
+
+test('records issues with their PDF metadata', async (t) => {
+    const dir = tmpDir(t);
+    const filePath = path.join(dir, 'issue 297.pdf');
+    fs.writeFileSync(filePath, samplePdf());
+
+    const store = new IssueStore({ dir, publication: PUBLICATION });
+    const record = await store.record({ number: 297, slug: 'issue_297' }, filePath);
+    assert.strictEqual(record.title, 'The BP View – Issue 297');
+    assert.strictEqual(record.pdf.pageCount, 2);
+    assert.strictEqual(record.pdf.title, 'Sample Issue');
+
+    // Files that can't be parsed are recorded without metadata
+    fs.writeFileSync(path.join(dir, 'issue 298.pdf'), '<html>Not found</html>');
+    const broken = await store.record({ number: 298, slug: 'issue_298' }, path.join(dir, 'issue 298.pdf'));
+    assert.strictEqual(broken.pdf, null);
+});
+
+test('adds metadata to records stored before it existed', async (t) => {
+    const dir = tmpDir(t);
+    fs.writeFileSync(path.join(dir, 'issue 296.pdf'), samplePdf());
+    fs.writeFileSync(path.join(dir, 'issues.json'), JSON.stringify([
+        { publication: 'bpview', number: 296, slug: 'issue_296', fileName: 'issue 296.pdf', filePath: path.join(dir, 'issue 296.pdf') },
+        { publication: 'bpview', number: 295, slug: 'issue_295', fileName: 'issue 295.pdf', filePath: path.join(dir, 'issue 295.pdf') }
+    ]));
+
+    const store = new IssueStore({ dir, publication: PUBLICATION });
+    assert.strictEqual(await store.addMissingMetadata(), 1);
+    assert.strictEqual(store.find(296).pdf.pageCount, 2);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'issues.json'), 'utf8'));
+    assert.strictEqual(saved[0].pdf.title, 'Sample Issue');
+    assert.strictEqual(await store.addMissingMetadata(), 0);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, testConfig, startServer } = require('./helpers');
+const { jpeg } = require('./fixtures/images');
+const IssuuDownloader = require('../app');
+const { validatePdf } = require('../pdfValidator');
+const { extractMetadata } = require('../pdfMetadata');
+
+const DOCUMENT_URL = 'https://issuu.com/acme/docs/issue_7';
+
+/**
+ * Downloader using only the native provider, reading manifests from a stand-in server
+ */
+function nativeDownloader(dir, server) {
+    const downloader = new IssuuDownloader({
+        config: testConfig(dir),
+        providers: ['native'],
+        providerOptions: { native: { manifestUrl: `${server.url}/{account}/{slug}/reader3_4.json` } }
+    });
+    downloader.outputDir = path.join(dir, 'downloads');
+    return downloader;
+}
+
+function manifest(pages, title = 'Acme Weekly 7') {
+    return { body: JSON.stringify({ document: { title, pages } }), type: 'application/json' };
+}
+
+test('native provider assembles the manifest page images into a PDF', async (t) => {
+    const dir = tmpDir(t);
+    const server = await startServer(t, {
+        '/acme/issue_7/reader3_4.json': manifest([{ imageUri: '/pages/1.jpg' }, { imageUri: '/pages/2.jpg' }]),
+        '/pages/1.jpg': { body: jpeg(600, 800), type: 'image/jpeg' },
+        '/pages/2.jpg': { body: jpeg(800, 600), type: 'image/jpeg' }
+    });
+    const downloader = nativeDownloader(dir, server);
+
+    const completed = [];
+    downloader.on('complete', event => completed.push(event));
+    assert.strictEqual(await downloader.downloadDocument(DOCUMENT_URL), true);
+
+    const outputPath = downloader.getOutputPath(DOCUMENT_URL);
+    assert.deepStrictEqual(completed.map(event => event.provider), ['native']);
+    assert.strictEqual(completed[0].outputPath, outputPath);
+    assert.deepStrictEqual(server.requests, ['/acme/issue_7/reader3_4.json', '/pages/1.jpg', '/pages/2.jpg']);
+
+    const validation = validatePdf(outputPath);
+    assert.strictEqual(validation.valid, true, validation.errors.join('; '));
+    assert.strictEqual(validation.pageCount, 2);
+
+    const metadata = extractMetadata(outputPath);
+    assert.strictEqual(metadata.title, 'Acme Weekly 7');
+    assert.deepStrictEqual(metadata.pageSizes, [
+        { width: 600, height: 800, pages: 1 },
+        { width: 800, height: 600, pages: 1 }
+    ]);
+});
+
+test('native provider fails without leaving a file when a page is missing', async (t) => {
+    const dir = tmpDir(t);
+    const server = await startServer(t, {
+        '/acme/issue_7/reader3_4.json': manifest([{ imageUri: '/pages/1.jpg' }, { imageUri: '/pages/2.jpg' }]),
+        '/pages/1.jpg': { body: jpeg(600, 800), type: 'image/jpeg' }
+    });
+    const downloader = nativeDownloader(dir, server);
+
+    const failures = [];
+    downloader.on('failed', event => failures.push(event));
+    assert.strictEqual(await downloader.downloadDocument(DOCUMENT_URL), false);
+
+    assert.match(failures[0].error, /native: Error fetching page .*\/pages\/2\.jpg: 404/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'downloads')), []);
+});
+
+test('native provider rejects a manifest without pages', async (t) => {
+    const dir = tmpDir(t);
+    const server = await startServer(t, {
+        '/acme/issue_7/reader3_4.json': manifest([])
+    });
+    const downloader = nativeDownloader(dir, server);
+
+    const failures = [];
+    downloader.on('failed', event => failures.push(event));
+    assert.strictEqual(await downloader.downloadDocument(DOCUMENT_URL), false);
+    assert.match(failures[0].error, /Manifest contains no pages/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers');
+const JobQueue = require('../jobQueue');
+
+const readJobs = dir => JSON.parse(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'));
+
+test('jobs are written to disk and read back by the next queue', (t) => {
+    const dir = tmpDir(t);
+    const queue = new JobQueue({ dataDir: dir });
+    const job = queue.enqueue({ url: 'https://issuu.com/x/docs/issue_297', issueNumber: 297 });
+
+    // The same URL while the job is active is the same job
+    assert.strictEqual(queue.enqueue({ url: 'https://issuu.com/x/docs/issue_297' }), job);
+    assert.deepStrictEqual(readJobs(dir).map(saved => saved.id), [job.id]);
+    assert.ok(!fs.existsSync(path.join(dir, 'jobs.json.tmp')));
+
+    const reloaded = new JobQueue({ dataDir: dir });
+    assert.deepStrictEqual(reloaded.get(job.id), job);
+});
+
+test('jobs a restart interrupted are queued again and run', async (t) => {
+    const dir = tmpDir(t);
+    const saved = [
+        { id: 'a', url: 'u1', state: 'done', progress: 100 },
+        { id: 'b', url: 'u2', state: 'downloading', progress: 40 },
+        { id: 'c', url: 'u3', state: 'queued', progress: 0 }
+    ];
+    fs.writeFileSync(path.join(dir, 'jobs.json'), JSON.stringify(saved));
+
+    const ran = [];
+    const queue = new JobQueue({ dataDir: dir, handler: async job => ran.push(job.id) });
+    const resumed = queue.get('b');
+    assert.strictEqual(resumed.state, 'queued');
+    assert.strictEqual(resumed.progress, 0);
+    assert.ok(resumed.resumedAt);
+    assert.strictEqual(readJobs(dir)[1].state, 'queued');
+
+    await queue.waitFor('c');
+    assert.deepStrictEqual(ran, ['b', 'c']);
+    assert.deepStrictEqual(readJobs(dir).map(job => job.state), ['done', 'done', 'done']);
+});
+
+test('jobs run one at a time in the order they were queued', async (t) => {
+    let running = 0;
+    const events = [];
+    const queue = new JobQueue({
+        dataDir: tmpDir(t),
+        handler: async (job) => {
+            running++;
+            events.push(`start ${job.issueNumber} (${running} running)`);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            if (job.issueNumber === 2) throw new Error('Not found');
+            return { issueNumber: job.issueNumber };
+        }
+    });
+
+    const ids = [1, 2, 3].map(issueNumber => queue.enqueue({ url: `u${issueNumber}`, issueNumber }).id);
+    const finished = await Promise.all(ids.map(id => queue.waitFor(id)));
+
+    assert.deepStrictEqual(events, ['start 1 (1 running)', 'start 2 (1 running)', 'start 3 (1 running)']);
+    assert.deepStrictEqual(finished.map(job => job.state), ['done', 'failed', 'done']);
+    assert.strictEqual(finished[1].error, 'Not found');
+    assert.deepStrictEqual(queue.list().map(job => job.issueNumber), [3, 2, 1]);
+});
+
+test('progress updates are batched while state changes are written at once', async (t) => {
+    const dir = tmpDir(t);
+    const queue = new JobQueue({ dataDir: dir, saveDelayMs: 50 });
+    const job = queue.enqueue({ url: 'u1' });
+    const writes = t.mock.method(fs, 'writeFileSync');
+
+    queue.update(job.id, { state: 'downloading' });
+    assert.strictEqual(writes.mock.callCount(), 1);
+    assert.strictEqual(readJobs(dir)[0].state, 'downloading');
+
+    for (let progress = 1; progress <= 50; progress++) {
+        queue.update(job.id, { state: 'downloading', progress });
+    }
+    assert.strictEqual(writes.mock.callCount(), 1);
+    assert.strictEqual(readJobs(dir)[0].progress, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(writes.mock.callCount(), 2);
+    assert.strictEqual(readJobs(dir)[0].progress, 50);
+
+    // A state change writes the pending progress along with it
+    queue.update(job.id, { progress: 60 });
+    queue.update(job.id, { state: 'validating' });
+    assert.strictEqual(writes.mock.callCount(), 3);
+    assert.deepStrictEqual([readJobs(dir)[0].state, readJobs(dir)[0].progress], ['validating', 60]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(writes.mock.callCount(), 3);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { tmpDir, startServer } = require('./helpers');
+const { LogFile, requestLogger } = require('../logger');
+
+function closeStream(stream) {
+    return new Promise(resolve => (stream.writableFinished ? resolve() : stream.end(resolve)));
+}
+
+test('log files rotate by size and continue the day\'s last file', async (t) => {
+    const dir = tmpDir(t);
+    const today = new Date().toISOString().split('T')[0];
+
+    const file = new LogFile({ dir, maxSize: 20, retentionDays: 14 });
+    file.write('first line of the day');
+    const first = file.stream;
+    file.write('second');
+    await Promise.all([closeStream(first), closeStream(file.stream)]);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [`app-${today}.1.log`, `app-${today}.log`]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, `app-${today}.1.log`), 'utf8'), 'second\n');
+
+    // A restart appends to the file that still has room
+    const restarted = new LogFile({ dir, maxSize: 20, retentionDays: 14 });
+    restarted.write('third');
+    await closeStream(restarted.stream);
+    assert.strictEqual(fs.readFileSync(path.join(dir, `app-${today}.1.log`), 'utf8'), 'second\nthird\n');
+});
+
+test('only the logger\'s own expired files are removed', async (t) => {
+    const dir = tmpDir(t);
+    for (const name of ['app-2000-01-01.log', 'app-2000-01-01.1.log', 'download-2000-01-01.log', 'notes-2000-01-01.log']) {
+        fs.writeFileSync(path.join(dir, name), 'old\n');
+    }
+    const recent = `app-${new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]}.log`;
+    fs.writeFileSync(path.join(dir, recent), 'recent\n');
+
+    const file = new LogFile({ dir, maxSize: 1024, retentionDays: 14 });
+    file.write('line');
+    await closeStream(file.stream);
+
+    const names = fs.readdirSync(dir);
+    assert.ok(!names.includes('app-2000-01-01.log'));
+    assert.ok(!names.includes('app-2000-01-01.1.log'));
+    for (const kept of ['download-2000-01-01.log', 'notes-2000-01-01.log', recent]) {
+        assert.ok(names.includes(kept), kept);
+    }
+});
+
+test('request ids from clients are kept only when they look like ids', async (t) => {
+    const contexts = [];
+    const silent = { info() {}, warn() {}, error() {} };
+    const logger = { child: context => (contexts.push(context), silent) };
+    const app = express();
+    app.use(requestLogger(logger));
+    app.get('/ping', (req, res) => res.json({ id: req.id }));
+    const { url } = await startServer(t, { '/ping': app });
+
+    const idFor = async (headers) => {
+        const response = await fetch(`${url}/ping`, { headers });
+        const { id } = await response.json();
+        assert.strictEqual(response.headers.get('x-request-id'), id);
+        return id;
+    };
+    const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    assert.strictEqual(await idFor({ 'X-Request-Id': 'edge-01.a_b' }), 'edge-01.a_b');
+    assert.match(await idFor({}), uuid);
+    for (const bad of ['two words', 'x'.repeat(65), 'id=1 level=error', '<script>']) {
+        assert.match(await idFor({ 'X-Request-Id': bad }), uuid, bad);
+    }
+    assert.strictEqual(contexts[0].requestId, 'edge-01.a_b');
+    assert.strictEqual(contexts.length, 6);
+});
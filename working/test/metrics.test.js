@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const metrics = require('../metrics');
+
+/**
+ * An app mounted like the API: a router under a parameterized path and under a
+ * fixed one, an unknown-id guard answering inside the mount, and a later route
+ */
+function listen(t) {
+    const router = express.Router();
+    router.get('/issues/:issueNumber', (req, res) => res.json({ ok: true }));
+
+    const app = express();
+    app.use(metrics.httpMetrics());
+    app.use('/api/publications/:id', metrics.mountedAt('/api/publications/:id'), (req, res, next) => {
+        if (req.params.id !== 'bpview') {
+            return res.status(404).json({ error: 'Publication not found' });
+        }
+        next();
+    }, router);
+    app.use('/api', metrics.mountedAt('/api'), router);
+    app.get('/api/health', (req, res) => res.json({ ok: true }));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            t.after(() => new Promise(done => server.close(done)));
+            resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+    });
+}
+
+function routeLabels() {
+    const routes = new Set();
+    for (const { labels } of metrics.registry.get('issue_downloader_http_request_duration_seconds').values.values()) {
+        routes.add(labels.route);
+    }
+    return Array.from(routes).sort();
+}
+
+test('routes are labelled with their declared patterns', async (t) => {
+    const base = await listen(t);
+    for (const url of ['/api/publications/bpview/issues/297', '/api/issues/298', '/api/health', '/api/publications/bpview/nothing', '/elsewhere']) {
+        await (await fetch(`${base}${url}`)).arrayBuffer();
+    }
+
+    assert.deepStrictEqual(routeLabels(), [
+        '/api/health',
+        '/api/issues/:issueNumber',
+        '/api/publications/:id/issues/:issueNumber',
+        'unmatched'
+    ]);
+});
+
+test('unknown publication ids do not add label values', async (t) => {
+    const base = await listen(t);
+    await (await fetch(`${base}/api/publications/first/issues/1`)).arrayBuffer();
+    const labels = routeLabels();
+    assert.ok(labels.includes('/api/publications/:id'));
+
+    for (let i = 0; i < 20; i++) {
+        const response = await fetch(`${base}/api/publications/unknown-${i}/issues/${i}`);
+        assert.strictEqual(response.status, 404);
+        await response.arrayBuffer();
+    }
+    assert.deepStrictEqual(routeLabels(), labels);
+    assert.doesNotMatch(metrics.registry.render(), /unknown-/);
+});
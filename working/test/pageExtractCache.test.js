@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers');
+const PageExtractCache = require('../pageExtractCache');
+const { extractMetadata } = require('../pdfMetadata');
+const { samplePdf } = require('./fixtures/pdfs');
+
+test('builds an extract once and serves it from the cache afterwards', async (t) => {
+    const dir = tmpDir(t);
+    const sourcePath = path.join(dir, 'issue 297.pdf');
+    fs.writeFileSync(sourcePath, samplePdf());
+    const cache = new PageExtractCache({ cacheDir: path.join(dir, 'extracts'), maxFiles: 1 });
+
+    // Simultaneous requests share one build
+    const [first, second] = await Promise.all([cache.get(sourcePath, [2]), cache.get(sourcePath, [2])]);
+    assert.strictEqual(first, second);
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(first.range, '2');
+    assert.strictEqual(extractMetadata(first.filePath).pageCount, 1);
+
+    const again = await cache.get(sourcePath, [2]);
+    assert.deepStrictEqual(again, { ...first, cached: true });
+
+    // Beyond maxFiles the least recently used extract goes
+    const other = await cache.get(sourcePath, [1, 2]);
+    assert.strictEqual(other.range, '1-2');
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'extracts')), [path.basename(other.filePath)]);
+});
+
+test('a failed build leaves no file behind', async (t) => {
+    const dir = tmpDir(t);
+    const sourcePath = path.join(dir, 'broken.pdf');
+    fs.writeFileSync(sourcePath, '<html>Not found</html>');
+    const cache = new PageExtractCache({ cacheDir: path.join(dir, 'extracts'), maxFiles: 5 });
+
+    await assert.rejects(cache.get(sourcePath, [1]), /Missing %PDF header/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'extracts')), []);
+});
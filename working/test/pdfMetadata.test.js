@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractMetadata } = require('../pdfMetadata');
+const { buildPdf, sampleObjects, samplePdf } = require('./fixtures/pdfs');
+
+const XMP = `<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+  xmlns:xmp="http://ns.adobe.com/xap/1.0/" pdf:Producer="XMP Producer">
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Issue 12 &amp; more</rdf:li></rdf:Alt></dc:title>
+<xmp:CreateDate>2025-02-01T08:30:00Z</xmp:CreateDate>
+</rdf:Description></rdf:RDF></x:xmpmeta>
+<?xpacket end="w"?>`;
+
+test('reads the info dictionary and page sizes', () => {
+    const metadata = extractMetadata(samplePdf());
+    assert.strictEqual(metadata.version, '1.7');
+    assert.strictEqual(metadata.pageCount, 2);
+    assert.strictEqual(metadata.title, 'Sample Issue');
+    assert.strictEqual(metadata.producer, 'Fixture');
+    assert.strictEqual(metadata.creationDate, '2025-01-15T09:00:00.000Z');
+    assert.deepStrictEqual(metadata.pageSize, { width: 612, height: 792 });
+    // The second page is rotated by 90 degrees
+    assert.deepStrictEqual(metadata.pageSizes, [
+        { width: 612, height: 792, pages: 1 },
+        { width: 595, height: 420, pages: 1 }
+    ]);
+});
+
+test('reads the same metadata from compressed objects', () => {
+    const compressed = extractMetadata(samplePdf({ xref: 'stream', predictor: true, compress: [1, 2, 3, 4, 7, 8] }));
+    assert.deepStrictEqual(compressed, extractMetadata(samplePdf()));
+});
+
+test('falls back to the XMP packet without an info dictionary', () => {
+    const objects = sampleObjects()
+        .filter(([num]) => num !== 8)
+        .map(([num, body]) => [num, num === 1 ? '<< /Type /Catalog /Pages 2 0 R /Metadata 9 0 R >>' : body])
+        .concat([[9, { dict: '/Type /Metadata /Subtype /XML', data: Buffer.from(XMP) }]]);
+    const metadata = extractMetadata(buildPdf(objects));
+    assert.strictEqual(metadata.title, 'Issue 12 & more');
+    assert.strictEqual(metadata.producer, 'XMP Producer');
+    assert.strictEqual(metadata.creationDate, '2025-02-01T08:30:00.000Z');
+});
+
+test('prefers the crop box to the media box', () => {
+    const objects = sampleObjects().map(([num, body]) => [num, num === 3 ? '<< /Type /Page /Parent 2 0 R /CropBox [18 18 594.5 774] /Contents 5 0 R >>' : body]);
+    assert.deepStrictEqual(extractMetadata(buildPdf(objects)).pageSize, { width: 576.5, height: 756 });
+});
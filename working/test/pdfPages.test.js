@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePageRange, formatPageRange, extractPages } = require('../pdfPages');
+const { validatePdf } = require('../pdfValidator');
+const { extractMetadata } = require('../pdfMetadata');
+const { extractText } = require('../pdfText');
+const { PdfDocument } = require('../pdfReader');
+const { buildPdf, sampleObjects, samplePdf } = require('./fixtures/pdfs');
+
+test('parses page ranges into sorted, unique page numbers', () => {
+    assert.deepStrictEqual(parsePageRange('3-5, 1,4'), [1, 3, 4, 5]);
+    assert.deepStrictEqual(parsePageRange('10-', 12), [10, 11, 12]);
+    assert.throws(() => parsePageRange('10-'), /Invalid page range/);
+    assert.throws(() => parsePageRange('0-2'), /pages start at 1/);
+    assert.throws(() => parsePageRange('5-3'), /ends before it starts/);
+    assert.throws(() => parsePageRange('3-13', 12), /Page 13 is out of range/);
+    assert.throws(() => parsePageRange('two'), /Invalid page range/);
+});
+
+test('formats page numbers as the shortest range', () => {
+    assert.strictEqual(formatPageRange([1, 3, 4, 5, 12]), '1,3-5,12');
+    assert.strictEqual(formatPageRange([7]), '7');
+});
+
+test('extracts pages into a valid PDF that keeps their text and inherited attributes', () => {
+    for (const options of [{}, { xref: 'stream', predictor: true, compress: [1, 2, 3, 4, 7, 8] }]) {
+        const extract = extractPages(samplePdf(options), [2], { title: 'Sample Issue (pages 2)' });
+
+        const validation = validatePdf(extract);
+        assert.strictEqual(validation.valid, true, validation.errors.join('; '));
+        const metadata = extractMetadata(extract);
+        assert.strictEqual(metadata.pageCount, 1);
+        assert.strictEqual(metadata.title, 'Sample Issue (pages 2)');
+        assert.deepStrictEqual(metadata.pageSizes, [{ width: 595, height: 420, pages: 1 }]);
+        // The font came from the page tree's /Resources
+        assert.deepStrictEqual(extractText(extract), ['World']);
+    }
+});
+
+test('drops links to pages left out of the extract', () => {
+    const objects = sampleObjects().map(([num, body]) => [num, num === 3 ? '<< /Type /Page /Parent 2 0 R /Contents 5 0 R /Annots [9 0 R] >>' : body])
+        .concat([[9, '<< /Type /Annot /Subtype /Link /Rect [0 0 10 10] /Dest [4 0 R /Fit] >>']]);
+    const doc = new PdfDocument(extractPages(buildPdf(objects), [1]));
+    const annotation = doc.resolve(doc.resolve(doc.getPages()[0].dict.Annots)[0]);
+    assert.deepStrictEqual(annotation.Dest.map(item => (item && item.name) || item), [null, 'Fit']);
+});
+
+test('rejects pages outside the document', () => {
+    assert.throws(() => extractPages(samplePdf(), [3]), /Page 3 is out of range \(the issue has 2 pages\)/);
+    assert.throws(() => extractPages(samplePdf(), []), /No pages selected/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { PdfDocument, PdfError, PdfStream, parsePdfDate } = require('../pdfReader');
+const { ascii85, buildPdf, sampleObjects, samplePdf } = require('./fixtures/pdfs');
+
+/**
+ * Page boxes and the info title, the parts every cross-reference form must agree on
+ */
+function summary(doc) {
+    return {
+        version: doc.version,
+        title: doc.getInfo().Title,
+        pages: doc.getPages().map(page => ({ mediaBox: page.mediaBox, rotate: page.rotate }))
+    };
+}
+
+const EXPECTED = {
+    version: '1.7',
+    title: 'Sample Issue',
+    pages: [
+        { mediaBox: [0, 0, 612, 792], rotate: 0 },
+        { mediaBox: [0, 0, 420, 595], rotate: 90 }
+    ]
+};
+
+test('reads a classic cross-reference table', () => {
+    const doc = new PdfDocument(samplePdf());
+    assert.deepStrictEqual(summary(doc), EXPECTED);
+    assert.deepStrictEqual(doc.xref.get(0), { type: 'free' });
+    assert.strictEqual(doc.xref.get(3).type, 'offset');
+});
+
+test('reads cross-reference streams, with and without a PNG predictor', () => {
+    for (const predictor of [false, true]) {
+        const doc = new PdfDocument(samplePdf({ xref: 'stream', predictor }));
+        assert.deepStrictEqual(summary(doc), EXPECTED, `predictor: ${predictor}`);
+        assert.strictEqual(doc.trailer.Type.name, 'XRef');
+    }
+});
+
+test('reads objects stored in object streams', () => {
+    const doc = new PdfDocument(samplePdf({ xref: 'stream', predictor: true, compress: [1, 2, 3, 4, 7, 8] }));
+    assert.deepStrictEqual(summary(doc), EXPECTED);
+    assert.deepStrictEqual(doc.xref.get(2), { type: 'compressed', stream: 9, index: 1 });
+    assert.strictEqual(doc.resolve(doc.getPages()[0].resources.Font.F1).BaseFont.name, 'Helvetica');
+});
+
+test('newer revisions win over the ones they update (/Prev)', () => {
+    const base = samplePdf();
+    const doc = new PdfDocument(buildPdf([[8, '<< /Title (Revised Issue) >>']], { base, trailer: '/Root 1 0 R /Info 8 0 R' }));
+    assert.strictEqual(doc.getInfo().Title, 'Revised Issue');
+    assert.strictEqual(doc.getPages().length, 2);
+});
+
+test('decodes Flate, ASCIIHex and ASCII85 streams and filter chains', () => {
+    const text = Buffer.from('BT /F1 12 Tf (Hello) Tj ET\0\0\0\0');
+    const streams = [
+        { dict: '/Filter /FlateDecode', data: zlib.deflateSync(text) },
+        { dict: '/Filter /AHx', data: Buffer.from(`${text.toString('hex').replace(/(..)/g, '$1 ')}>`) },
+        { dict: '/Filter /ASCII85Decode', data: ascii85(text) },
+        { dict: '/Filter [/A85 /Fl]', data: ascii85(zlib.deflateSync(text)) }
+    ];
+    const objects = sampleObjects().concat(streams.map((stream, i) => [9 + i, stream]));
+    const doc = new PdfDocument(buildPdf(objects));
+
+    streams.forEach((_, i) => {
+        const stream = doc.getObject(9 + i);
+        assert.ok(stream instanceof PdfStream);
+        assert.deepStrictEqual(doc.decodeStream(stream), text, `object ${9 + i}`);
+    });
+});
+
+test('rejects filters it cannot decode', () => {
+    const objects = sampleObjects().concat([[9, { dict: '/Filter /DCTDecode', data: Buffer.from([0xFF, 0xD8]) }]]);
+    const doc = new PdfDocument(buildPdf(objects));
+    assert.throws(() => doc.decodeStream(doc.getObject(9)), /Unsupported stream filter DCTDecode/);
+});
+
+test('falls back to endstream when a stream /Length is wrong', () => {
+    const pdf = samplePdf().toString('latin1').replace('/Length 36', '/Length 99');
+    const doc = new PdfDocument(Buffer.from(pdf, 'latin1'));
+    assert.strictEqual(doc.getObject(5).data.toString(), 'BT /F1 12 Tf 72 700 Td (Hello) Tj ET');
+});
+
+test('reports broken structure as PdfError', () => {
+    assert.throws(() => new PdfDocument(Buffer.from('<html></html>')), { name: 'PdfError', message: 'Missing %PDF header' });
+
+    const pdf = samplePdf().toString('latin1');
+    assert.throws(() => new PdfDocument(Buffer.from(pdf.slice(0, pdf.indexOf('startxref')), 'latin1')), /Missing startxref/);
+
+    // A section whose /Prev points back at itself
+    const offset = pdf.slice(pdf.lastIndexOf('startxref') + 10).trim().split('\n')[0];
+    const looping = pdf.replace('/Info 8 0 R >>', `/Info 8 0 R /Prev ${offset} >>`);
+    assert.throws(() => new PdfDocument(Buffer.from(looping, 'latin1')), PdfError);
+    assert.throws(() => new PdfDocument(Buffer.from(looping, 'latin1')), /loop/);
+});
+
+test('detects a page tree that loops', () => {
+    const objects = sampleObjects().map(([num, body]) => [num, num === 4 ? '<< /Type /Pages /Kids [2 0 R] >>' : body]);
+    const doc = new PdfDocument(buildPdf(objects));
+    assert.throws(() => doc.getPages(), /Page tree loops at object 2/);
+});
+
+test('converts PDF dates to ISO timestamps', () => {
+    assert.strictEqual(parsePdfDate("D:20250115100000+01'00'"), '2025-01-15T09:00:00.000Z');
+    assert.strictEqual(parsePdfDate('D:20250115'), '2025-01-15T00:00:00.000Z');
+    assert.strictEqual(parsePdfDate('D:2025011510Z'), '2025-01-15T10:00:00.000Z');
+    assert.strictEqual(parsePdfDate('yesterday'), null);
+});
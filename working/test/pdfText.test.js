@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { extractText, glyphToUnicode } = require('../pdfText');
+const { buildPdf, sampleObjects, samplePdf } = require('./fixtures/pdfs');
+
+/**
+ * One-page document drawing a content stream with the given fonts (F1, F2, ...) and extra objects
+ */
+function page(content, fonts = [], extra = [], resources = '') {
+    const fontEntries = fonts.map((_, i) => `/F${i + 1} ${20 + i} 0 R`).join(' ');
+    return buildPdf([
+        [1, '<< /Type /Catalog /Pages 2 0 R >>'],
+        [2, '<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 612 792] >>'],
+        [3, `<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << ${fontEntries} >> ${resources} >> >>`],
+        [4, { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(content, 'latin1')) }],
+        ...fonts.map((font, i) => [20 + i, font]),
+        ...extra
+    ]);
+}
+
+test('extracts the text of each page', () => {
+    assert.deepStrictEqual(extractText(samplePdf()), ['Hello', 'World']);
+    assert.deepStrictEqual(extractText(samplePdf({ xref: 'stream', compress: [1, 2, 3, 4, 7] })), ['Hello', 'World']);
+});
+
+test('keeps words and lines apart', () => {
+    const content = 'BT /F1 10 Tf 72 700 Td [(Acme) -300 (Plumbing)] TJ 0 -12 Td (Main Street) Tj T* (opens) Tj ET';
+    assert.deepStrictEqual(extractText(page(content, ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'])),
+        ['Acme Plumbing\nMain Street\nopens']);
+});
+
+test('maps simple font codes through /Differences and WinAnsiEncoding', () => {
+    const font = '<< /Type /Font /Subtype /Type1 /BaseFont /Custom /Encoding << /BaseEncoding /WinAnsiEncoding /Differences [65 /eacute /uni2019 /fi] >> >>';
+    assert.deepStrictEqual(extractText(page('BT /F1 10 Tf <414243> Tj ( \x93ok\x94) Tj ET', [font])), ['é’fi “ok”']);
+});
+
+test('maps composite font codes through the ToUnicode CMap', () => {
+    const cmap = [
+        '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+        '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+        '2 beginbfchar <0001> <0043> <0002> <00E9> endbfchar',
+        '1 beginbfrange <0010> <0012> <0061> endbfrange',
+        'endcmap CMapName currentdict /CMap defineresource pop end end'
+    ].join('\n');
+    const font = '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /ToUnicode 30 0 R >>';
+    const text = extractText(page('BT /F1 10 Tf <000100100011001200020003> Tj ET', [font], [[30, { data: Buffer.from(cmap) }]]));
+    // Codes without a mapping (0003) are dropped
+    assert.deepStrictEqual(text, ['Cabcé']);
+
+    // Without a CMap the codes are glyph ids: no text
+    const unmapped = '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H >>';
+    assert.deepStrictEqual(extractText(page('BT /F1 10 Tf <00010002> Tj ET', [unmapped])), ['']);
+});
+
+test('reads the text of form XObjects and skips inline images', () => {
+    const form = { dict: '/Type /XObject /Subtype /Form /BBox [0 0 100 100]', data: Buffer.from('BT /F1 10 Tf (from a form) Tj ET') };
+    const content = 'BI /W 2 /H 1 /BPC 8 /CS /G ID \x00\x01 EI BT /F1 10 Tf (Page) Tj ET /Fm1 Do';
+    const text = extractText(page(content, ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'], [[40, form]], '/XObject << /Fm1 40 0 R >>'));
+    assert.deepStrictEqual(text, ['Page from a form']);
+});
+
+test('pages that are only images have no text', () => {
+    const objects = sampleObjects({ contents: [{ data: Buffer.from('q 612 0 0 792 0 0 cm /Im1 Do Q') }, { data: Buffer.from('') }] });
+    assert.deepStrictEqual(extractText(buildPdf(objects)), ['', '']);
+});
+
+test('converts glyph names to text', () => {
+    assert.strictEqual(glyphToUnicode('Aacute'), 'Á');
+    assert.strictEqual(glyphToUnicode('uni00E900E8'), 'éè');
+    assert.strictEqual(glyphToUnicode('u1F600'), '😀');
+    assert.strictEqual(glyphToUnicode('quotedblleft'), '“');
+    assert.strictEqual(glyphToUnicode('g123'), null);
+});
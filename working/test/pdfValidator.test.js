@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { tmpDir } = require('./helpers');
+const { validatePdf, validatePdfFile } = require('../pdfValidator');
+const { runPdfTask } = require('../pdfWorker');
+const { buildPdf, sampleObjects, samplePdf } = require('./fixtures/pdfs');
+
+test('accepts well-formed files in every cross-reference form', () => {
+    for (const options of [{}, { xref: 'stream' }, { xref: 'stream', predictor: true, compress: [1, 2, 3, 4] }]) {
+        const result = validatePdf(samplePdf(options));
+        assert.strictEqual(result.valid, true, result.errors.join('; '));
+        assert.strictEqual(result.pageCount, 2);
+        assert.deepStrictEqual(result.warnings, []);
+    }
+});
+
+test('recognizes error pages saved instead of a PDF', () => {
+    assert.deepStrictEqual(validatePdf(Buffer.from('<!DOCTYPE html><html></html>')).errors, ['File is an HTML/XML page, not a PDF']);
+    assert.deepStrictEqual(validatePdf(Buffer.from('{"error":"not found"}')).errors, ['File is JSON, not a PDF']);
+    assert.deepStrictEqual(validatePdf(Buffer.alloc(0)).errors, ['File is empty']);
+});
+
+test('rejects a truncated transfer', () => {
+    const pdf = samplePdf();
+    const result = validatePdf(pdf.subarray(0, Math.floor(pdf.length * 0.6)));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.errors[0], /Missing %%EOF marker/);
+    assert.match(result.errors[1], /Cross-reference data is broken/);
+});
+
+// Standard security handler padding (PDF 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+function rc4(key, data) {
+    const s = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xFF;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    const out = Buffer.alloc(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xFF;
+        j = (j + s[i]) & 0xFF;
+        [s[i], s[j]] = [s[j], s[i]];
+        out[n] = data[n] ^ s[(s[i] + s[j]) & 0xFF];
+    }
+    return out;
+}
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+/**
+ * The sample document in an object stream, RC4-encrypted (40-bit, empty user password)
+ */
+function encryptedPdf() {
+    const id = Buffer.alloc(16, 0xAB);
+    const owner = Buffer.alloc(32, 0x11);
+    const permissions = Buffer.alloc(4);
+    permissions.writeInt32LE(-44);
+    const key = md5(PASSWORD_PADDING, owner, permissions, id).subarray(0, 5);
+    const objectKey = (num) => {
+        const suffix = Buffer.from([num & 0xFF, (num >> 8) & 0xFF, (num >> 16) & 0xFF, 0, 0]);
+        return md5(key, suffix).subarray(0, 10);
+    };
+
+    const objects = sampleObjects().filter(([num]) => num !== 8);
+    objects.push([10, `<< /Filter /Standard /V 1 /R 2 /O <${owner.toString('hex')}> /U <${rc4(key, PASSWORD_PADDING).toString('hex')}> /P -44 >>`]);
+    return buildPdf(objects, {
+        xref: 'stream',
+        compress: [1, 2, 3, 4, 7],
+        trailer: `/Root 1 0 R /Encrypt 10 0 R /ID [<${id.toString('hex')}> <${id.toString('hex')}>]`,
+        encrypt: (num, data) => rc4(objectKey(num), data)
+    });
+}
+
+test('warns about cross-reference entries that miss their object', () => {
+    const pdf = samplePdf().toString('latin1');
+    // Shift the offset of object 7 by one byte
+    const lines = pdf.split('\n');
+    const entry = lines.indexOf('xref') + 2 + 7;
+    lines[entry] = `${String(parseInt(lines[entry], 10) + 1).padStart(10, '0')} 00000 n `;
+
+    const result = validatePdf(Buffer.from(lines.join('\n'), 'latin1'));
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings, ['1 cross-reference entries do not point at their object (objects 7)']);
+});
+
+test('lets pdf.js decide on files with a broken cross-reference offset', async () => {
+    const pdf = samplePdf().toString('latin1');
+    const broken = Buffer.from(pdf.replace(/startxref\n\d+/, 'startxref\n12'), 'latin1');
+    assert.strictEqual(validatePdf(broken).valid, false);
+
+    const result = await validatePdfFile(broken);
+    assert.strictEqual(result.valid, true, result.errors.join('; '));
+    assert.strictEqual(result.pageCount, 2);
+    assert.match(result.warnings[0], /^Cross-reference data is broken: .* \(pdf\.js reads the file\)$/);
+});
+
+test('accepts encrypted files pdf.js can open', async () => {
+    const pdf = encryptedPdf();
+    const ours = validatePdf(pdf);
+    assert.ok(ours.warnings.includes('Document is encrypted'));
+    assert.match(ours.errors[0], /^Page tree is broken/);
+
+    const result = await validatePdfFile(pdf);
+    assert.strictEqual(result.valid, true, result.errors.join('; '));
+    assert.strictEqual(result.pageCount, 2);
+    assert.ok(result.warnings.includes('Document is encrypted'));
+});
+
+test('still rejects files neither parser can read', async () => {
+    const garbage = Buffer.from('%PDF-1.7\nnot really a pdf\n%%EOF\n', 'latin1');
+    const result = await validatePdfFile(garbage);
+    assert.strictEqual(result.valid, false);
+    assert.match(result.errors[0], /^Cross-reference data is broken/);
+    assert.match(result.errors[result.errors.length - 1], /^pdf\.js cannot open it either/);
+
+    // Truncation is an error whatever pdf.js makes of the rest
+    const pdf = samplePdf();
+    const truncated = await validatePdfFile(pdf.subarray(0, Math.floor(pdf.length * 0.6)));
+    assert.strictEqual(truncated.valid, false);
+    assert.match(truncated.errors[0], /Missing %%EOF marker/);
+});
+
+test('rejects a document without pages and warns about a wrong /Count', () => {
+    const empty = sampleObjects().map(([num, body]) => [num, num === 2 ? '<< /Type /Pages /Kids [] /Count 0 >>' : body]);
+    assert.deepStrictEqual(validatePdf(buildPdf(empty)).errors, ['Document has no pages']);
+
+    const miscounted = sampleObjects().map(([num, body]) => [num, num === 2 ? body.replace('/Count 2', '/Count 3') : body]);
+    const result = validatePdf(buildPdf(miscounted));
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.warnings, ['Page tree /Count is 3 but it has 2 pages']);
+});
+
+test('validation runs on the worker thread', async (t) => {
+    const filePath = path.join(tmpDir(t), 'issue.pdf');
+    fs.writeFileSync(filePath, samplePdf());
+
+    assert.deepStrictEqual(await runPdfTask('validate', filePath), await validatePdfFile(filePath));
+    await assert.rejects(runPdfTask('validate', path.join(path.dirname(filePath), 'missing.pdf')), /ENOENT/);
+    await assert.rejects(runPdfTask('render', filePath), /Unknown PDF task render/);
+});
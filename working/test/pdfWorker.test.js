@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers');
+const { runPdfTask } = require('../pdfWorker');
+const { samplePdf } = require('./fixtures/pdfs');
+
+test('validation and page extracts run before queued background work', async (t) => {
+    const dir = tmpDir(t);
+    const filePath = path.join(dir, 'issue.pdf');
+    fs.writeFileSync(filePath, samplePdf());
+
+    const order = [];
+    const track = (name, promise) => promise.then(() => order.push(name));
+    await Promise.all([
+        track('text 1', runPdfTask('text', filePath)),
+        track('metadata', runPdfTask('metadata', filePath)),
+        track('text 2', runPdfTask('text', filePath)),
+        track('validate', runPdfTask('validate', filePath)),
+        track('extract', runPdfTask('extractPages', filePath, [1], {}, path.join(dir, 'extract.pdf'))),
+        track('validate again', runPdfTask('validate', filePath))
+    ]);
+
+    // The first task was already running; the others keep their order within each kind
+    assert.deepStrictEqual(order, ['text 1', 'validate', 'extract', 'validate again', 'metadata', 'text 2']);
+});
+
+test('a failing task does not hold up the queue', async (t) => {
+    const filePath = path.join(tmpDir(t), 'issue.pdf');
+    fs.writeFileSync(filePath, samplePdf());
+
+    const [missing, metadata] = await Promise.allSettled([
+        runPdfTask('metadata', path.join(path.dirname(filePath), 'missing.pdf')),
+        runPdfTask('metadata', filePath)
+    ]);
+    assert.match(missing.reason.message, /ENOENT/);
+    assert.strictEqual(metadata.value.pageCount, 2);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tmpDir, testConfig, startServer } = require('./helpers');
+const { jpeg } = require('./fixtures/images');
+const IssuuDownloader = require('../app');
+
+const DOCUMENT_URL = 'https://issuu.com/acme/docs/issue_7';
+
+test('a job that succeeds without an output file falls through to the next provider', async (t) => {
+    const dir = tmpDir(t);
+    const server = await startServer(t, {
+        '/download-pdf': { body: JSON.stringify({ id: 'job-1' }), type: 'application/json' },
+        '/job/job-1': { body: JSON.stringify({ status: 'succeeded', progress: 100 }), type: 'application/json' },
+        '/acme/issue_7/reader3_4.json': {
+            body: JSON.stringify({ document: { pages: [{ imageUri: '/pages/1.jpg' }] } }),
+            type: 'application/json'
+        },
+        '/pages/1.jpg': { body: jpeg(600, 800), type: 'image/jpeg' }
+    });
+
+    const downloader = new IssuuDownloader({
+        config: testConfig(dir),
+        providers: ['img2pdf', 'native'],
+        providerOptions: {
+            img2pdf: { apiUrl: `${server.url}/download-pdf`, statusUrl: `${server.url}/job`, pollInterval: 1 },
+            native: { manifestUrl: `${server.url}/{account}/{slug}/reader3_4.json` }
+        }
+    });
+    downloader.outputDir = path.join(dir, 'downloads');
+
+    const conversions = [];
+    downloader.on('conversion', event => conversions.push(`${event.provider}:${event.outcome}`));
+    const completed = [];
+    downloader.on('complete', event => completed.push(event.provider));
+
+    assert.strictEqual(await downloader.downloadDocument(DOCUMENT_URL), true);
+    assert.deepStrictEqual(conversions, ['img2pdf:failed', 'native:succeeded']);
+    assert.deepStrictEqual(completed, ['native']);
+    assert.ok(!server.requests.some(url => url.includes('undefined')), 'nothing is fetched from an undefined URL');
+});
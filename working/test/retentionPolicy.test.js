@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, testConfig } = require('./helpers');
+const RetentionPolicy = require('../retentionPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Writes PDFs downloaded daysAgo days back, and issue records for those with a number
+ * @param {Array} files - [name, number|null, daysAgo]
+ */
+function seed(dir, files) {
+    const records = [];
+    for (const [name, number, daysAgo] of files) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, '%PDF-1.4\n%%EOF\n');
+        const time = new Date(Date.now() - daysAgo * DAY);
+        fs.utimesSync(filePath, time, time);
+        if (number !== null) {
+            records.push({ publication: 'bpview', number, slug: `issue_${number}`, fileName: name, filePath });
+        }
+    }
+    fs.writeFileSync(path.join(dir, 'issues.json'), JSON.stringify(records));
+}
+
+function remaining(dir) {
+    return fs.readdirSync(dir).filter(name => name.endsWith('.pdf')).sort();
+}
+
+test('files are ordered by issue number, not by when they were downloaded', (t) => {
+    const dir = tmpDir(t);
+    // 280 and 281 were backfilled today, after 300 came out
+    seed(dir, [['issue 300.pdf', 300, 3], ['issue 299.pdf', 299, 10], ['issue 280.pdf', 280, 0], ['issue 281.pdf', 281, 0]]);
+
+    const policy = new RetentionPolicy({ config: testConfig(dir), archive: true });
+    assert.deepStrictEqual(policy.listFiles(dir).map(file => file.number), [300, 299, 281, 280]);
+});
+
+test('files without a numbered record come last, newest first', (t) => {
+    const dir = tmpDir(t);
+    seed(dir, [['issue 300.pdf', 300, 5], ['extra.pdf', null, 1], ['older.pdf', null, 20], ['issue 299.pdf', 299, 0]]);
+
+    const policy = new RetentionPolicy({ config: testConfig(dir), archive: true });
+    assert.deepStrictEqual(policy.listFiles(dir).map(file => file.name), ['issue 300.pdf', 'issue 299.pdf', 'extra.pdf', 'older.pdf']);
+});
+
+test('keepLast keeps the latest issues after a backfill', (t) => {
+    const dir = tmpDir(t);
+    seed(dir, [['issue 300.pdf', 300, 3], ['issue 299.pdf', 299, 10], ['issue 280.pdf', 280, 0], ['issue 281.pdf', 281, 0]]);
+
+    const policy = new RetentionPolicy({ config: testConfig(dir), archive: true, keepLast: 2 });
+    assert.deepStrictEqual(policy.apply(dir).sort(), ['issue 280.pdf', 'issue 281.pdf']);
+    assert.deepStrictEqual(remaining(dir), ['issue 299.pdf', 'issue 300.pdf']);
+});
+
+test('without archive mode only the latest issue stays', (t) => {
+    const dir = tmpDir(t);
+    seed(dir, [['issue 300.pdf', 300, 3], ['issue 280.pdf', 280, 0]]);
+
+    const policy = new RetentionPolicy({ config: testConfig(dir), archive: false });
+    assert.deepStrictEqual(policy.apply(dir), ['issue 280.pdf']);
+    assert.deepStrictEqual(remaining(dir), ['issue 300.pdf']);
+});
+
+test('the latest issue survives the size limit', (t) => {
+    const dir = tmpDir(t);
+    seed(dir, [['issue 300.pdf', 300, 3], ['issue 299.pdf', 299, 10], ['issue 280.pdf', 280, 0]]);
+
+    const policy = new RetentionPolicy({ config: testConfig(dir), archive: true, maxTotalSize: 1 });
+    assert.deepStrictEqual(policy.apply(dir).sort(), ['issue 280.pdf', 'issue 299.pdf']);
+    assert.deepStrictEqual(remaining(dir), ['issue 300.pdf']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, testConfig } = require('./helpers');
+const DownloadScheduler = require('../scheduler');
+const CacheManager = require('../cacheManager');
+
+const PDF = '%PDF-1.4\n%%EOF\n';
+
+/**
+ * Scheduler whose downloader writes a placeholder PDF instead of converting anything
+ */
+function createScheduler(dir, overrides = {}) {
+    const config = testConfig(dir, overrides);
+    const outputDir = path.join(dir, 'downloads');
+    fs.mkdirSync(outputDir, { recursive: true });
+    const downloader = {
+        outputDir,
+        lastProvider: 'stub',
+        getOutputPath: url => path.join(outputDir, `${url.split('/').pop().replace('_', ' ')}.pdf`),
+        async downloadDocument(url) {
+            fs.writeFileSync(this.getOutputPath(url), PDF);
+            return true;
+        }
+    };
+    return new DownloadScheduler({ config, downloader, cache: new CacheManager({ config }) });
+}
+
+/**
+ * Writes an earlier download, dated a day back
+ */
+function priorIssue(dir, name) {
+    const filePath = path.join(dir, 'downloads', name);
+    fs.writeFileSync(filePath, PDF);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.utimesSync(filePath, yesterday, yesterday);
+}
+
+const JOB = { url: 'https://issuu.com/thebpview/docs/issue_298', issueNumber: 298, title: 'Issue 298' };
+
+test('a successful download removes the prior issue outside archive mode', async (t) => {
+    const dir = tmpDir(t);
+    const scheduler = createScheduler(dir);
+    priorIssue(dir, 'issue 297.pdf');
+
+    const result = await scheduler.runDownloadJob(JOB, () => {});
+    assert.strictEqual(result.fileName, 'issue 298.pdf');
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'downloads')).filter(name => name.endsWith('.pdf')), ['issue 298.pdf']);
+});
+
+test('archive mode keeps prior issues within its limits', async (t) => {
+    const dir = tmpDir(t);
+    const scheduler = createScheduler(dir, { archive: { enabled: true, keepLast: 2 } });
+    priorIssue(dir, 'issue 296.pdf');
+    priorIssue(dir, 'issue 297.pdf');
+    fs.utimesSync(path.join(dir, 'downloads', 'issue 296.pdf'), new Date(2020, 0, 1), new Date(2020, 0, 1));
+
+    await scheduler.runDownloadJob(JOB, () => {});
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'downloads')).filter(name => name.endsWith('.pdf')).sort(), ['issue 297.pdf', 'issue 298.pdf']);
+});
+
+test('backfilled issues are recorded but not cached as the latest issue', async (t) => {
+    const dir = tmpDir(t);
+    const scheduler = createScheduler(dir, { archive: { enabled: true } });
+    await scheduler.runDownloadJob(JOB, () => {});
+
+    const result = await scheduler.runDownloadJob({ url: 'https://issuu.com/thebpview/docs/issue_280', issueNumber: 280, trigger: 'backfill' }, () => {});
+    assert.strictEqual(result.downloadUrl, '/downloads/bpview/issue%20280.pdf');
+    assert.strictEqual(scheduler.store.findByNumber(280).fileName, 'issue 280.pdf');
+    assert.strictEqual(scheduler.cache.getMetadata().issueNumber, 298);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'cache')).filter(name => name.endsWith('.pdf')), ['latest_issue_298.pdf']);
+});
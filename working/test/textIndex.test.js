@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { tmpDir } = require('./helpers');
+const TextIndex = require('../textIndex');
+const { sampleObjects, buildPdf } = require('./fixtures/pdfs');
+
+/**
+ * Two-page issue whose pages say the given text
+ */
+function issue(first, second) {
+    return buildPdf(sampleObjects({
+        contents: [
+            { data: Buffer.from(`BT /F1 12 Tf 72 700 Td (${first}) Tj ET`) },
+            { data: Buffer.from(`BT /F1 12 Tf 72 700 Td (${second}) Tj ET`) }
+        ]
+    }));
+}
+
+test('reindex indexes new and changed files and drops deleted ones', async (t) => {
+    const dir = tmpDir(t);
+    const downloads = path.join(dir, 'downloads');
+    fs.mkdirSync(downloads);
+    fs.writeFileSync(path.join(downloads, 'issue 296.pdf'), issue('Acme Plumbing opens', 'Weather'));
+    fs.writeFileSync(path.join(downloads, 'issue 297.pdf'), issue('Town fair', 'Caf\\351 opens on Main Street'));
+    fs.writeFileSync(path.join(downloads, 'issue 298.pdf'), '<html>Not found</html>');
+    const index = new TextIndex({ dataDir: path.join(dir, 'data') });
+
+    const first = await index.reindex('bpview', downloads);
+    assert.deepStrictEqual(first.indexed.sort(), ['issue 296.pdf', 'issue 297.pdf']);
+    assert.deepStrictEqual(first.failed.map(failure => failure.fileName), ['issue 298.pdf']);
+
+    const hits = index.search('cafe opens');
+    assert.deepStrictEqual(hits.map(hit => [hit.fileName, hit.matches.map(match => match.page)]), [['issue 297.pdf', [2]]]);
+
+    // Unchanged files are skipped; removed files lose their entry
+    fs.rmSync(path.join(downloads, 'issue 296.pdf'));
+    fs.rmSync(path.join(downloads, 'issue 298.pdf'));
+    const second = await index.reindex('bpview', downloads);
+    assert.deepStrictEqual(second, { indexed: [], skipped: ['issue 297.pdf'], removed: ['issue 296.pdf'], failed: [] });
+    assert.deepStrictEqual(index.search('plumbing'), []);
+});
+
+test('attach indexes each completed download', async (t) => {
+    const dir = tmpDir(t);
+    const filePath = path.join(dir, 'issue 299.pdf');
+    fs.writeFileSync(filePath, issue('Harbour news', 'Classifieds'));
+    const index = new TextIndex({ dataDir: path.join(dir, 'data') });
+    const downloader = new EventEmitter();
+    index.attach(downloader, { publication: 'bpview' });
+
+    downloader.emit('complete', { outputPath: filePath });
+    for (let i = 0; i < 100 && !index.isIndexed('bpview', filePath); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(index.search('harbour', { publication: 'bpview' })[0].fileName, 'issue 299.pdf');
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { runPdfTask } = require('./pdfWorker');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+const log = createLogger('search');
+
+const SNIPPET_CONTEXT = 80; // Characters shown on each side of a match
+
+/**
+ * Folds text for matching: lower case, accents removed. Works character by
+ * character so positions in the folded text are positions in the original
+ */
+function fold(text) {
+    let folded = '';
+    for (const char of text) {
+        const base = char.normalize('NFD')[0];
+        const lower = base.toLowerCase();
+        const mapped = lower.length === 1 ? lower : base;
+        folded += mapped.length === char.length ? mapped : char;
+    }
+    return folded;
+}
+
+/**
+ * Local full-text index of downloaded issues
+ *
+ * The text of each page is extracted once per PDF and stored in
+ * <dataDir>/text/<publication>/<fileName>.json:
+ *   { publication, fileName, size, mtimeMs, indexedAt, pages: [text, ...] }
+ * size and mtimeMs tell whether the PDF changed since it was indexed. Searches
+ * scan the stored text, so they work offline on the files already downloaded.
+ */
+class TextIndex {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding text/ (default: paths.data)
+     * @param {Object} options.config - Configuration (default: getConfig())
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || (options.config || getConfig()).paths.data;
+        this.dir = path.join(this.dataDir, 'text');
+        this.entries = new Map(); // Index file -> { mtimeMs, entry, folded }
+    }
+
+    /**
+     * Gets the index file of a PDF
+     */
+    entryPath(publication, fileName) {
+        return path.join(this.dir, publication, `${fileName}.json`);
+    }
+
+    /**
+     * Indexes every PDF a downloader completes (from its 'complete' events)
+     * @param {EventEmitter} downloader - IssuuDownloader
+     * @param {Object} options - { publication } id the PDFs belong to
+     */
+    attach(downloader, options = {}) {
+        const publication = options.publication || 'default';
+
+        downloader.on('complete', ({ outputPath }) => {
+            this.index(publication, outputPath)
+                .then(entry => log.info('Issue text indexed', { publication, fileName: entry.fileName, pages: entry.pages.length }))
+                .catch(error => log.error('Error indexing issue text', { publication, filePath: outputPath, error: error.message }));
+        });
+    }
+
+    /**
+     * Extracts (on the PDF worker thread) and stores the text of a PDF
+     * @param {string} publication - Publication id
+     * @param {string} filePath - PDF file
+     * @returns {Promise<Object>} - Index entry
+     */
+    async index(publication, filePath) {
+        const stats = fs.statSync(filePath);
+        const entry = {
+            publication,
+            fileName: path.basename(filePath),
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            indexedAt: new Date().toISOString(),
+            pages: await runPdfTask('text', filePath)
+        };
+
+        const entryPath = this.entryPath(publication, entry.fileName);
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        const tmpPath = `${entryPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(entry));
+        fs.renameSync(tmpPath, entryPath);
+        this.entries.delete(entryPath);
+        return entry;
+    }
+
+    /**
+     * Whether a PDF is indexed and unchanged since
+     */
+    isIndexed(publication, filePath) {
+        const entry = this.read(this.entryPath(publication, path.basename(filePath)));
+        if (!entry) return false;
+        const stats = fs.statSync(filePath);
+        return entry.entry.size === stats.size && entry.entry.mtimeMs === stats.mtimeMs;
+    }
+
+    /**
+     * Indexes the PDFs of a folder that are new or changed, and drops the
+     * entries of PDFs that no longer exist
+     * @param {string} publication - Publication id
+     * @param {string} dir - Folder holding the publication's PDFs
+     * @param {Object} options - { force } reindexes every PDF
+     * @returns {Promise<Object>} - { indexed, skipped, removed, failed: [{ fileName, error }] }
+     */
+    async reindex(publication, dir, options = {}) {
+        const report = { indexed: [], skipped: [], removed: [], failed: [] };
+        const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.pdf')) : [];
+
+        for (const fileName of files) {
+            const filePath = path.join(dir, fileName);
+            if (!options.force && this.isIndexed(publication, filePath)) {
+                report.skipped.push(fileName);
+                continue;
+            }
+            try {
+                await this.index(publication, filePath);
+                report.indexed.push(fileName);
+            } catch (error) {
+                report.failed.push({ fileName, error: error.message });
+            }
+        }
+
+        const publicationDir = path.join(this.dir, publication);
+        if (fs.existsSync(publicationDir)) {
+            const existing = new Set(files);
+            for (const name of fs.readdirSync(publicationDir)) {
+                const fileName = name.replace(/\.json$/, '');
+                if (name.endsWith('.json') && !existing.has(fileName)) {
+                    fs.rmSync(path.join(publicationDir, name), { force: true });
+                    report.removed.push(fileName);
+                }
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Reads an index file (cached until it changes)
+     * @returns {Object|null} - { mtimeMs, entry, folded }
+     */
+    read(entryPath) {
+        let stats;
+        try {
+            stats = fs.statSync(entryPath);
+        } catch (_) {
+            this.entries.delete(entryPath);
+            return null;
+        }
+
+        const cached = this.entries.get(entryPath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached;
+        }
+        try {
+            const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+            const loaded = { mtimeMs: stats.mtimeMs, entry, folded: entry.pages.map(fold) };
+            this.entries.set(entryPath, loaded);
+            return loaded;
+        } catch (error) {
+            log.warn('Unreadable text index entry', { entryPath, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Searches the indexed text. Every word must appear on a page for it to match;
+     * a query in double quotes matches the exact phrase. Case and accents are ignored.
+     * @param {string} query - Search words
+     * @param {Object} options
+     * @param {string} options.publication - Only this publication
+     * @returns {Object[]} - { publication, fileName, score, matches: [{ page, snippet }] },
+     *   best first (score: number of occurrences)
+     */
+    search(query, options = {}) {
+        const trimmed = String(query || '').trim();
+        const phrase = /^".+"$/.test(trimmed);
+        const terms = phrase
+            ? [fold(trimmed.slice(1, -1).trim())]
+            : fold(trimmed).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const publications = options.publication
+            ? [options.publication]
+            : (fs.existsSync(this.dir) ? fs.readdirSync(this.dir) : []);
+
+        const results = [];
+        for (const publication of publications) {
+            const publicationDir = path.join(this.dir, publication);
+            if (!fs.existsSync(publicationDir)) continue;
+
+            for (const name of fs.readdirSync(publicationDir)) {
+                if (!name.endsWith('.json')) continue;
+                const loaded = this.read(path.join(publicationDir, name));
+                if (!loaded) continue;
+
+                const matches = [];
+                let score = 0;
+                loaded.folded.forEach((text, i) => {
+                    const counts = terms.map(term => TextIndex.count(text, term));
+                    if (counts.some(count => count === 0)) return;
+                    score += counts.reduce((sum, count) => sum + count, 0);
+                    matches.push({ page: i + 1, snippet: TextIndex.snippet(loaded.entry.pages[i], text.indexOf(terms[0]), terms[0].length) });
+                });
+
+                if (matches.length > 0) {
+                    results.push({ publication, fileName: loaded.entry.fileName, score, matches });
+                }
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Counts the occurrences of a term in text
+     */
+    static count(text, term) {
+        let count = 0;
+        for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + term.length)) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Cuts the text around a match, on word boundaries
+     */
+    static snippet(text, index, length) {
+        let start = Math.max(0, index - SNIPPET_CONTEXT);
+        let end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < index) start = space + 1;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > index + length) end = space;
+        }
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+}
+
+module.exports = TextIndex;
@@ -1,22 +1,33 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { validatePdfFile } = require('../pdfValidator');
+const { getConfig } = require('../config');
 
-function hex(bytes) {
-  return bytes.toString('hex');
-}
+/**
+ * Validates downloaded PDFs
+ *
+ *   node tools/validate_pdf.js                 every PDF in the downloads and cache folders
+ *   node tools/validate_pdf.js <file> [...]    the given files
+ *   --json                                     print the results as JSON
+ *
+ * Each file gets the structural checks of pdfValidator (header, %%EOF,
+ * cross-reference data, trailer, page tree; pdf.js decides on files its
+ * parser can't read) and, when issues.json or
+ * metadata.json next to it records one, a checksum comparison.
+ * Exit code: 0 when every file is valid, 2 when there is nothing to check, 3 otherwise.
+ */
 
 function fileExists(p) {
   try { return fs.existsSync(p); } catch (e) { return false; }
 }
 
-function readMetadata(cacheDir) {
-  const metaPath = path.join(cacheDir, 'metadata.json');
-  if (!fileExists(metaPath)) return null;
+function readJson(filePath) {
+  if (!fileExists(filePath)) return null;
   try {
-    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (e) {
-    console.error('Failed to read metadata.json:', e.message);
+    console.error(`Failed to read ${filePath}:`, e.message);
     return null;
   }
 }
@@ -28,53 +39,109 @@ function checksumFile(filePath) {
   return hash.digest('hex');
 }
 
-function magicHeaderMatches(filePath) {
-  const fd = fs.openSync(filePath, 'r');
-  const buf = Buffer.alloc(4);
-  fs.readSync(fd, buf, 0, 4, 0);
-  fs.closeSync(fd);
-  return buf.toString('utf8').startsWith('%PDF');
+/**
+ * Lists the PDFs in a folder and its subfolders (one per publication)
+ */
+function findPdfs(dir) {
+  if (!fileExists(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findPdfs(entryPath));
+    } else if (entry.name.toLowerCase().endsWith('.pdf')) {
+      files.push(entryPath);
+    }
+  }
+  return files;
 }
 
-function validateCachedPdf() {
-  const cacheDir = path.join(__dirname, '..', 'cache');
-  const meta = readMetadata(cacheDir);
-  if (!meta) {
-    console.error('No metadata.json found in cache.');
-    process.exit(2);
+/**
+ * Finds the checksum recorded for a file: its issue record (downloads) or the cache metadata
+ */
+function expectedChecksum(filePath) {
+  const dir = path.dirname(filePath);
+  const fileName = path.basename(filePath);
+
+  const issues = readJson(path.join(dir, 'issues.json'));
+  const record = Array.isArray(issues) && issues.find(issue => issue.fileName === fileName);
+  if (record && record.checksum) return { checksum: record.checksum, source: 'issues.json' };
+
+  const meta = readJson(path.join(dir, 'metadata.json'));
+  if (meta && meta.fileName === fileName && meta.checksum) return { checksum: meta.checksum, source: 'metadata.json' };
+
+  return null;
+}
+
+async function checkFile(filePath) {
+  const result = { file: filePath, ...(await validatePdfFile(filePath)) };
+
+  const expected = expectedChecksum(filePath);
+  if (expected) {
+    const computed = checksumFile(filePath);
+    result.checksum = { computed, expected: expected.checksum, source: expected.source, matches: computed === expected.checksum };
+    if (!result.checksum.matches) {
+      result.errors.push(`Checksum does not match ${expected.source}`);
+      result.valid = false;
+    }
+  }
+  return result;
+}
+
+function printResult(result) {
+  const details = [];
+  if (result.version) details.push(`PDF ${result.version}`);
+  if (result.pageCount !== null) details.push(`${result.pageCount} pages`);
+  details.push(`${(result.size / 1024 / 1024).toFixed(2)} MB`);
+  if (result.checksum) details.push(result.checksum.matches ? 'checksum ok' : 'checksum mismatch');
+
+  console.log(`${result.valid ? 'OK     ' : 'INVALID'} ${result.file} (${details.join(', ')})`);
+  for (const error of result.errors) console.log(`          error: ${error}`);
+  for (const warning of result.warnings) console.log(`          warning: ${warning}`);
+}
+
+async function main(argv) {
+  const json = argv.includes('--json');
+  let files = argv.filter(arg => !arg.startsWith('--'));
+
+  if (files.length === 0) {
+    const config = getConfig();
+    files = [...findPdfs(config.paths.downloads), ...findPdfs(config.paths.cache)];
+    if (files.length === 0) {
+      console.error(`No PDFs found in ${config.paths.downloads} or ${config.paths.cache}.`);
+      process.exit(2);
+    }
   }
 
-  const filePath = path.join(cacheDir, meta.fileName);
-  if (!fileExists(filePath)) {
-    console.error('Cached file not found:', filePath);
+  const missing = files.filter(file => !fileExists(file));
+  if (missing.length > 0) {
+    console.error('File not found:', missing.join(', '));
     process.exit(2);
   }
 
-  const stats = fs.statSync(filePath);
-  console.log('File:', filePath);
-  console.log('Size (bytes):', stats.size);
-  console.log('Size (MB):', (stats.size / 1024 / 1024).toFixed(2));
-
-  const matchesMagic = magicHeaderMatches(filePath);
-  console.log('Magic header starts with %PDF:', matchesMagic);
+  const results = [];
+  for (const file of files) {
+    results.push(await checkFile(file));
+  }
+  const invalid = results.filter(result => !result.valid);
 
-  const computed = checksumFile(filePath);
-  console.log('Computed sha256:', computed);
-  if (meta.checksum) {
-    console.log('Metadata checksum:', meta.checksum);
-    console.log('Checksum matches metadata:', computed === meta.checksum);
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
   } else {
-    console.log('No checksum in metadata to compare.');
+    results.forEach(printResult);
+    console.log(`\n${results.length} files checked, ${invalid.length} invalid.`);
   }
 
-  if (!matchesMagic) {
-    console.error('\nThe file does not start with %PDF. It may be corrupted or not a PDF.');
+  if (invalid.length > 0) {
     process.exit(3);
   }
-
-  console.log('\nValidation completed.');
 }
 
 if (require.main === module) {
-  validateCachedPdf();
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
 }
+
+module.exports = { checkFile, findPdfs };
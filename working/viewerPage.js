@@ -0,0 +1,187 @@
+/**
+ * HTML page showing an issue in the browser
+ *
+ * Pages are drawn with pdf.js (served from /viewer/pdfjs), not the browser's
+ * built-in PDF viewer: Mobile Safari and Chrome on Android don't display PDFs
+ * in a frame or follow #page=N, while pdf.js renders the same way everywhere.
+ * Browsers that can't run it (no JavaScript modules, or the PDF fails to load)
+ * get a note and a download link instead. The page number is kept in the
+ * address (?page=N) so a page can be linked to.
+ */
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the viewer page
+ * @param {Object} options
+ * @param {string} options.title - Issue title
+ * @param {string} options.pdfUrl - URL of the PDF
+ * @param {string} options.downloadUrl - URL to save the PDF
+ * @param {string} options.fileName - Name the PDF is saved as
+ * @param {number} options.pageCount - Pages in the issue (null when unknown)
+ * @param {number} options.page - Page shown first
+ * @param {string} options.pdfjsUrl - Folder serving pdf.min.mjs and pdf.worker.min.mjs
+ * @returns {string} - HTML
+ */
+function renderViewer(options) {
+    const pageCount = options.pageCount || null;
+    const page = Math.max(1, Math.min(options.page || 1, pageCount || Infinity));
+    // Escaped so the JSON can't close the script element
+    const settings = JSON.stringify({
+        pdfUrl: options.pdfUrl,
+        pdfjsUrl: `${options.pdfjsUrl}/pdf.min.mjs`,
+        workerUrl: `${options.pdfjsUrl}/pdf.worker.min.mjs`,
+        pageCount,
+        page
+    }).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(options.title)}</title>
+<style>
+    html, body { height: 100%; margin: 0; }
+    body { display: flex; flex-direction: column; font-family: system-ui, sans-serif; background: #525659; }
+    header { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 8px 12px; background: #323639; color: #f1f1f1; }
+    header h1 { flex: 1; min-width: 8em; margin: 0; font-size: 16px; font-weight: 500; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+    header button, header a, #fallback a { padding: 4px 10px; border: 1px solid #5f6368; border-radius: 4px; background: #3c4043; color: #f1f1f1; font: inherit; text-decoration: none; cursor: pointer; }
+    header button:disabled { opacity: 0.4; cursor: default; }
+    header input { width: 3.5em; padding: 3px; border: 1px solid #5f6368; border-radius: 4px; background: #202124; color: inherit; font: inherit; text-align: center; }
+    #stage { flex: 1; overflow: auto; padding: 8px; text-align: center; }
+    #stage canvas { background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.5); }
+    #status { color: #f1f1f1; }
+    #fallback { margin: auto; max-width: 32em; padding: 24px; color: #f1f1f1; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHtml(options.title)}</h1>
+    <button id="first" title="First page (Home)" disabled>&laquo;</button>
+    <button id="prev" title="Previous page (&larr;)" disabled>&lsaquo;</button>
+    <label>Page <input id="page" type="number" min="1"${pageCount ? ` max="${pageCount}"` : ''} value="${page}"></label>
+    <span id="count">${pageCount ? `of ${pageCount}` : ''}</span>
+    <button id="next" title="Next page (&rarr;)" disabled>&rsaquo;</button>
+    <button id="last" title="Last page (End)" disabled>&raquo;</button>
+    <a href="${escapeHtml(options.downloadUrl)}" download="${escapeHtml(options.fileName)}">Download</a>
+</header>
+<main id="stage"><p id="status">Loading…</p><canvas id="canvas" hidden></canvas></main>
+<div id="fallback" hidden>
+    <p>This browser can't display the issue here<span id="reason"></span>. Download the PDF to read it.</p>
+    <a href="${escapeHtml(options.downloadUrl)}" download="${escapeHtml(options.fileName)}">Download ${escapeHtml(options.fileName)}</a>
+</div>
+<script nomodule>
+    document.getElementById('stage').hidden = true;
+    document.getElementById('fallback').hidden = false;
+</script>
+<script type="module">
+const settings = ${settings};
+const stage = document.getElementById('stage');
+const canvas = document.getElementById('canvas');
+const input = document.getElementById('page');
+let pageCount = settings.pageCount;
+let current = settings.page;
+let pdf = null;
+let task = null;
+
+function fallback(reason) {
+    document.getElementById('reason').textContent = reason ? ' (' + reason + ')' : '';
+    stage.hidden = true;
+    document.getElementById('fallback').hidden = false;
+}
+
+// Draws the current page across the width of the stage, sharp on high-density screens
+async function draw() {
+    const number = current;
+    const page = await pdf.getPage(number);
+    if (number !== current) return;
+    if (task) task.cancel();
+
+    const width = page.getViewport({ scale: 1 }).width;
+    const fit = Math.max(200, stage.clientWidth - 16) / width;
+    const ratio = Math.min(window.devicePixelRatio || 1, 3);
+    const viewport = page.getViewport({ scale: fit * ratio });
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    canvas.style.width = Math.floor(viewport.width / ratio) + 'px';
+    canvas.style.height = Math.floor(viewport.height / ratio) + 'px';
+
+    task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+    try {
+        await task.promise;
+    } catch (error) {
+        if (error.name !== 'RenderingCancelledException') throw error;
+    }
+}
+
+function show(page) {
+    if (!(page >= 1)) page = 1;
+    if (page > pageCount) page = pageCount;
+    current = page;
+    input.value = page;
+    document.getElementById('first').disabled = document.getElementById('prev').disabled = page <= 1;
+    document.getElementById('next').disabled = document.getElementById('last').disabled = page >= pageCount;
+    stage.scrollTop = 0;
+    draw().catch(error => fallback(error.message));
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('page', page);
+    history.replaceState(null, '', url);
+}
+
+// No top-level await: older mobile browsers run modules but not that
+async function load() {
+    try {
+        const pdfjs = await import(settings.pdfjsUrl);
+        pdfjs.GlobalWorkerOptions.workerSrc = settings.workerUrl;
+        pdf = await pdfjs.getDocument({ url: settings.pdfUrl }).promise;
+    } catch (error) {
+        fallback(error.message);
+        return;
+    }
+
+    pageCount = pdf.numPages;
+    input.max = pageCount;
+    document.getElementById('count').textContent = 'of ' + pageCount;
+    document.getElementById('status').hidden = true;
+    canvas.hidden = false;
+
+    document.getElementById('first').onclick = () => show(1);
+    document.getElementById('prev').onclick = () => show(current - 1);
+    document.getElementById('next').onclick = () => show(current + 1);
+    document.getElementById('last').onclick = () => show(pageCount);
+    input.onchange = () => show(parseInt(input.value, 10));
+    document.addEventListener('keydown', event => {
+        if (event.target === input) return;
+        if (event.key === 'ArrowLeft' || event.key === 'PageUp') show(current - 1);
+        else if (event.key === 'ArrowRight' || event.key === 'PageDown') show(current + 1);
+        else if (event.key === 'Home') show(1);
+        else if (event.key === 'End') show(pageCount);
+    });
+    let resizing = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizing);
+        resizing = setTimeout(() => draw().catch(error => fallback(error.message)), 150);
+    });
+
+    show(current);
+}
+
+load();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderViewer
+};